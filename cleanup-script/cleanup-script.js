@@ -3,197 +3,283 @@
 // This work is licensed under a MIT-0 License.
 
 /**
- * Run this script first to start the cleanup process. This script removes the 
- * Lamda@Edge association with the CloudFront distribution behavior. Disassociating
- * the Lamda@Edge function is required because CloudFront distributions cannot be
- * deleted if they are associated with a function. Updating the CloudFront distribution can 
- * take several minutes, so you will need this script first and wait for it to finish.
- * 
- * Once this script completes, you should wait at least an hour before attempting to
- * run the second script. The wait is necessary because the CloudFront distribution
- * needs to be updated in all edge locations, which can take a significant amount of time.
+ * Usage: node cleanup-script [--deployment name] | [stackname1 stackname2 [stackname3]]
+ *                            [--region region] [--origin-region region]
+ *                            [--dry-run] [--poll-interval seconds] [--backoff factor]
+ *                            [--max-poll-interval seconds] [--timeout minutes]
+ *
+ * Removes a deployment in these steps (see cleanup.js):
+ * 1. Removes the Lamda@Edge associations from the CloudFront distribution behaviors.
+ *    CloudFront distributions cannot be deleted if they are associated with a function.
+ * 2. Waits for the distribution update to be deployed to all edge locations.
+ * 3. Waits for Lambda@Edge to delete the replicas of the function, which can take a
+ *    few hours. The script checks this by trying to delete the function version.
+ * 4. Deletes the stacks.
+ *
+ * The regions of the stacks are read from the manifest. When the stack names are listed
+ * instead, the UserPool and distribution stacks are in --region (default us-east-1) and
+ * the origin stack in --origin-region (default the same region).
+ *
+ * The progress is saved in deployments/cleanup after each step. If the script stops,
+ * or a step takes longer than --timeout minutes (default 60), run the same command
+ * again to resume. Checks start --poll-interval seconds apart (default 30) and the
+ * interval is multiplied by --backoff (default 2) up to --max-poll-interval (default 600).
+ *
+ * --dry-run prints what the script would do without changing anything.
+ *
+ * Sweep mode: node cleanup-script --sweep [--all | --select 1,3 | --select <suffix>] [--dry-run]
+ *                                    [--origin-region region]
+ *
+ * Lists every paywall demo deployment in the account (paired by the timestamp suffix
+ * of the stack names, see sweep.js) with its age and stack status, and the CloudFront
+ * policies left behind by deployments that no longer exist. With --all or --select,
+ * the chosen deployments are cleaned up with the same steps as above; --all also
+ * deletes the orphaned policies. Origin stacks are searched for in the origin regions of
+ * the environment configurations (see deploy-script/environment.js), of the deployment
+ * manifests and of --origin-region.
  */
 
 const AWS = require('aws-sdk');
-AWS.config.update({'region': 'us-east-1'});
-const cloudfront = new AWS.CloudFront();
-const firstStackName = 'paywalldemo-userpool-stack';
-let stack1 = null;
-let stack2 = null;
+const { parseArgs } = require('../deploy-script/args');
+const { resolveRegions, resolveStacks, deleteManifest, listManifests, loadManifest, DEFAULT_DEPLOYMENT } = require('../deploy-script/manifest');
+const { listEnvironments, loadEnvironment } = require('../deploy-script/environment');
+const { DEFAULT_POLLING, createCleanup, loadState, saveState, deleteState } = require('./cleanup');
+const { findDeployments, findOrphanedPolicies, deletePolicy, formatDeployments, selectDeployments } = require('./sweep');
 
 /**
- * Retrieve the Id of the distribution from the Output values of the CloudFormation stack that
- * created the CloudFront distribution.
- * 
- * @returns String
+ * Read the polling options from the command line flags.
+ * @param {Object} flags
+ * @returns Object
  */
-async function getDistributionId() {
-    let id = null;
-    let cloudformation = new AWS.CloudFormation();
-    let distributionInfo = await cloudformation.describeStacks({ 'StackName': stack2 }).promise();
-
-    for (let i = 0; i < distributionInfo.Stacks.length; i++){
-        let s = distributionInfo.Stacks[i];
-        if (s.StackName === stack2){
-            s.Outputs.map( o => {
-                if (o.OutputKey === 'CFDistributionId'){
-                    id = o.OutputValue;                    
-                }
-            } );
-        }        
-    }
-    
-    return id;    
+function getPolling(flags){
+    const names = {
+        'poll-interval': 'interval',
+        'backoff': 'backoff',
+        'max-poll-interval': 'maxInterval',
+        'timeout': 'timeout'
+    };
+    let polling = Object.assign({}, DEFAULT_POLLING);
+
+    Object.keys(names).map(flag => {
+        if (flags[flag] !== undefined){
+            let value = Number(flags[flag]);
+            if (!(value > 0)){
+                throw new Error('--' + flag + ' must be a positive number');
+            }
+            polling[names[flag]] = value;
+        }
+    });
+
+    return polling;
 }
 
 /**
- * Retrieve the CloudFront distribution config so that we can update it.
- * 
- * @param {String}} id 
- * @returns Object
+ * Create the CloudFormation and S3 clients of a region.
+ * @param {String} region
+ * @returns { cloudformation: AWS.CloudFormation, s3: AWS.S3 }
  */
-async function getDistributionConfig(id){
-    let params = {
-        Id: id
-    }
-
-    let config = await cloudfront.getDistributionConfig(params).promise();
-    return config;
+function getRegionClients(region){
+    return {
+        cloudformation: new AWS.CloudFormation({ region: region }),
+        s3: new AWS.S3({ region: region })
+    };
 }
 
 /**
- * Update the distribution config JSON to remove the associated lambda function
- * and add the Id and the ETag.
- * 
- * @param {String} id 
- * @param {Object} config 
- * @returns Object
+ * List the regions that can hold origin stacks: those of the environment configurations,
+ * of the manifests and of --origin-region. A configuration that cannot be read is skipped.
+ * @param {Object[]} manifests
+ * @returns String[]
  */
-function updateConfigJson(id, config){
-    let value = config.ETag;
-    delete config.ETag;
-    config.Id = id;
-    config.IfMatch = value;
-
-    let items = config?.DistributionConfig?.CacheBehaviors?.Items;
+function getOriginRegions(manifests){
+    let regions = manifests.map(m => m.originRegion);
 
-    if (!items){
-        return config;
+    listEnvironments().map(name => {
+        try {
+            regions.push(loadEnvironment(name).regions.origin);
+        }
+        catch (e){
+            console.log('Skipping environment ' + name + ': ' + e.message);
+        }
+    });
+    if (typeof flags['origin-region'] === 'string'){
+        regions.push(flags['origin-region']);
     }
 
-    for (let i = 0; i < items.length; i++){
-        let item = items[i];
-        item.LambdaFunctionAssociations = { Quantity: 0, Items: [] };
-    }
-
-    return config;
+    return regions.filter((r, i) => r && regions.indexOf(r) === i);
 }
 
 /**
- * Updates the CloudFront distribution to remove the associated lamda@edge function
- * so that the entire stack can be deleted.
- * 
- * @param {String} id 
- * @param {Object} config 
- * @returns Object
+ * Clean up one deployment, resuming from its saved state.
+ * @param {Object} cleanup: from createCleanup
+ * @param {Object} stacks: { userPoolStack, originStack, originRegion, distributionStack, manifest }
+ * @param {String} stateKey
+ * @param {String} deploymentName: name of the manifest to delete, if any
+ * @returns Boolean: true once everything has been deleted
  */
-async function updateDistribution(id, config){
-    console.log('Updating CloudFront distribution to remove associated Lambda@Edge function')
-    let updatedConfig = updateConfigJson(id, config);
-    let response = await cloudfront.updateDistribution(updatedConfig).promise();
-    let waitFor = await cloudfront.waitFor('distributionDeployed', { Id: id }).promise();
-    return waitFor;
-}
+async function cleanupDeployment(cleanup, stacks, stateKey, deploymentName){
+    const state = loadState(stateKey, {
+        userPoolStack: stacks.userPoolStack,
+        originStack: stacks.originStack,
+        originRegion: stacks.originRegion,
+        distributionStack: stacks.distributionStack,
+        distributionId: stacks.manifest ? stacks.manifest.distributionId : null
+    });
 
-async function removeStack(){
-    let cloudformation = new AWS.CloudFormation();
-    let firstStackResult = await cloudformation.deleteStack({StackName: stack1}).promise();
-    let secondStackResult = await cloudformation.deleteStack({StackName: stack2}).promise();
-    // Wait for each stack delete to finish, one at a time
-    let firstStackDeleteDone = await cloudformation.waitFor('stackDeleteComplete', { StackName: stack1 }).promise();
-    let secondStackDeleteDone = await cloudformation.waitFor('stackDeleteComplete', { StackName: stack2 }).promise();    
-    return;
-}
+    let done = await cleanup.run(state, s => saveState(stateKey, s));
 
-/**
- * Wait 15 minutes
- */
-async function delay(minutes){
-    const {setTimeout} = require('timers/promises');
-    await setTimeout(minutes * 60 * 1000);
+    if (done && !dryRun){
+        deleteState(stateKey);
+        if (deploymentName){
+            deleteManifest(deploymentName);
+        }
+    }
+
+    return done;
 }
 
 /**
- * Check whether the CloudFront distrubition has finished deployment
- * @param {String} distributionId 
- * @param {Number} counter 
- * @returns 
+ * List every paywall demo deployment in the account and clean up the selected ones.
+ * All the selected deployments are cleaned up at the same time, since most of the
+ * time is spent waiting for CloudFront and Lambda@Edge.
  */
-async function distributionIsDeployed(distributionId, counter = 1){
-    console.log('Waiting for CloudFront distributions to update in all locations')
-    let pause = await delay(15);
-    
-    let params = {
-        Id: distributionId
+async function sweep(clients){
+    let manifests = listManifests().map(name => loadManifest(name));
+    let clouds = { [regions.edge]: clients.cloudformation };
+    getOriginRegions(manifests).filter(r => r !== regions.edge).map(r => {
+        clouds[r] = getRegionClients(r).cloudformation;
+    });
+    let deployments = await findDeployments(clouds, manifests);
+    let policies = await findOrphanedPolicies(clients.cloudfront, deployments);
+
+    console.log(formatDeployments(deployments));
+    if (policies.length > 0){
+        console.log('\nOrphaned CloudFront policies (their stacks no longer exist):');
+        policies.map(p => console.log('  ' + p.name + ' (' + p.type + ' policy ' + p.id + ')'));
+    }
+
+    // Orphaned policies are only removed with --all
+    if (flags.all === true){
+        for (const policy of policies){
+            if (dryRun){
+                console.log('[dry run] Would delete ' + policy.type + ' policy ' + policy.name);
+                continue;
+            }
+            try {
+                await deletePolicy(clients.cloudfront, policy);
+                console.log('Deleted ' + policy.type + ' policy ' + policy.name);
+            }
+            catch (e){
+                console.log('Could not delete ' + policy.type + ' policy ' + policy.name + ': ' + e.message);
+            }
+        }
     }
 
-   let dist = await cloudfront.getDistribution(params).promise();
+    let selected = flags.all === true ? deployments : (flags.select ? selectDeployments(deployments, flags.select) : []);
+    if (selected.length === 0){
+        if (deployments.length > 0 || policies.length > 0){
+            console.log('\nAdd --all to clean up every deployment, or --select with numbers or suffixes (such as --select 1,3).');
+        }
+        return true;
+    }
 
-   let status = dist.Distribution.Status;
+    console.log('\n' + (dryRun ? '[dry run] ' : '') + 'Cleaning up ' + selected.length + ' deployment(s)');
 
-   if (status === 'Deployed'){
-      return true;
-   }
-   else if (counter === 3){
-    console.log('Maximim period to wait for CloudFront updates to complete has been reached. Please check your CloudFormation stack to see if you need to manually delete resources.');
-    return false;
-   }
-   else {      
-      return distributionIsDeployed(distributionId, ++counter);
-   }
-}
+    let results = await Promise.all(selected.map(d => {
+        const prefix = '[' + d.suffix + '] ';
+        const cleanup = createCleanup(clients, { polling: polling, dryRun: dryRun, log: m => console.log(prefix + m) });
+        const stacks = {
+            userPoolStack: d.userPoolStack,
+            originStack: d.originStack,
+            originRegion: d.originRegion,
+            distributionStack: d.distributionStack,
+            manifest: null
+        };
+
+        return cleanupDeployment(cleanup, stacks, stacks.distributionStack || stacks.originStack || stacks.userPoolStack, d.deployment)
+        .catch(e => {
+            console.log(prefix + 'An error occurred: ' + e.message + '. Run the sweep again to resume.');
+            return false;
+        });
+    }));
+
+    let remaining = selected.filter((d, i) => !results[i]);
+    if (remaining.length > 0){
+        console.log('\nNot finished: ' + remaining.map(d => d.suffix).join(', ') + '. Run the sweep again to resume.');
+        return false;
+    }
 
-let distributionid = null;
+    return true;
+}
 
-stack1 = process.argv[2];
-stack2 = process.argv[3];
+// Use the stack names from the command line (in any order), or the deployment manifest
+const { positional, flags } = parseArgs(process.argv.slice(2));
+const deploymentName = flags.deployment || DEFAULT_DEPLOYMENT;
+const dryRun = flags['dry-run'] === true;
+let stacks = null;
+let polling = null;
 
-if (!stack1 || !stack2 ){
-    console.log('Both stack names must be specified on the commandline');
+try {
+    stacks = flags.sweep === true ? null : resolveStacks(positional, deploymentName);
+    polling = getPolling(flags);
+}
+catch (e){
+    console.log(e.message);
     process.exit(1);
 }
 
-// Put the stack names in the right order
-if (!stack1.startsWith(firstStackName)){
-    let tmp = stack2;
-    stack2 = stack1;
-    stack1 = tmp;
+// The UserPool and distribution stacks are in the edge region, with the Lambda@Edge function
+const regions = resolveRegions(stacks ? stacks.manifest : null, flags);
+AWS.config.update({ region: regions.edge });
+
+const clients = {
+    cloudformation: new AWS.CloudFormation(),
+    cloudfront: new AWS.CloudFront(),
+    lambda: new AWS.Lambda(),
+    s3: new AWS.S3(),
+    forRegion: getRegionClients
+};
+
+if (flags.sweep === true){
+    sweep(clients)
+    .then(done => {
+        if (!done){
+            process.exitCode = 2;
+        }
+        else if (dryRun){
+            console.log('[dry run] Nothing was changed.');
+        }
+    })
+    .catch(e => {
+        console.log('An error occurred listing the deployments.');
+        console.log(e);
+        process.exitCode = 1;
+    });
 }
+else {
+    // The state is saved under the stack name, so that the sweep can resume it too
+    const stateKey = stacks.distributionStack;
+    const cleanup = createCleanup(clients, { polling: polling, dryRun: dryRun });
+    stacks.originRegion = stacks.originStack ? regions.origin : null;
 
-getDistributionId()
-.then(id => {
-    distributionid = id;
-    return getDistributionConfig(distributionid);
-})
-.then(config => {
-    return updateDistribution(distributionid, config);
-})
-.then(result => {
-    return distributionIsDeployed(distributionid);
-})
-.then(isDeployed =>{
-    if (isDeployed){
-        return removeStack();
-    }
-    else {
-        console.log('Could not remove the stack because Lambda@Edge functions have not been disassociated from all CloudFront distrubutions.');
-        return;
-    }   
-})
-.then(() => {
-    console.log('All resources have been removed.')
-})
-.catch(e => {
-    console.log('An error occurred cleaning up resources. Please refer to the following error message.');
-    console.log(e);
-});
\ No newline at end of file
+    console.log((dryRun ? '[dry run] ' : '') + 'Cleaning up stacks ' +
+        [stacks.userPoolStack, stacks.originStack, stacks.distributionStack].filter(n => n).join(', '));
+
+    cleanupDeployment(cleanup, stacks, stateKey, stacks.manifest ? deploymentName : null)
+    .then(done => {
+        if (!done){
+            process.exitCode = 2;
+        }
+        else if (dryRun){
+            console.log('[dry run] Nothing was changed.');
+        }
+        else {
+            console.log('All resources have been removed.');
+        }
+    })
+    .catch(e => {
+        console.log('An error occurred cleaning up resources. Run the script again to resume. Please refer to the following error message.');
+        console.log(e);
+        process.exitCode = 1;
+    });
+}
@@ -0,0 +1,512 @@
+'use strict';
+// © 2022 Amazon Web Services, Inc. or its affiliates. All Rights Reserved.
+// This work is licensed under a MIT-0 License.
+
+/**
+ * Cleanup of one deployment as a state machine. The state is saved after each
+ * step, so a cleanup that was interrupted (or that timed out while waiting for
+ * CloudFront) resumes where it stopped when the script is run again.
+ *
+ *   started -> disassociated -> deployed -> replicas-gone -> stacks-deleted
+ *
+ * - disassociated:  the Lambda@Edge associations were removed from the distribution
+ * - deployed:       the distribution update has been deployed to all edge locations
+ * - replicas-gone:  Lambda@Edge has deleted the replicas of the edge function, so
+ *                   CloudFormation can delete the function. The aliases that point
+ *                   to the function versions are deleted in this step.
+ * - stacks-deleted: the stacks (and the packaged functions) have been deleted
+ *
+ * The origin stack can be in another region than the UserPool and distribution
+ * stacks, which are in us-east-1 with the Lambda@Edge function.
+ *
+ * The AWS clients are passed in, so the cleanup can be run with mocked clients.
+ */
+const fs = require('fs');
+const path = require('path');
+const { MANIFEST_DIR } = require('../deploy-script/manifest');
+
+const STATE_DIR = path.join(MANIFEST_DIR, 'cleanup');
+const STEPS = ['started', 'disassociated', 'deployed', 'replicas-gone', 'stacks-deleted'];
+
+const DEFAULT_POLLING = {
+    // Seconds before the first check, multiplied by backoff after each check
+    interval: 30,
+    backoff: 2,
+    maxInterval: 600,
+    // Minutes to wait in one step before giving up (the cleanup can be resumed)
+    timeout: 60
+};
+
+function statePath(key, dir = STATE_DIR){
+    if (!/^[A-Za-z0-9][A-Za-z0-9_-]*$/.test(key || '')){
+        throw new Error('Invalid cleanup name "' + key + '"');
+    }
+    return path.join(dir, key + '.json');
+}
+
+/**
+ * Load the saved cleanup state, or create a new one.
+ * @param {String} key: distribution stack name (or user pool stack name if there is none)
+ * @param {Object} target: { userPoolStack, originStack, originRegion, distributionStack, distributionId }
+ * @param {String} dir
+ * @returns Object
+ */
+function loadState(key, target, dir = STATE_DIR){
+    let file = statePath(key, dir);
+
+    if (fs.existsSync(file)){
+        let saved = JSON.parse(fs.readFileSync(file).toString());
+        if (saved.userPoolStack !== target.userPoolStack || saved.distributionStack !== target.distributionStack){
+            throw new Error('The saved cleanup state in ' + file + ' is for stacks ' + saved.userPoolStack + ' and ' +
+                saved.distributionStack + '. Delete the file to start over.');
+        }
+        // States saved before the origin had its own stack
+        return Object.assign({ originStack: target.originStack || null, originRegion: target.originRegion || null, originArtifactBucket: null }, saved);
+    }
+
+    return {
+        step: 'started',
+        userPoolStack: target.userPoolStack,
+        originStack: target.originStack || null,
+        originRegion: target.originRegion || null,
+        distributionStack: target.distributionStack,
+        distributionId: target.distributionId || null,
+        functionArns: [],
+        artifactBucket: null,
+        originArtifactBucket: null
+    };
+}
+
+function saveState(key, state, dir = STATE_DIR){
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(statePath(key, dir), JSON.stringify(state, null, 2));
+}
+
+function deleteState(key, dir = STATE_DIR){
+    let file = statePath(key, dir);
+    if (fs.existsSync(file)){
+        fs.unlinkSync(file);
+    }
+}
+
+/**
+ * Collect the Lambda@Edge function versions associated with the distribution.
+ * @param {Object} distributionConfig
+ * @returns String[]
+ */
+function getFunctionArns(distributionConfig){
+    let behaviors = (distributionConfig?.CacheBehaviors?.Items || []).concat(distributionConfig?.DefaultCacheBehavior || []);
+    let arns = [];
+
+    behaviors.map(b => {
+        (b.LambdaFunctionAssociations?.Items || []).map(a => {
+            if (!arns.includes(a.LambdaFunctionARN)){
+                arns.push(a.LambdaFunctionARN);
+            }
+        });
+    });
+
+    return arns;
+}
+
+/**
+ * Update the distribution config JSON to remove the associated lambda functions
+ * and add the Id and the ETag.
+ *
+ * @param {String} id
+ * @param {Object} config: response of getDistributionConfig
+ * @returns Object
+ */
+function updateConfigJson(id, config){
+    let behaviors = (config?.DistributionConfig?.CacheBehaviors?.Items || []).concat(config?.DistributionConfig?.DefaultCacheBehavior || []);
+
+    behaviors.map(b => {
+        b.LambdaFunctionAssociations = { Quantity: 0, Items: [] };
+    });
+
+    return {
+        Id: id,
+        IfMatch: config.ETag,
+        DistributionConfig: config.DistributionConfig
+    };
+}
+
+/**
+ * Check whether an error from Lambda says the function still has replicas.
+ * @param {Error} e
+ * @returns Boolean
+ */
+function isReplicatedFunctionError(e){
+    return /replicated function/i.test(e.message || '');
+}
+
+/**
+ * Create the cleanup functions.
+ * @param {Object} clients: { cloudformation, cloudfront, lambda, s3, forRegion }; forRegion(region)
+ *                          returns the { cloudformation, s3 } clients of the origin region (optional,
+ *                          the same clients are used for the origin stack without it)
+ * @param {Object} options: {
+ *      polling: Object,    see DEFAULT_POLLING
+ *      dryRun: Boolean,    print what would be done without changing anything
+ *      log: Function,
+ *      sleep: Function     async, takes seconds (replaced in tests)
+ * }
+ * @returns Object
+ */
+function createCleanup(clients, options = {}){
+    const { cloudformation, cloudfront, lambda, s3 } = clients;
+    const polling = Object.assign({}, DEFAULT_POLLING, options.polling);
+    const dryRun = options.dryRun === true;
+    const log = options.log || console.log;
+    const sleep = options.sleep || (seconds => require('timers/promises').setTimeout(seconds * 1000));
+
+    /**
+     * Clients for the origin stack of a deployment.
+     * @param {Object} state
+     * @returns { cloudformation, s3 }
+     */
+    function originClients(state){
+        return state.originRegion && clients.forRegion ? clients.forRegion(state.originRegion) : { cloudformation, s3 };
+    }
+
+    /**
+     * Get the outputs of a stack, or null if the stack does not exist.
+     * @param {String} stackName
+     * @param {AWS.CloudFormation} client: client of the region of the stack (optional)
+     * @returns Object
+     */
+    async function getStackOutputs(stackName, client = cloudformation){
+        if (!stackName){
+            return null;
+        }
+
+        let description = null;
+        try {
+            description = await client.describeStacks({ StackName: stackName }).promise();
+        }
+        catch (e){
+            if (/does not exist/.test(e.message || '')){
+                return null;
+            }
+            throw e;
+        }
+
+        let outputs = {};
+        description.Stacks.map(s => {
+            if (s.StackName === stackName){
+                (s.Outputs || []).map(o => {
+                    outputs[o.OutputKey] = o.OutputValue;
+                });
+            }
+        });
+        return outputs;
+    }
+
+    /**
+     * Call check until it returns true, waiting longer after each attempt.
+     * @param {String} description: what is being waited for
+     * @param {Function} check: async, returns Boolean
+     * @returns Boolean: false if the timeout was reached
+     */
+    async function poll(description, check){
+        let interval = polling.interval;
+        let waited = 0;
+
+        while (!(await check())){
+            if (waited >= polling.timeout * 60){
+                return false;
+            }
+            let pause = Math.min(interval, polling.timeout * 60 - waited);
+            log('Waiting for ' + description + ', checking again in ' + pause + ' seconds');
+            await sleep(pause);
+            waited += pause;
+            interval = Math.min(interval * polling.backoff, polling.maxInterval);
+        }
+
+        return true;
+    }
+
+    /**
+     * Remove the Lambda@Edge associations from the distribution, recording the
+     * function versions so that their replicas can be checked later.
+     */
+    async function disassociate(state){
+        if (!state.distributionId){
+            let outputs = await getStackOutputs(state.distributionStack);
+            state.distributionId = outputs ? outputs.CFDistributionId || null : null;
+        }
+        if (!state.distributionId){
+            log('The distribution of ' + (state.distributionStack || 'the deployment') + ' was not found, nothing to disassociate');
+            return true;
+        }
+
+        let config = await cloudfront.getDistributionConfig({ Id: state.distributionId }).promise();
+        let arns = getFunctionArns(config.DistributionConfig);
+        arns.map(a => {
+            if (!state.functionArns.includes(a)){
+                state.functionArns.push(a);
+            }
+        });
+
+        if (arns.length === 0){
+            log('Distribution ' + state.distributionId + ' has no Lambda@Edge associations');
+            return true;
+        }
+
+        if (dryRun){
+            log('[dry run] Would remove the Lambda@Edge associations (' + arns.join(', ') + ') from distribution ' + state.distributionId);
+            return true;
+        }
+
+        log('Updating CloudFront distribution ' + state.distributionId + ' to remove associated Lambda@Edge functions');
+        await cloudfront.updateDistribution(updateConfigJson(state.distributionId, config)).promise();
+        return true;
+    }
+
+    /**
+     * Wait for the distribution update to be deployed to all edge locations.
+     */
+    async function waitForDeployment(state){
+        if (!state.distributionId){
+            return true;
+        }
+        if (dryRun){
+            log('[dry run] Would wait for distribution ' + state.distributionId + ' to be deployed');
+            return true;
+        }
+
+        return poll('distribution ' + state.distributionId + ' to be deployed', async () => {
+            let dist = await cloudfront.getDistribution({ Id: state.distributionId }).promise();
+            return dist.Distribution.Status === 'Deployed';
+        });
+    }
+
+    /**
+     * Find the edge function versions from the stack resources, for a cleanup
+     * that was resumed after the associations had already been removed.
+     */
+    async function findFunctionVersions(state){
+        let versions = [];
+        let token = undefined;
+
+        if (!state.distributionStack){
+            return versions;
+        }
+
+        try {
+            do {
+                let page = await cloudformation.listStackResources({ StackName: state.distributionStack, NextToken: token }).promise();
+                page.StackResourceSummaries.filter(r => r.ResourceType === 'AWS::Lambda::Version')
+                    .map(r => versions.push(r.PhysicalResourceId));
+                token = page.NextToken;
+            } while (token);
+        }
+        catch (e){
+            if (!/does not exist/.test(e.message || '')){
+                throw e;
+            }
+        }
+
+        return versions;
+    }
+
+    /**
+     * Delete the aliases that point to a function version. The edge function is
+     * published with AutoPublishAlias (see step-3-cfdistribution.yml), and Lambda
+     * does not delete a version that an alias points to. The stack deletion skips
+     * an alias that no longer exists.
+     * @param {String} arn: function version ARN
+     * @returns Number: how many aliases were deleted
+     */
+    async function deleteAliases(arn){
+        let i = arn.lastIndexOf(':');
+        let functionName = arn.substring(0, i);
+        let aliases = (await lambda.listAliases({ FunctionName: functionName, FunctionVersion: arn.substring(i + 1) }).promise()).Aliases || [];
+
+        for (const alias of aliases){
+            log('Deleting alias ' + alias.Name + ' of ' + functionName + ', which points to version ' + arn.substring(i + 1));
+            await lambda.deleteAlias({ FunctionName: functionName, Name: alias.Name }).promise();
+        }
+        return aliases.length;
+    }
+
+    /**
+     * Check whether Lambda@Edge has deleted the replicas of a function version by
+     * trying to delete the version: Lambda refuses while replicas remain. The
+     * stack deletion would delete the version anyway.
+     * @param {String} arn: function version ARN
+     * @returns Boolean
+     */
+    async function replicasDeleted(arn){
+        try {
+            await lambda.deleteFunction({ FunctionName: arn }).promise();
+            return true;
+        }
+        catch (e){
+            if (e.code === 'ResourceNotFoundException'){
+                return true;
+            }
+            if (isReplicatedFunctionError(e)){
+                return false;
+            }
+            // An alias still points to the version; try again without it
+            if (e.code === 'ResourceConflictException' && await deleteAliases(arn) > 0){
+                return replicasDeleted(arn);
+            }
+            throw e;
+        }
+    }
+
+    /**
+     * Wait until every edge function version can be deleted.
+     */
+    async function waitForReplicas(state){
+        if (state.functionArns.length === 0){
+            state.functionArns = await findFunctionVersions(state);
+        }
+        if (state.functionArns.length === 0){
+            return true;
+        }
+        if (dryRun){
+            log('[dry run] Would wait for the Lambda@Edge replicas of ' + state.functionArns.join(', ') + ' to be deleted');
+            return true;
+        }
+
+        let remaining = state.functionArns.slice();
+        return poll('Lambda@Edge to delete the function replicas (this can take a few hours)', async () => {
+            for (const arn of remaining.slice()){
+                if (await replicasDeleted(arn)){
+                    remaining.splice(remaining.indexOf(arn), 1);
+                }
+            }
+            return remaining.length === 0;
+        });
+    }
+
+    /**
+     * Delete the packaged Lambda functions from an artifact bucket created by the
+     * UserPool or origin stack. CloudFormation cannot delete a bucket that still has objects.
+     */
+    async function emptyArtifactBucket(bucket, client = s3){
+        let listing = await client.listObjectsV2({ Bucket: bucket }).promise();
+
+        while (listing.Contents && listing.Contents.length > 0){
+            await client.deleteObjects({
+                Bucket: bucket,
+                Delete: { Objects: listing.Contents.map(o => ({ Key: o.Key })) }
+            }).promise();
+            listing = await client.listObjectsV2({ Bucket: bucket }).promise();
+        }
+    }
+
+    async function deleteStacks(state){
+        const origin = originClients(state);
+        // A deployment that failed part way can be missing some of its stacks
+        let stacks = [
+            { name: state.distributionStack, client: cloudformation },
+            { name: state.originStack, client: origin.cloudformation },
+            { name: state.userPoolStack, client: cloudformation }
+        ].filter(stack => stack.name);
+        let stackNames = stacks.map(stack => stack.name);
+
+        if (!state.artifactBucket){
+            let outputs = await getStackOutputs(state.userPoolStack);
+            state.artifactBucket = outputs ? outputs.ArtifactBucketName || null : null;
+        }
+        if (!state.originArtifactBucket){
+            let outputs = await getStackOutputs(state.originStack, origin.cloudformation);
+            state.originArtifactBucket = outputs ? outputs.ArtifactBucketName || null : null;
+        }
+        let buckets = [
+            { name: state.artifactBucket, client: s3 },
+            { name: state.originArtifactBucket, client: origin.s3 }
+        ].filter(bucket => bucket.name);
+
+        if (dryRun){
+            buckets.map(bucket => log('[dry run] Would empty bucket ' + bucket.name));
+            log('[dry run] Would delete stacks ' + stackNames.join(', '));
+            return true;
+        }
+
+        for (const bucket of buckets){
+            try {
+                await emptyArtifactBucket(bucket.name, bucket.client);
+            }
+            catch (e){
+                if (e.code !== 'NoSuchBucket'){
+                    throw e;
+                }
+            }
+        }
+
+        log('Deleting stacks ' + stackNames.join(', '));
+        for (const stack of stacks){
+            await stack.client.deleteStack({ StackName: stack.name }).promise();
+        }
+        // Wait for each stack delete to finish, one at a time
+        for (const stack of stacks){
+            await stack.client.waitFor('stackDeleteComplete', { StackName: stack.name }).promise();
+        }
+        return true;
+    }
+
+    const ACTIONS = {
+        'started': disassociate,
+        'disassociated': waitForDeployment,
+        'deployed': waitForReplicas,
+        'replicas-gone': deleteStacks
+    };
+
+    /**
+     * Run the remaining steps of the cleanup.
+     * @param {Object} state: from loadState
+     * @param {Function} persist: called with the state after each step
+     * @returns Boolean: true once everything has been deleted, false if a step timed out
+     */
+    async function run(state, persist = () => {}){
+        if (state.step !== 'started'){
+            log('Resuming after step "' + state.step + '"');
+        }
+
+        while (state.step !== 'stacks-deleted'){
+            let next = STEPS[STEPS.indexOf(state.step) + 1];
+            let done = await ACTIONS[state.step](state);
+
+            if (!done){
+                persist(state);
+                log('Stopped before step "' + next + '". Run the cleanup again to resume.');
+                return false;
+            }
+
+            if (dryRun){
+                state = Object.assign({}, state, { step: next });
+                continue;
+            }
+
+            state.step = next;
+            persist(state);
+            log('Cleanup step complete: ' + next);
+        }
+
+        return true;
+    }
+
+    return {
+        run,
+        getStackOutputs,
+        replicasDeleted
+    };
+}
+
+module.exports = {
+    DEFAULT_POLLING,
+    STATE_DIR,
+    STEPS,
+    createCleanup,
+    deleteState,
+    getFunctionArns,
+    isReplicatedFunctionError,
+    loadState,
+    saveState,
+    updateConfigJson
+};
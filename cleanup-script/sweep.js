@@ -0,0 +1,237 @@
+'use strict';
+// © 2022 Amazon Web Services, Inc. or its affiliates. All Rights Reserved.
+// This work is licensed under a MIT-0 License.
+
+/**
+ * Finds every paywall demo deployment in the account, including abandoned ones
+ * that have no manifest. The deploy script names the stacks of a deployment
+ * with the same Date.now() suffix:
+ *   paywalldemo-userpool-stack-<suffix>
+ *   paywalldemo-origin-stack-<suffix>           (in the origin region)
+ *   paywalldemo-cfdistribution-stack-<suffix>
+ * so stacks are paired by their suffix. A deployment that failed part way can
+ * be missing some of its stacks, and deployments made before the mock origin had
+ * its own stack have no origin stack. Stacks are only found in the regions that
+ * are searched.
+ *
+ * The cache and origin request policies of the distribution stack are named with
+ * the same suffix. They are normally deleted with the stack; policies whose stacks
+ * no longer exist are reported as orphaned.
+ *
+ * The AWS clients are passed in, so the sweep can be run with mocked clients.
+ */
+const STACK_NAME = /^paywalldemo-(userpool|origin|cfdistribution)-stack-(\d+)$/;
+const POLICY_NAME = /^(PaywallDemoCachePolicyIncludeIsSubHeader|PaywallDemoDefaultCachePolicy|PaywallDemoPassHeader)-(\d+)$/;
+
+/**
+ * List the stacks that have not been deleted.
+ * @param {AWS.CloudFormation} cloudformation
+ * @returns Object[]: StackSummaries
+ */
+async function listStacks(cloudformation){
+    let stacks = [];
+    let token = undefined;
+
+    do {
+        let page = await cloudformation.listStacks({ NextToken: token }).promise();
+        page.StackSummaries.filter(s => s.StackStatus !== 'DELETE_COMPLETE').map(s => stacks.push(s));
+        token = page.NextToken;
+    } while (token);
+
+    return stacks;
+}
+
+/**
+ * Find the paywall demo deployments, oldest first.
+ * @param {Object} clouds: AWS.CloudFormation client by region, for each region to search
+ * @param {Object[]} manifests: saved deployment manifests, to name the deployments
+ * @returns Object[]: {
+ *      suffix: String,
+ *      created: Date,
+ *      userPoolStack: String, userPoolStatus: String,
+ *      originStack: String, originStatus: String, originRegion: String,
+ *      distributionStack: String, distributionStatus: String,
+ *      deployment: String      name of the manifest, if any
+ * }
+ */
+async function findDeployments(clouds, manifests = []){
+    let deployments = {};
+
+    for (const region of Object.keys(clouds)){
+        (await listStacks(clouds[region])).map(s => {
+            let match = STACK_NAME.exec(s.StackName);
+            if (!match){
+                return;
+            }
+
+            let suffix = match[2];
+            let d = deployments[suffix] = deployments[suffix] || {
+                suffix: suffix,
+                created: null,
+                userPoolStack: null,
+                userPoolStatus: null,
+                originStack: null,
+                originStatus: null,
+                originRegion: null,
+                distributionStack: null,
+                distributionStatus: null,
+                deployment: null
+            };
+
+            if (match[1] === 'userpool'){
+                d.userPoolStack = s.StackName;
+                d.userPoolStatus = s.StackStatus;
+            }
+            else if (match[1] === 'origin'){
+                d.originStack = s.StackName;
+                d.originStatus = s.StackStatus;
+                d.originRegion = region;
+            }
+            else {
+                d.distributionStack = s.StackName;
+                d.distributionStatus = s.StackStatus;
+            }
+
+            let created = new Date(s.CreationTime);
+            if (!d.created || created < d.created){
+                d.created = created;
+            }
+        });
+    }
+
+    return Object.values(deployments).map(d => {
+        let manifest = manifests.find(m => m.userPoolStack === d.userPoolStack || m.distributionStack === d.distributionStack ||
+            (d.originStack && m.originStack === d.originStack));
+        d.deployment = manifest ? manifest.name : null;
+        return d;
+    })
+    .sort((a, b) => a.created - b.created);
+}
+
+/**
+ * Find the cache and origin request policies left behind by deployments whose
+ * stacks no longer exist.
+ * @param {AWS.CloudFront} cloudfront
+ * @param {Object[]} deployments: from findDeployments
+ * @returns Object[]: { type: cache|origin-request, id, name, suffix }
+ */
+async function findOrphanedPolicies(cloudfront, deployments){
+    let policies = [];
+    let marker = undefined;
+
+    do {
+        let page = await cloudfront.listCachePolicies({ Type: 'custom', Marker: marker }).promise();
+        (page.CachePolicyList.Items || []).map(i => policies.push({
+            type: 'cache', id: i.CachePolicy.Id, name: i.CachePolicy.CachePolicyConfig.Name
+        }));
+        marker = page.CachePolicyList.NextMarker;
+    } while (marker);
+
+    do {
+        let page = await cloudfront.listOriginRequestPolicies({ Type: 'custom', Marker: marker }).promise();
+        (page.OriginRequestPolicyList.Items || []).map(i => policies.push({
+            type: 'origin-request', id: i.OriginRequestPolicy.Id, name: i.OriginRequestPolicy.OriginRequestPolicyConfig.Name
+        }));
+        marker = page.OriginRequestPolicyList.NextMarker;
+    } while (marker);
+
+    return policies.map(p => {
+        let match = POLICY_NAME.exec(p.name);
+        return match ? Object.assign(p, { suffix: match[2] }) : null;
+    })
+    .filter(p => p && !deployments.some(d => d.suffix === p.suffix && d.distributionStack));
+}
+
+/**
+ * Delete an orphaned policy.
+ * @param {AWS.CloudFront} cloudfront
+ * @param {Object} policy: from findOrphanedPolicies
+ */
+async function deletePolicy(cloudfront, policy){
+    if (policy.type === 'cache'){
+        let current = await cloudfront.getCachePolicy({ Id: policy.id }).promise();
+        await cloudfront.deleteCachePolicy({ Id: policy.id, IfMatch: current.ETag }).promise();
+    }
+    else {
+        let current = await cloudfront.getOriginRequestPolicy({ Id: policy.id }).promise();
+        await cloudfront.deleteOriginRequestPolicy({ Id: policy.id, IfMatch: current.ETag }).promise();
+    }
+}
+
+/**
+ * Format an age in a short form, such as 3d 4h or 25m.
+ * @param {Date} created
+ * @param {Date} now
+ * @returns String
+ */
+function formatAge(created, now = new Date()){
+    let minutes = Math.max(0, Math.floor((now - created) / 60000));
+    let days = Math.floor(minutes / 1440);
+    let hours = Math.floor((minutes % 1440) / 60);
+
+    if (days > 0){
+        return days + 'd ' + hours + 'h';
+    }
+    if (hours > 0){
+        return hours + 'h ' + (minutes % 60) + 'm';
+    }
+    return minutes + 'm';
+}
+
+/**
+ * Format the deployments as a numbered table.
+ * @param {Object[]} deployments
+ * @param {Date} now
+ * @returns String
+ */
+function formatDeployments(deployments, now = new Date()){
+    if (deployments.length === 0){
+        return 'No paywall demo deployments were found.';
+    }
+
+    let rows = [['#', 'Suffix', 'Age', 'User pool stack', 'Origin stack', 'Distribution stack', 'Deployment']].concat(deployments.map((d, i) => [
+        String(i + 1),
+        d.suffix,
+        formatAge(d.created, now),
+        d.userPoolStatus || '(missing)',
+        d.originStack ? d.originStatus + ' (' + d.originRegion + ')' : '(missing)',
+        d.distributionStatus || '(missing)',
+        d.deployment || ''
+    ]));
+    let widths = rows[0].map((c, i) => Math.max(...rows.map(r => r[i].length)));
+
+    return rows.map(r => r.map((c, i) => c.padEnd(widths[i])).join('  ').trimEnd()).join('\n');
+}
+
+/**
+ * Pick deployments by list number (as printed by formatDeployments) or suffix.
+ * @param {Object[]} deployments
+ * @param {String} selection: comma separated numbers or suffixes, the value of --select
+ * @returns Object[]
+ */
+function selectDeployments(deployments, selection){
+    // --select without a value is parsed as true
+    if (typeof selection !== 'string'){
+        throw new Error('--select needs numbers from the list or stack suffixes, such as --select 1,3');
+    }
+    return selection.split(',').map(s => s.trim()).filter(s => s).map(s => {
+        let found = deployments.find(d => d.suffix === s) ||
+            (/^\d+$/.test(s) && s.length < 6 ? deployments[parseInt(s, 10) - 1] : undefined);
+        if (!found){
+            throw new Error('No deployment matches "' + s + '". Use a number from the list or a stack suffix.');
+        }
+        return found;
+    })
+    .filter((d, i, list) => list.indexOf(d) === i);
+}
+
+module.exports = {
+    POLICY_NAME,
+    STACK_NAME,
+    deletePolicy,
+    findDeployments,
+    findOrphanedPolicies,
+    formatAge,
+    formatDeployments,
+    selectDeployments
+};
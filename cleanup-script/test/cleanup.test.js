@@ -0,0 +1,225 @@
+'use strict';
+// © 2022 Amazon Web Services, Inc. or its affiliates. All Rights Reserved.
+// This work is licensed under a MIT-0 License.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createCleanup, loadState } = require('../cleanup');
+
+const FUNCTION_NAME = 'arn:aws:lambda:us-east-1:123456789012:function:PaywallDemoLambdaEdgeFunction-1700000000001';
+const VERSION_ARN = FUNCTION_NAME + ':3';
+
+/**
+ * Create an AWS SDK style error.
+ * @param {String} code
+ * @param {String} message
+ * @returns Error
+ */
+function awsError(code, message){
+    let e = new Error(message);
+    e.code = code;
+    return e;
+}
+
+/**
+ * Mock of the clients of a deployment whose distribution has one Lambda@Edge
+ * association, published with the alias live. Every call is recorded by name.
+ * @param {Object} options: {
+ *      deployChecks: Number,   checks of the distribution before it is deployed (-1: never)
+ *      replicaChecks: Number,  attempts to delete the version before the replicas are gone
+ *      alias: Boolean          whether the alias still points to the version
+ * }
+ * @returns Object: the clients, with the calls
+ */
+function createClients(options = {}){
+    let calls = [];
+    let deployChecks = options.deployChecks || 0;
+    let replicaChecks = options.replicaChecks || 0;
+    let alias = options.alias !== false;
+    let objects = [{ Key: 'edge-function/1.zip' }];
+
+    function api(name, fn){
+        return (params) => ({
+            promise: async () => {
+                calls.push(name);
+                return fn(params || {});
+            }
+        });
+    }
+
+    let distributionConfig = () => ({
+        ETag: 'E1',
+        DistributionConfig: {
+            CacheBehaviors: { Items: [{ LambdaFunctionAssociations: { Quantity: 1, Items: [{ LambdaFunctionARN: VERSION_ARN, EventType: 'viewer-request' }] } }] },
+            DefaultCacheBehavior: {}
+        }
+    });
+
+    return {
+        calls: calls,
+        cloudformation: {
+            describeStacks: api('describeStacks', (params) => ({
+                Stacks: [{
+                    StackName: params.StackName,
+                    Outputs: params.StackName.includes('userpool') ? [{ OutputKey: 'ArtifactBucketName', OutputValue: 'artifacts' }] :
+                        [{ OutputKey: 'CFDistributionId', OutputValue: 'EDFDVBD6EXAMPLE' }]
+                }]
+            })),
+            listStackResources: api('listStackResources', () => ({
+                StackResourceSummaries: [
+                    { ResourceType: 'AWS::Lambda::Function', PhysicalResourceId: 'PaywallDemoLambdaEdgeFunction-1700000000001' },
+                    { ResourceType: 'AWS::Lambda::Version', PhysicalResourceId: VERSION_ARN }
+                ]
+            })),
+            deleteStack: api('deleteStack', () => ({})),
+            waitFor: (state, params) => api('waitFor', () => ({}))(params)
+        },
+        cloudfront: {
+            getDistributionConfig: api('getDistributionConfig', distributionConfig),
+            updateDistribution: api('updateDistribution', (params) => {
+                assert.strictEqual(params.IfMatch, 'E1');
+                assert.strictEqual(params.DistributionConfig.CacheBehaviors.Items[0].LambdaFunctionAssociations.Quantity, 0);
+                return {};
+            }),
+            getDistribution: api('getDistribution', () => {
+                let deployed = deployChecks === 0;
+                deployChecks = deployChecks > 0 ? deployChecks - 1 : deployChecks;
+                return { Distribution: { Status: deployed ? 'Deployed' : 'InProgress' } };
+            })
+        },
+        lambda: {
+            deleteFunction: api('deleteFunction', (params) => {
+                assert.strictEqual(params.FunctionName, VERSION_ARN);
+                if (replicaChecks > 0){
+                    replicaChecks--;
+                    throw awsError('InvalidParameterValueException', 'Lambda was unable to delete ' + VERSION_ARN +
+                        ' because it is a replicated function. Please see our documentation for Deleting Lambda@Edge Functions and Replicas.');
+                }
+                if (alias){
+                    throw awsError('ResourceConflictException', 'Unable to delete version because the following aliases reference it: [live]');
+                }
+                return {};
+            }),
+            listAliases: api('listAliases', (params) => {
+                assert.deepStrictEqual(params, { FunctionName: FUNCTION_NAME, FunctionVersion: '3' });
+                return { Aliases: alias ? [{ Name: 'live', FunctionVersion: '3' }] : [] };
+            }),
+            deleteAlias: api('deleteAlias', (params) => {
+                assert.deepStrictEqual(params, { FunctionName: FUNCTION_NAME, Name: 'live' });
+                alias = false;
+                return {};
+            })
+        },
+        s3: {
+            listObjectsV2: api('listObjectsV2', () => ({ Contents: objects.slice() })),
+            deleteObjects: api('deleteObjects', () => {
+                objects = [];
+                return {};
+            })
+        }
+    };
+}
+
+const TARGET = {
+    userPoolStack: 'paywalldemo-userpool-stack-1700000000001',
+    distributionStack: 'paywalldemo-cfdistribution-stack-1700000000001'
+};
+
+/**
+ * Run a cleanup with the mocked clients, recording the saved steps, the pauses and the log.
+ * @param {Object} clients: from createClients
+ * @param {Object} state: from loadState
+ * @param {Object} options: options of createCleanup
+ * @returns Object: { done, steps, pauses, lines }
+ */
+async function runCleanup(clients, state, options = {}){
+    let steps = [];
+    let pauses = [];
+    let lines = [];
+    let cleanup = createCleanup(clients, Object.assign({
+        log: line => lines.push(line),
+        sleep: async seconds => pauses.push(seconds)
+    }, options));
+
+    let done = await cleanup.run(state, saved => steps.push(saved.step));
+    return { done, steps, pauses, lines };
+}
+
+test('the cleanup runs its steps in order and deletes the alias of the edge function version', async () => {
+    let clients = createClients({ deployChecks: 2, replicaChecks: 1 });
+    let state = loadState('test', TARGET, '/nonexistent');
+
+    let result = await runCleanup(clients, state);
+
+    assert.strictEqual(result.done, true);
+    assert.deepStrictEqual(result.steps, ['disassociated', 'deployed', 'replicas-gone', 'stacks-deleted']);
+    assert.deepStrictEqual(state.functionArns, [VERSION_ARN]);
+    // Waits 30 then 60 seconds for the distribution, then 30 for the replicas
+    assert.deepStrictEqual(result.pauses, [30, 60, 30]);
+    assert.deepStrictEqual(clients.calls, [
+        'describeStacks', 'getDistributionConfig', 'updateDistribution',
+        'getDistribution', 'getDistribution', 'getDistribution',
+        'deleteFunction', 'deleteFunction', 'listAliases', 'deleteAlias', 'deleteFunction',
+        'describeStacks', 'listObjectsV2', 'deleteObjects', 'listObjectsV2',
+        'deleteStack', 'deleteStack', 'waitFor', 'waitFor'
+    ]);
+    assert.ok(result.lines.includes('Deleting alias live of ' + FUNCTION_NAME + ', which points to version 3'));
+});
+
+test('a cleanup that timed out resumes at the step it stopped in', async () => {
+    let clients = createClients({ deployChecks: -1, alias: false });
+    let state = loadState('test', TARGET, '/nonexistent');
+
+    let first = await runCleanup(clients, state, { polling: { interval: 30, backoff: 2, maxInterval: 600, timeout: 1 } });
+
+    assert.strictEqual(first.done, false);
+    assert.deepStrictEqual(first.steps, ['disassociated', 'disassociated']);
+    assert.deepStrictEqual(first.pauses, [30, 30]);
+    assert.ok(first.lines.includes('Stopped before step "deployed". Run the cleanup again to resume.'));
+
+    // The saved state, as read back from the state file
+    let resumed = JSON.parse(JSON.stringify(state));
+    let calls = clients.calls.length;
+    let second = await runCleanup(createClients({ alias: false }), resumed);
+
+    assert.strictEqual(second.done, true);
+    assert.deepStrictEqual(second.steps, ['deployed', 'replicas-gone', 'stacks-deleted']);
+    assert.ok(second.lines.includes('Resuming after step "disassociated"'));
+    assert.strictEqual(clients.calls.length, calls);
+});
+
+test('a resumed cleanup finds the function versions in the distribution stack', async () => {
+    let clients = createClients();
+    let state = Object.assign(loadState('test', TARGET, '/nonexistent'), { step: 'deployed', distributionId: 'EDFDVBD6EXAMPLE' });
+
+    let result = await runCleanup(clients, state);
+
+    assert.strictEqual(result.done, true);
+    assert.deepStrictEqual(state.functionArns, [VERSION_ARN]);
+    assert.deepStrictEqual(clients.calls.slice(0, 5), ['listStackResources', 'deleteFunction', 'listAliases', 'deleteAlias', 'deleteFunction']);
+    assert.ok(!clients.calls.includes('updateDistribution'));
+});
+
+test('a conflict that is not caused by an alias stops the cleanup', async () => {
+    let clients = createClients({ alias: false });
+    clients.lambda.deleteFunction = () => ({
+        promise: async () => {
+            throw awsError('ResourceConflictException', 'The operation cannot be performed at this time.');
+        }
+    });
+    let state = Object.assign(loadState('test', TARGET, '/nonexistent'), { step: 'deployed', functionArns: [VERSION_ARN] });
+
+    await assert.rejects(runCleanup(clients, state), /cannot be performed/);
+    assert.strictEqual(state.step, 'deployed');
+});
+
+test('a dry run changes nothing', async () => {
+    let clients = createClients();
+    let state = loadState('test', TARGET, '/nonexistent');
+
+    let result = await runCleanup(clients, state, { dryRun: true });
+
+    assert.strictEqual(result.done, true);
+    assert.deepStrictEqual(result.steps, []);
+    assert.deepStrictEqual(clients.calls, ['describeStacks', 'getDistributionConfig', 'describeStacks']);
+});
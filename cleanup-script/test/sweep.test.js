@@ -0,0 +1,150 @@
+'use strict';
+// © 2022 Amazon Web Services, Inc. or its affiliates. All Rights Reserved.
+// This work is licensed under a MIT-0 License.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseArgs } = require('../../deploy-script/args');
+const { findDeployments, findOrphanedPolicies, selectDeployments } = require('../sweep');
+
+/**
+ * Wrap a value like an AWS SDK request.
+ * @param {*} value
+ * @returns Object
+ */
+function respond(value){
+    return { promise: async () => value };
+}
+
+/**
+ * Mock of the CloudFormation client, with listStacks split into pages of two stacks.
+ * @param {Object[]} stacks: { name, status, created }
+ * @returns Object: the client, with the NextToken of each call
+ */
+function createCloudFormation(stacks){
+    let cloudformation = { tokens: [] };
+    cloudformation.listStacks = (params) => {
+        cloudformation.tokens.push(params.NextToken);
+        let start = params.NextToken ? parseInt(params.NextToken, 10) : 0;
+        let page = stacks.slice(start, start + 2);
+        return respond({
+            StackSummaries: page.map(s => ({ StackName: s.name, StackStatus: s.status || 'CREATE_COMPLETE', CreationTime: s.created })),
+            NextToken: start + 2 < stacks.length ? String(start + 2) : undefined
+        });
+    };
+    return cloudformation;
+}
+
+/**
+ * Mock of the CloudFront client, with one page per list of policies.
+ * @param {Object[][]} cachePages: pages of { id, name }
+ * @param {Object[][]} originRequestPages: pages of { id, name }
+ * @returns Object: the client, with the parameters of each call
+ */
+function createCloudFront(cachePages, originRequestPages){
+    let cloudfront = { calls: [] };
+
+    function list(pages, params, listName, itemName){
+        cloudfront.calls.push(Object.assign({ list: listName }, params));
+        let i = params.Marker ? parseInt(params.Marker, 10) : 0;
+        return respond({
+            [listName]: {
+                Items: pages[i].map(p => ({ [itemName]: { Id: p.id, [itemName + 'Config']: { Name: p.name } } })),
+                NextMarker: i + 1 < pages.length ? String(i + 1) : undefined
+            }
+        });
+    }
+
+    cloudfront.listCachePolicies = (params) => list(cachePages, params, 'CachePolicyList', 'CachePolicy');
+    cloudfront.listOriginRequestPolicies = (params) => list(originRequestPages, params, 'OriginRequestPolicyList', 'OriginRequestPolicy');
+    return cloudfront;
+}
+
+test('stacks are paired by their suffix, oldest deployment first', async () => {
+    let cloudformation = createCloudFormation([
+        { name: 'paywalldemo-userpool-stack-1700000000002', created: '2023-11-14T22:13:22Z' },
+        { name: 'paywalldemo-userpool-stack-1700000000001', created: '2023-11-14T22:13:21Z' },
+        { name: 'paywalldemo-cfdistribution-stack-1700000000001', created: '2023-11-14T22:20:00Z', status: 'ROLLBACK_COMPLETE' },
+        { name: 'paywalldemo-cfdistribution-stack-1700000000003', created: '2023-11-14T22:13:23Z', status: 'DELETE_COMPLETE' },
+        { name: 'other-stack', created: '2023-11-14T22:13:20Z' }
+    ]);
+
+    let deployments = await findDeployments({ 'us-east-1': cloudformation },
+        [{ name: 'staging', userPoolStack: 'paywalldemo-userpool-stack-1700000000002' }]);
+
+    assert.deepStrictEqual(cloudformation.tokens, [undefined, '2', '4']);
+    assert.deepStrictEqual(deployments.map(d => d.suffix), ['1700000000001', '1700000000002']);
+    assert.strictEqual(deployments[0].distributionStack, 'paywalldemo-cfdistribution-stack-1700000000001');
+    assert.strictEqual(deployments[0].distributionStatus, 'ROLLBACK_COMPLETE');
+    assert.strictEqual(deployments[0].created.toISOString(), '2023-11-14T22:13:21.000Z');
+    assert.strictEqual(deployments[0].deployment, null);
+    // Failed part way: no distribution stack, and deleted stacks are left out
+    assert.strictEqual(deployments[1].distributionStack, null);
+    assert.strictEqual(deployments[1].deployment, 'staging');
+});
+
+test('origin stacks are found in the origin region', async () => {
+    let edge = createCloudFormation([
+        { name: 'paywalldemo-userpool-stack-1700000000001', created: '2023-11-14T22:13:21Z' },
+        { name: 'paywalldemo-cfdistribution-stack-1700000000001', created: '2023-11-14T22:20:00Z' }
+    ]);
+    let origin = createCloudFormation([
+        { name: 'paywalldemo-origin-stack-1700000000001', created: '2023-11-14T22:15:00Z' },
+        { name: 'paywalldemo-origin-stack-1700000000009', created: '2023-11-14T22:15:00Z' }
+    ]);
+
+    let deployments = await findDeployments({ 'us-east-1': edge, 'eu-west-1': origin },
+        [{ name: 'prod', originStack: 'paywalldemo-origin-stack-1700000000009' }]);
+
+    assert.strictEqual(deployments.length, 2);
+    assert.strictEqual(deployments[0].originStack, 'paywalldemo-origin-stack-1700000000001');
+    assert.strictEqual(deployments[0].originRegion, 'eu-west-1');
+    assert.strictEqual(deployments[0].userPoolStack, 'paywalldemo-userpool-stack-1700000000001');
+    // An origin stack whose other stacks are gone is still a deployment to clean up
+    assert.strictEqual(deployments[1].userPoolStack, null);
+    assert.strictEqual(deployments[1].deployment, 'prod');
+});
+
+test('policies are orphaned when the distribution stack of their suffix no longer exists', async () => {
+    let cloudfront = createCloudFront(
+        [
+            [{ id: 'c1', name: 'PaywallDemoCachePolicyIncludeIsSubHeader-1700000000001' }, { id: 'c2', name: 'SomeOtherPolicy' }],
+            [{ id: 'c3', name: 'PaywallDemoCachePolicyIncludeIsSubHeader-1700000000002' }, { id: 'c4', name: 'PaywallDemoDefaultCachePolicy-1700000000002' }]
+        ],
+        [
+            [{ id: 'o1', name: 'PaywallDemoPassHeader-1700000000001' }, { id: 'o3', name: 'PaywallDemoPassHeader-1700000000003' }]
+        ]
+    );
+    let deployments = [
+        { suffix: '1700000000001', distributionStack: 'paywalldemo-cfdistribution-stack-1700000000001' },
+        // Only the user pool stack is left
+        { suffix: '1700000000002', distributionStack: null }
+    ];
+
+    let orphaned = await findOrphanedPolicies(cloudfront, deployments);
+
+    assert.deepStrictEqual(orphaned, [
+        { type: 'cache', id: 'c3', name: 'PaywallDemoCachePolicyIncludeIsSubHeader-1700000000002', suffix: '1700000000002' },
+        { type: 'cache', id: 'c4', name: 'PaywallDemoDefaultCachePolicy-1700000000002', suffix: '1700000000002' },
+        { type: 'origin-request', id: 'o3', name: 'PaywallDemoPassHeader-1700000000003', suffix: '1700000000003' }
+    ]);
+    // Only custom policies are listed, and each list starts on its first page
+    assert.deepStrictEqual(cloudfront.calls.map(c => [c.list, c.Type, c.Marker]), [
+        ['CachePolicyList', 'custom', undefined],
+        ['CachePolicyList', 'custom', '1'],
+        ['OriginRequestPolicyList', 'custom', undefined]
+    ]);
+});
+
+test('--select takes list numbers and suffixes, separated by commas', () => {
+    let deployments = [{ suffix: '1700000000001' }, { suffix: '1700000000002' }, { suffix: '1700000000003' }];
+    let select = (args) => selectDeployments(deployments, parseArgs(args).flags.select);
+
+    assert.deepStrictEqual(select(['--sweep', '--select', '1,3']), [deployments[0], deployments[2]]);
+    assert.deepStrictEqual(select(['--sweep', '--select=1700000000002']), [deployments[1]]);
+    assert.deepStrictEqual(select(['--select', ' 2 , 1700000000002,,']), [deployments[1]]);
+    assert.throws(() => select(['--select', '4']), /No deployment matches "4"/);
+    assert.throws(() => select(['--select', '1700000000009']), /No deployment matches/);
+    assert.throws(() => select(['--sweep', '--select']), /--select needs/);
+    assert.throws(() => select(['--select', '--dry-run']), /--select needs/);
+});
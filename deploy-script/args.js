@@ -0,0 +1,56 @@
+'use strict';
+// © 2022 Amazon Web Services, Inc. or its affiliates. All Rights Reserved.
+// This work is licensed under a MIT-0 License.
+
+/**
+ * Command line parsing shared by the deploy, user and cleanup scripts.
+ */
+
+// Flags that never take a value, so that they do not swallow the positional
+// argument that follows them (node . --dry-run update)
+const BOOLEAN_FLAGS = ['all', 'dry-run', 'json', 'local', 'rotate-origin-key', 'sweep', 'trial'];
+
+/**
+ * Split command line arguments into positional values and flags. A flag is
+ * --name value or --name=value. Boolean flags (see BOOLEAN_FLAGS) are set to
+ * true, or to false with --name=false; any other flag that is not followed by
+ * a value (or is followed by another flag) is set to true as well.
+ * @param {String[]} list
+ * @returns { positional: String[], flags: Object }
+ */
+function parseArgs(list){
+    let positional = [];
+    let flags = {};
+
+    for (let i = 0; i < list.length; i++){
+        if (list[i].startsWith('--')){
+            let name = list[i].substring(2);
+            let equals = name.indexOf('=');
+            if (equals >= 0){
+                let value = name.substring(equals + 1);
+                name = name.substring(0, equals);
+                flags[name] = BOOLEAN_FLAGS.includes(name) ? value !== 'false' : value;
+                continue;
+            }
+
+            let next = list[i + 1];
+            if (BOOLEAN_FLAGS.includes(name) || next === undefined || next.startsWith('--')){
+                flags[name] = true;
+            }
+            else {
+                flags[name] = next;
+                i++;
+            }
+        }
+        else {
+            positional.push(list[i]);
+        }
+    }
+
+    return { positional, flags };
+}
+
+module.exports = {
+    BOOLEAN_FLAGS,
+    parseArgs
+};
@@ -0,0 +1,238 @@
+'use strict';
+// © 2022 Amazon Web Services, Inc. or its affiliates. All Rights Reserved.
+// This work is licensed under a MIT-0 License.
+
+/**
+ * Loads the product catalog (products.json) and converts it into the
+ * configuration used by the Lambda@Edge function.
+ *
+ * Each catalog entry has:
+ * - code:      subscription code stored in the custom:subs attribute of the user
+ *              (letters, digits, underscores and dashes)
+ * - name:      display name
+ * - tier:      for example standard, premium or bundle
+ * - slug:      first segment of the content url (products only, not bundles)
+ * - includes:  codes of the products granted by a bundle (bundles only)
+ * - meter:     { limit, periodSeconds } for metered products (optional)
+ * - rules:     { countries, devices } viewer rules (optional): the content of a
+ *              product can only be read in full, and a bundle only grants its
+ *              products, in the listed countries (ISO 3166-1 alpha-2 codes) and on
+ *              the listed device types (see edge-function/rules.js)
+ *
+ * The optional gracePeriodSeconds value of the catalog is how long a paid
+ * entitlement with an expiry date (see edge-function/entitlements.js) keeps
+ * granting access after it expires.
+ */
+const fs = require('fs');
+const path = require('path');
+const { DEVICES } = require('./edge-function/rules');
+
+const DEFAULT_CATALOG_FILE = path.join(__dirname, 'products.json');
+
+/**
+ * Check that the catalog is consistent. Throws an error describing every problem.
+ * @param {Object} catalog
+ * @returns Object: the catalog
+ */
+function validateCatalog(catalog){
+    let errors = [];
+    let products = (catalog && catalog.products) || [];
+    let codes = {};
+    let slugs = {};
+
+    if (products.length === 0){
+        errors.push('the catalog does not contain any products');
+    }
+    if (catalog && catalog.gracePeriodSeconds !== undefined &&
+        !(Number.isInteger(catalog.gracePeriodSeconds) && catalog.gracePeriodSeconds >= 0)){
+        errors.push('gracePeriodSeconds must be a whole number of seconds, 0 or more');
+    }
+
+    products.map((p, i) => {
+        let label = p.code || ('entry ' + i);
+        if (!p.code){
+            errors.push(label + ': code is required');
+        }
+        // Codes are stored in the custom:subs attribute, where ':' and ',' separate the entries
+        else if (!/^[A-Za-z0-9_-]+$/.test(p.code)){
+            errors.push(label + ': code may only contain letters, digits, underscores and dashes');
+        }
+        else if (codes[p.code]){
+            errors.push(label + ': duplicate code');
+        }
+        codes[p.code] = p;
+
+        if (!p.name){
+            errors.push(label + ': name is required');
+        }
+
+        if (p.includes){
+            if (!Array.isArray(p.includes) || p.includes.length === 0){
+                errors.push(label + ': includes must be a non-empty list of product codes');
+            }
+        }
+        else if (!p.slug){
+            errors.push(label + ': slug is required for products that are not bundles');
+        }
+
+        if (p.slug){
+            if (!/^[a-z0-9-]+$/.test(p.slug)){
+                errors.push(label + ': slug may only contain lowercase letters, digits and dashes');
+            }
+            else if (slugs[p.slug]){
+                errors.push(label + ': duplicate slug ' + p.slug);
+            }
+            slugs[p.slug] = p;
+        }
+
+        if (p.meter && !(p.meter.limit >= 0 && p.meter.periodSeconds > 0)){
+            errors.push(label + ': meter needs a limit and a periodSeconds value');
+        }
+
+        if (p.rules){
+            validateRules(p.rules).map(e => errors.push(label + ': ' + e));
+        }
+    });
+
+    products.filter(p => Array.isArray(p.includes)).map(p => {
+        p.includes.filter(c => !codes[c]).map(c => errors.push(p.code + ': includes unknown code ' + c));
+    });
+
+    if (errors.length > 0){
+        throw new Error('Invalid product catalog:\n  ' + errors.join('\n  '));
+    }
+
+    return catalog;
+}
+
+/**
+ * Check the viewer rules of a catalog entry.
+ * @param {Object} rules: { countries, devices }
+ * @returns String[]: list of problems
+ */
+function validateRules(rules){
+    let errors = [];
+    let countries = rules.countries;
+    let devices = rules.devices;
+
+    if (countries === undefined && devices === undefined){
+        errors.push('rules need countries or devices');
+    }
+    if (countries !== undefined){
+        if (!Array.isArray(countries) || countries.length === 0){
+            errors.push('rules.countries must be a non-empty list of country codes');
+        }
+        else {
+            countries.filter(c => !/^[A-Z]{2}$/.test(c))
+                .map(c => errors.push('rules.countries: ' + c + ' is not a two letter uppercase country code'));
+        }
+    }
+    if (devices !== undefined){
+        if (!Array.isArray(devices) || devices.length === 0){
+            errors.push('rules.devices must be a non-empty list of device types');
+        }
+        else {
+            devices.filter(d => !DEVICES.includes(d))
+                .map(d => errors.push('rules.devices: unknown device type ' + d + ', use ' + DEVICES.join(', ')));
+        }
+    }
+    return errors;
+}
+
+/**
+ * Read and validate the catalog file.
+ * @param {String} file
+ * @returns Object
+ */
+function loadCatalog(file = DEFAULT_CATALOG_FILE){
+    return validateCatalog(JSON.parse(fs.readFileSync(file).toString()));
+}
+
+/**
+ * List the subscription codes that can be assigned to users.
+ * @param {Object} catalog
+ * @returns String[]
+ */
+function getCodes(catalog){
+    return catalog.products.map(p => p.code);
+}
+
+/**
+ * Work out which product codes each subscription code grants. Bundles grant
+ * their included products (and the products of included bundles).
+ * @param {Object} catalog
+ * @returns Object: code to list of codes
+ */
+function expandGrants(catalog){
+    let byCode = {};
+    catalog.products.map(p => byCode[p.code] = p);
+
+    function expand(code, seen){
+        if (seen.includes(code)){
+            return [];
+        }
+        let entry = byCode[code];
+        let granted = [code];
+        (entry.includes || []).map(c => {
+            expand(c, seen.concat(code)).map(g => {
+                if (!granted.includes(g)){
+                    granted.push(g);
+                }
+            });
+        });
+        return granted;
+    }
+
+    let grants = {};
+    catalog.products.map(p => grants[p.code] = expand(p.code, []));
+    return grants;
+}
+
+/**
+ * Build the catalog section of the edge function configuration. The names are
+ * used in the responses for users who are not entitled.
+ * @param {Object} catalog
+ * @returns { products: Object, grants: Object, names: Object, gracePeriodSeconds: Number, rules: Object }
+ */
+function buildEdgeCatalog(catalog){
+    let products = {};
+    let names = {};
+    let rules = {};
+    catalog.products.filter(p => p.slug).map(p => products[p.slug] = p.code);
+    catalog.products.map(p => names[p.code] = p.name);
+    catalog.products.filter(p => p.rules).map(p => {
+        rules[p.code] = {};
+        ['countries', 'devices'].filter(r => p.rules[r]).map(r => rules[p.code][r] = p.rules[r]);
+    });
+
+    return {
+        products: products,
+        grants: expandGrants(catalog),
+        names: names,
+        gracePeriodSeconds: catalog.gracePeriodSeconds || 0,
+        rules: rules
+    };
+}
+
+/**
+ * Build the metered products section of the edge function configuration.
+ * @param {Object} catalog
+ * @returns Object: product slug to { limit, periodSeconds }
+ */
+function buildMeteredProducts(catalog){
+    let metered = {};
+    catalog.products.filter(p => p.slug && p.meter).map(p => {
+        metered[p.slug] = { limit: p.meter.limit, periodSeconds: p.meter.periodSeconds };
+    });
+    return metered;
+}
+
+module.exports = {
+    DEFAULT_CATALOG_FILE,
+    validateCatalog,
+    loadCatalog,
+    getCodes,
+    expandGrants,
+    buildEdgeCatalog,
+    buildMeteredProducts
+};
@@ -0,0 +1,109 @@
+'use strict';
+// © 2022 Amazon Web Services, Inc. or its affiliates. All Rights Reserved.
+// This work is licensed under a MIT-0 License.
+
+/**
+ * Helpers to update a stack through a CloudFormation change set, so that the
+ * resource changes can be shown before they are applied.
+ */
+
+// CloudFormation fails the change set when the template and parameters are unchanged
+const NO_CHANGES = /didn't contain changes|No updates are to be performed/;
+
+/**
+ * Create a change set and wait until CloudFormation has computed the changes.
+ * @param {AWS.CloudFormation} cloudformation
+ * @param {Object} params: createChangeSet parameters (StackName, ChangeSetName, ...)
+ * @returns { stackName, name, changes: Object[], empty: Boolean, exists: Boolean }
+ */
+async function createChangeSet(cloudformation, params){
+    const id = { StackName: params.StackName, ChangeSetName: params.ChangeSetName };
+    await cloudformation.createChangeSet(Object.assign({ ChangeSetType: 'UPDATE' }, params)).promise();
+
+    try {
+        await cloudformation.waitFor('changeSetCreateComplete', id).promise();
+    }
+    catch (e){
+        let description = await cloudformation.describeChangeSet(id).promise();
+        if (description.Status === 'FAILED' && NO_CHANGES.test(description.StatusReason || '')){
+            await cloudformation.deleteChangeSet(id).promise();
+            return { stackName: params.StackName, name: params.ChangeSetName, changes: [], empty: true, exists: false };
+        }
+        throw new Error('Change set for ' + params.StackName + ' failed: ' + (description.StatusReason || e.message));
+    }
+
+    let changes = [];
+    let token = undefined;
+    do {
+        let page = await cloudformation.describeChangeSet(Object.assign({ NextToken: token }, id)).promise();
+        (page.Changes || []).map(c => changes.push(c.ResourceChange));
+        token = page.NextToken;
+    } while (token);
+
+    return { stackName: params.StackName, name: params.ChangeSetName, changes: changes, empty: changes.length === 0, exists: true };
+}
+
+/**
+ * Format the resource changes of a change set, one line per resource.
+ * @param {Object} changeSet: from createChangeSet
+ * @returns String
+ */
+function formatChanges(changeSet){
+    if (changeSet.empty){
+        return changeSet.stackName + ': no changes';
+    }
+
+    const symbols = { Add: '+', Modify: '~', Remove: '-', Import: '>', Dynamic: '?' };
+    return changeSet.stackName + ':\n' + changeSet.changes.map(c => {
+        let line = '  ' + (symbols[c.Action] || ' ') + ' ' + c.LogicalResourceId + ' (' + c.ResourceType + ')';
+        if (c.Action === 'Modify'){
+            let properties = (c.Details || []).map(d => d.Target && d.Target.Name).filter((n, i, list) => n && list.indexOf(n) === i);
+            if (properties.length > 0){
+                line += ' ' + properties.join(', ');
+            }
+            if (c.Replacement === 'True' || c.Replacement === 'Conditional'){
+                line += ' [replacement: ' + c.Replacement + ']';
+            }
+        }
+        return line;
+    }).join('\n');
+}
+
+/**
+ * Apply a change set and wait for the stack update. If the update fails,
+ * CloudFormation rolls the stack back to its previous state.
+ * @param {AWS.CloudFormation} cloudformation
+ * @param {Object} changeSet: from createChangeSet
+ */
+async function executeChangeSet(cloudformation, changeSet){
+    await cloudformation.executeChangeSet({ StackName: changeSet.stackName, ChangeSetName: changeSet.name }).promise();
+    changeSet.exists = false;
+
+    try {
+        await cloudformation.waitFor('stackUpdateComplete', { StackName: changeSet.stackName }).promise();
+    }
+    catch (e){
+        let description = await cloudformation.describeStacks({ StackName: changeSet.stackName }).promise();
+        let status = description.Stacks[0] ? description.Stacks[0].StackStatus : 'unknown';
+        throw new Error('Update of ' + changeSet.stackName + ' failed (stack status ' + status + ')');
+    }
+}
+
+/**
+ * Delete a change set that will not be applied.
+ * @param {AWS.CloudFormation} cloudformation
+ * @param {Object} changeSet: from createChangeSet
+ */
+async function deleteChangeSet(cloudformation, changeSet){
+    if (changeSet && changeSet.exists){
+        changeSet.exists = false;
+        await cloudformation.deleteChangeSet({ StackName: changeSet.stackName, ChangeSetName: changeSet.name }).promise();
+    }
+}
+
+module.exports = {
+    createChangeSet,
+    deleteChangeSet,
+    executeChangeSet,
+    formatChanges
+};
@@ -0,0 +1,58 @@
+'use strict';
+// © 2022 Amazon Web Services, Inc. or its affiliates. All Rights Reserved.
+// This work is licensed under a MIT-0 License.
+
+// Parses the Cookie request headers as described in RFC 6265 section 5.4:
+// a header holds name=value pairs separated by semicolons, and a request
+// can have several cookie headers (CloudFront passes each one separately).
+// Cookie names are case sensitive. A value may be wrapped in double quotes,
+// which are not part of the value. When a name appears more than once, the
+// first one wins: browsers send the cookie with the most specific path first.
+
+/**
+ * Parse all the cookie headers of a CloudFront request.
+ * @param {Object} headers: CloudFront request headers
+ * @returns Object: cookie name to value
+ */
+function parseCookies(headers){
+    let cookies = {};
+
+    (headers.cookie || []).map(header => {
+        String(header.value).split(';').map(pair => {
+            let i = pair.indexOf('=');
+            // Pairs without a name or an equals sign are ignored
+            if (i < 0){
+                return;
+            }
+
+            let name = pair.substring(0, i).trim();
+            let value = pair.substring(i + 1).trim();
+            if (!name || Object.prototype.hasOwnProperty.call(cookies, name)){
+                return;
+            }
+
+            if (value.length >= 2 && value.startsWith('"') && value.endsWith('"')){
+                value = value.substring(1, value.length - 1);
+            }
+            cookies[name] = value;
+        });
+    });
+
+    return cookies;
+}
+
+/**
+ * Find the value of a cookie in the CloudFront cookie headers.
+ * @param {Object} headers: CloudFront request headers
+ * @param {String} name
+ * @returns String, or null if there is no such cookie
+ */
+function getCookieValue(headers, name){
+    let cookies = parseCookies(headers);
+    return Object.prototype.hasOwnProperty.call(cookies, name) ? cookies[name] : null;
+}
+
+module.exports = {
+    getCookieValue,
+    parseCookies
+};
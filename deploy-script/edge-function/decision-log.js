@@ -0,0 +1,245 @@
+'use strict';
+// © 2022 Amazon Web Services, Inc. or its affiliates. All Rights Reserved.
+// This work is licensed under a MIT-0 License.
+
+// Writes one JSON log line per viewer request with the paywall decision.
+// The line never contains the token, the cookies or the query string; the user
+// is identified by a keyed hash of the sub claim, so log lines of the same user
+// can be correlated without storing who the user is. Problems met while
+// handling the request (a JWKS or deny list that cannot be loaded, an unusable
+// key, a tampered meter cookie) are in the error field of the line rather than
+// in separate log lines.
+//
+// The line is also in CloudWatch Embedded Metric Format (EMF): CloudWatch
+// extracts the allowed and denied counts and the verification latency per
+// product (and per product and decision) from the _aws section, without any
+// API call from the function. Requests that are not paywall decisions (other
+// methods, urls without a product) are logged without metrics.
+//
+// A full read that the origin-request event downgrades to the preview, because
+// of the viewer rules (see rules.js), gets a second, shorter line with its own
+// restricted metric. It is only written on cache misses.
+const crypto = require('crypto');
+
+const LOG_TYPE = 'paywall-decision';
+const RESTRICTION_LOG_TYPE = 'paywall-restriction';
+const DEFAULT_NAMESPACE = 'PaywallDemo';
+// Product of requests for urls that are not in the catalog
+const NO_PRODUCT = 'none';
+
+const DECISIONS = {
+    FULL: 'full',
+    PREVIEW: 'preview',
+    METERED: 'metered',
+    DENIED: 'denied',
+    PASSTHROUGH: 'passthrough'
+};
+
+// Value of x-is-subscriber for each decision that forwards the request
+const ACCESS_DECISIONS = {
+    'true': DECISIONS.FULL,
+    'false': DECISIONS.PREVIEW,
+    'metered': DECISIONS.METERED
+};
+
+// Fields of every log line and their types; null is allowed for the types in brackets
+const LOG_SCHEMA = {
+    type: 'string',
+    timestamp: 'string',
+    requestId: '[string]',
+    distributionId: '[string]',
+    method: 'string',
+    path: 'string',
+    product: 'string',
+    decision: 'string',
+    reason: '[string]',
+    status: '[string]',
+    user: '[string]',
+    tokenSource: '[string]',
+    grace: 'boolean',
+    invalidEntitlements: 'number',
+    meterRemaining: '[number]',
+    verifyMs: 'number',
+    error: '[string]',
+    allowed: 'number',
+    denied: 'number'
+};
+
+/**
+ * Hash the sub claim of a user. With a key, the hash cannot be reversed by
+ * hashing known user ids.
+ * @param {String} sub
+ * @param {String} key: HMAC key (optional)
+ * @returns String, or null without a sub
+ */
+function hashUserId(sub, key){
+    if (!sub){
+        return null;
+    }
+    let hash = key ? crypto.createHmac('sha256', key) : crypto.createHash('sha256');
+    return hash.update(String(sub)).digest('hex').substring(0, 16);
+}
+
+/**
+ * Build the log line of a request.
+ * @param {Object} event: CloudFront viewer-request event
+ * @param {Object} decision: filled in by the handler {
+ *      product (catalog code), access (x-is-subscriber value), reason, sub, tokenSource,
+ *      grace, invalidEntitlements, meterRemaining, verifyMs, errors (String[])
+ * }
+ * @param {Object} result: the forwarded request or the generated response
+ * @param {Object} options: { userHashKey, namespace }
+ * @returns Object
+ */
+function buildDecisionRecord(event, decision, result, options = {}){
+    const cf = event.Records[0].cf;
+    const now = Date.now();
+
+    let outcome = DECISIONS.PASSTHROUGH;
+    if (result && result.status){
+        outcome = DECISIONS.DENIED;
+    }
+    else if (decision.access){
+        outcome = ACCESS_DECISIONS[decision.access] || DECISIONS.PASSTHROUGH;
+    }
+
+    let record = {
+        type: LOG_TYPE,
+        timestamp: new Date(now).toISOString(),
+        requestId: cf.config.requestId || null,
+        distributionId: cf.config.distributionId || null,
+        method: cf.request.method,
+        path: cf.request.uri,
+        // The catalog code, so that made-up urls cannot create new metric dimensions
+        product: decision.product || NO_PRODUCT,
+        decision: outcome,
+        reason: decision.reason || null,
+        status: result && result.status ? String(result.status) : null,
+        user: hashUserId(decision.sub, options.userHashKey),
+        tokenSource: decision.tokenSource || null,
+        grace: !!decision.grace,
+        invalidEntitlements: decision.invalidEntitlements || 0,
+        meterRemaining: decision.meterRemaining ?? null,
+        verifyMs: Math.round((decision.verifyMs || 0) * 100) / 100,
+        error: decision.errors && decision.errors.length ? decision.errors.join('; ') : null,
+        allowed: outcome === DECISIONS.FULL || outcome === DECISIONS.METERED ? 1 : 0,
+        denied: outcome === DECISIONS.DENIED || outcome === DECISIONS.PREVIEW ? 1 : 0
+    };
+
+    if (outcome !== DECISIONS.PASSTHROUGH){
+        record._aws = {
+            Timestamp: now,
+            CloudWatchMetrics: [{
+                Namespace: options.namespace || DEFAULT_NAMESPACE,
+                Dimensions: [['product'], ['product', 'decision']],
+                Metrics: [
+                    { Name: 'allowed', Unit: 'Count' },
+                    { Name: 'denied', Unit: 'Count' },
+                    { Name: 'verifyMs', Unit: 'Milliseconds' }
+                ]
+            }]
+        };
+    }
+
+    return record;
+}
+
+/**
+ * Build the log line of a full read restricted by the viewer rules.
+ * @param {Object} event: CloudFront origin-request event
+ * @param {Object} restriction: { product (catalog code), reason }
+ * @param {Object} options: { namespace }
+ * @returns Object
+ */
+function buildRestrictionRecord(event, restriction, options = {}){
+    const cf = event.Records[0].cf;
+    const now = Date.now();
+
+    return {
+        type: RESTRICTION_LOG_TYPE,
+        timestamp: new Date(now).toISOString(),
+        requestId: cf.config.requestId || null,
+        distributionId: cf.config.distributionId || null,
+        path: cf.request.uri,
+        product: restriction.product || NO_PRODUCT,
+        reason: restriction.reason,
+        restricted: 1,
+        _aws: {
+            Timestamp: now,
+            CloudWatchMetrics: [{
+                Namespace: options.namespace || DEFAULT_NAMESPACE,
+                Dimensions: [['product']],
+                Metrics: [{ Name: 'restricted', Unit: 'Count' }]
+            }]
+        }
+    };
+}
+
+/**
+ * Check a log line against LOG_SCHEMA and the EMF structure.
+ * @param {Object} record
+ * @returns String[]: list of problems
+ */
+function checkDecisionRecord(record){
+    let problems = [];
+
+    Object.keys(LOG_SCHEMA).map(field => {
+        let type = LOG_SCHEMA[field];
+        let nullable = type.startsWith('[');
+        let value = record[field];
+        if (value === undefined){
+            problems.push(field + ' is missing');
+        }
+        else if (!(value === null && nullable) && typeof value !== type.replace(/[[\]]/g, '')){
+            problems.push(field + ' should be ' + (nullable ? 'null or a ' : 'a ') + type.replace(/[[\]]/g, ''));
+        }
+    });
+    Object.keys(record).filter(f => !LOG_SCHEMA[f] && f !== '_aws').map(f => problems.push('unexpected field ' + f));
+
+    if (record.decision !== undefined && !Object.values(DECISIONS).includes(record.decision)){
+        problems.push('unknown decision ' + record.decision);
+    }
+
+    if (record._aws){
+        let directive = (record._aws.CloudWatchMetrics || [])[0];
+        if (typeof record._aws.Timestamp !== 'number' || !directive || !directive.Namespace){
+            problems.push('_aws needs a Timestamp and a CloudWatchMetrics directive with a Namespace');
+        }
+        else {
+            // Every dimension and metric must be a field of the line
+            [].concat(...directive.Dimensions).filter(d => typeof record[d] !== 'string')
+                .map(d => problems.push('dimension ' + d + ' is not a string field'));
+            directive.Metrics.filter(m => typeof record[m.Name] !== 'number')
+                .map(m => problems.push('metric ' + m.Name + ' is not a number field'));
+        }
+    }
+    else if (record.decision !== DECISIONS.PASSTHROUGH){
+        problems.push('the metrics (_aws) are missing');
+    }
+
+    return problems;
+}
+
+/**
+ * Create the decision logger of the edge function.
+ * @param {Object} options: { userHashKey, namespace } (optional)
+ * @returns { log: Function, logRestriction: Function }
+ */
+function createDecisionLogger(options = {}){
+    return {
+        log: (event, decision, result) => console.log(JSON.stringify(buildDecisionRecord(event, decision, result, options))),
+        logRestriction: (event, restriction) => console.log(JSON.stringify(buildRestrictionRecord(event, restriction, options)))
+    };
+}
+
+module.exports = {
+    DECISIONS,
+    LOG_SCHEMA,
+    LOG_TYPE,
+    RESTRICTION_LOG_TYPE,
+    buildDecisionRecord,
+    buildRestrictionRecord,
+    checkDecisionRecord,
+    createDecisionLogger,
+    hashUserId
+};
@@ -0,0 +1,168 @@
+'use strict';
+// © 2022 Amazon Web Services, Inc. or its affiliates. All Rights Reserved.
+// This work is licensed under a MIT-0 License.
+
+// Parses the entitlements in the subscriptions claim. Each entry is a
+// subscription code, optionally followed by an expiry and a trial flag:
+//   A                        no expiry
+//   A:2026-12-31             valid until the end of that day (UTC)
+//   B:20261101T093000Z       valid until that time (UTC, ISO 8601 basic format,
+//                            which has no colons)
+//   B:20261101T093000Z:trial a trial, which ends at the expiry
+// Paid entitlements stay valid during the grace period of the catalog after
+// they expire, so that a late renewal does not lock the user out; trials end
+// on time. The user script writes entries in this format (see user-script/users.js).
+
+const TRIAL_FLAG = 'trial';
+
+// Reasons logged when an expired entitlement would have granted the product
+const REASONS = {
+    EXPIRED: 'entitlement_expired',
+    TRIAL_EXPIRED: 'trial_expired'
+};
+
+/**
+ * Parse an expiry date.
+ * @param {String} value: YYYY-MM-DD or YYYYMMDDTHHMMSSZ
+ * @returns Number: milliseconds since the epoch, or NaN if the value is not valid
+ */
+function parseExpiry(value){
+    let match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    if (match){
+        // The whole day is included
+        return checkDate(Date.UTC(match[1], match[2] - 1, Number(match[3]) + 1), match);
+    }
+
+    match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(value);
+    if (match){
+        return checkDate(Date.UTC(match[1], match[2] - 1, match[3], match[4], match[5], match[6]), match);
+    }
+    return NaN;
+}
+
+// Date.UTC rolls over invalid values such as 2026-02-30, so they are checked separately
+function checkDate(time, match){
+    let day = new Date(Date.UTC(match[1], match[2] - 1, match[3]));
+    let valid = day.getUTCMonth() === match[2] - 1 && day.getUTCDate() === Number(match[3]) &&
+        (match[4] === undefined || (match[4] <= 23 && match[5] <= 59 && match[6] <= 59));
+    return valid ? time : NaN;
+}
+
+/**
+ * Format an expiry date for an entitlement entry.
+ * @param {Number} time: milliseconds since the epoch
+ * @returns String: YYYYMMDDTHHMMSSZ
+ */
+function formatExpiry(time){
+    return new Date(time).toISOString().replace(/\.\d{3}Z$/, 'Z').replace(/[-:]/g, '');
+}
+
+/**
+ * Parse one entitlement entry.
+ * @param {String} entry
+ * @returns Object: { code, expires: milliseconds since the epoch or null, trial: Boolean },
+ *          or null if the entry is not valid
+ */
+function parseEntitlement(entry){
+    let parts = String(entry).trim().split(':');
+    let code = parts[0];
+    let expires = null;
+    let trial = false;
+
+    if (!code || parts.length > 3){
+        return null;
+    }
+    if (parts.length > 1){
+        expires = parseExpiry(parts[1]);
+        if (isNaN(expires)){
+            return null;
+        }
+    }
+    if (parts.length > 2){
+        if (parts[2] !== TRIAL_FLAG){
+            return null;
+        }
+        trial = true;
+    }
+
+    return { code: code, expires: expires, trial: trial };
+}
+
+/**
+ * Format an entitlement as an entry of the subscriptions claim.
+ * @param {Object} entitlement: { code, expires, trial }
+ * @returns String
+ */
+function formatEntitlement(entitlement){
+    let entry = entitlement.code;
+    if (entitlement.expires !== null && entitlement.expires !== undefined){
+        entry += ':' + formatExpiry(entitlement.expires);
+        if (entitlement.trial){
+            entry += ':' + TRIAL_FLAG;
+        }
+    }
+    return entry;
+}
+
+/**
+ * Check whether an entitlement is valid at the given time. The grace period
+ * does not apply to trials.
+ * @param {Object} entitlement: { code, expires, trial }
+ * @param {Number} now: milliseconds since the epoch
+ * @param {Number} gracePeriodSeconds
+ * @returns Boolean
+ */
+function isActive(entitlement, now, gracePeriodSeconds = 0){
+    if (entitlement.expires === null){
+        return true;
+    }
+    let grace = entitlement.trial ? 0 : (gracePeriodSeconds || 0) * 1000;
+    return now < entitlement.expires + grace;
+}
+
+/**
+ * Check whether the entitlements grant access to a product.
+ * @param {Object[]} entitlements: parsed entries, see parseEntitlement
+ * @param {String} productCode: code of the requested product
+ * @param {Object} grants: subscription code to list of product codes
+ * @param {Number} now: milliseconds since the epoch
+ * @param {Number} gracePeriodSeconds
+ * @returns Object: { entitled: Boolean, grace: Boolean, reason: String or null, codes: String[] };
+ *          grace is true when access is only granted by the grace period, reason is set when an
+ *          expired entitlement would have granted the product, and codes lists the subscription
+ *          codes that grant access
+ */
+function checkEntitlements(entitlements, productCode, grants, now, gracePeriodSeconds = 0){
+    let matching = productCode ? entitlements.filter(e => (grants[e.code] || []).includes(productCode)) : [];
+
+    let active = matching.filter(e => isActive(e, now));
+    if (active.length > 0){
+        return { entitled: true, grace: false, reason: null, codes: active.map(e => e.code) };
+    }
+    active = matching.filter(e => isActive(e, now, gracePeriodSeconds));
+    if (active.length > 0){
+        return { entitled: true, grace: true, reason: null, codes: active.map(e => e.code) };
+    }
+    if (matching.length === 0){
+        return { entitled: false, grace: false, reason: null, codes: [] };
+    }
+
+    // Only report a trial when no paid entitlement for the product ever existed
+    return {
+        entitled: false,
+        grace: false,
+        reason: matching.every(e => e.trial) ? REASONS.TRIAL_EXPIRED : REASONS.EXPIRED,
+        codes: []
+    };
+}
+
+module.exports = {
+    REASONS,
+    TRIAL_FLAG,
+    checkEntitlements,
+    formatEntitlement,
+    formatExpiry,
+    isActive,
+    parseEntitlement,
+    parseExpiry
+};
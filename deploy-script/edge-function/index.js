@@ -0,0 +1,12 @@
+'use strict';
+// © 2022 Amazon Web Services, Inc. or its affiliates. All Rights Reserved.
+// This work is licensed under a MIT-0 License.
+
+// Lambda@Edge entry point. The config.json file is generated by
+// deploy-script/index.js and added to the deployment package, so it
+// only exists inside the packaged function. To run the paywall logic
+// locally, use deploy-script/local/harness.js instead.
+const { createHandler } = require('./paywall');
+const config = require('./config.json');
+
+exports.handler = createHandler(config);
@@ -0,0 +1,210 @@
+'use strict';
+// © 2022 Amazon Web Services, Inc. or its affiliates. All Rights Reserved.
+// This work is licensed under a MIT-0 License.
+
+// Loads the public keys of the Identity Provider at runtime so that
+// tokens signed with a rotated key are accepted without redeploying.
+// The JWKS is cached for a configurable TTL in the memory of the
+// Lambda@Edge instance, and it is fetched again (at most once per
+// refresh interval) when a token uses a key id that is not in the cache.
+// The keys baked into config.json at deploy time are only used when
+// the JWKS cannot be retrieved. Problems with the keys are reported to the
+// request that needs the key, for its decision log line; the messages name
+// the key id, never the key itself.
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+const DEFAULT_CACHE_TTL_SECONDS = 3600;
+const DEFAULT_MIN_REFRESH_SECONDS = 10;
+const DEFAULT_TIMEOUT_MS = 1500;
+
+/**
+ * Download the JWKS document. The deploy script uses it for the OpenID
+ * configuration of the Identity Provider as well.
+ * @param {String} url
+ * @param {Number} timeoutMs
+ * @returns Object
+ */
+function fetchJwks(url, timeoutMs = DEFAULT_TIMEOUT_MS){
+    const client = url.startsWith('http://') ? http : https;
+
+    return new Promise( (resolve, reject) => {
+        let req = client.get(url, { timeout: timeoutMs }, (res) => {
+            let chunks = [];
+
+            res.on('data', (d) => chunks.push(d));
+            res.on('end', () => {
+                if (res.statusCode !== 200){
+                    return reject(new Error('Request for ' + url + ' returned status ' + res.statusCode));
+                }
+                try {
+                    return resolve(JSON.parse(Buffer.concat(chunks).toString()));
+                }
+                catch (e){
+                    return reject(e);
+                }
+            });
+        });
+
+        req.on('timeout', () => req.destroy(new Error('Request for ' + url + ' timed out')));
+        req.on('error', (error) => reject(error));
+    } );
+}
+
+/**
+ * Describe a public key for the verifier: the pem, the parsed key, the algorithm
+ * the key is restricted to (if any), and the key type and curve, so that a token
+ * cannot use an algorithm that does not match the key. The key is parsed once
+ * here rather than on every verification.
+ * @param {String|KeyObject} publicKey: pem or public KeyObject
+ * @param {String} alg: alg of the JWK (optional)
+ * @returns { pem, key: KeyObject, alg, type: rsa|ec, curve }
+ */
+function describeKey(publicKey, alg){
+    let key = typeof publicKey === 'string' ? crypto.createPublicKey(publicKey) : publicKey;
+    return {
+        pem: typeof publicKey === 'string' ? publicKey : key.export({ type: 'spki', format: 'pem' }),
+        key: key,
+        alg: alg || null,
+        type: key.asymmetricKeyType,
+        curve: key.asymmetricKeyDetails ? key.asymmetricKeyDetails.namedCurve || null : null
+    };
+}
+
+/**
+ * Convert the keys of a JWKS document into a map of key id to key. Keys that
+ * are not meant for signatures (use enc) or cannot be imported are skipped.
+ * @param {Object} jwks
+ * @param {Object} unusable: receives the key id and error message of each key that
+ *                 cannot be imported (optional)
+ * @returns Object: kid to { pem, key, alg, type, curve }
+ */
+function jwksToKeys(jwks, unusable = {}){
+    let keys = {};
+
+    (jwks.keys || []).filter(k => !k.use || k.use === 'sig').map(k => {
+        try {
+            keys[k.kid] = describeKey(crypto.createPublicKey({ key: k, format: 'jwk' }), k.alg);
+        }
+        catch (e){
+            unusable[k.kid] = e.message;
+        }
+    });
+
+    return keys;
+}
+
+/**
+ * Convert the fallback keys of config.json. Each key is a pem, or { pem, alg }.
+ * @param {Object} fallbackKeys: kid to key
+ * @param {Object} unusable: receives the key id and error message of each key that
+ *                 cannot be imported
+ * @returns Object: kid to { pem, key, alg, type, curve }
+ */
+function loadFallbackKeys(fallbackKeys, unusable){
+    let keys = {};
+
+    Object.keys(fallbackKeys || {}).map(kid => {
+        let k = fallbackKeys[kid];
+        try {
+            keys[kid] = typeof k === 'string' ? describeKey(k) : describeKey(k.pem, k.alg);
+        }
+        catch (e){
+            unusable[kid] = e.message;
+        }
+    });
+
+    return keys;
+}
+
+/**
+ * Create a key store.
+ * @param {Object} options: {
+ *      jwksUrl: String,                    where to load the keys from (optional)
+ *      fallbackKeys: Object,               key id to pem (or { pem, alg }), baked in at deploy time
+ *      cacheTtlSeconds: Number,            how long a fetched JWKS is used
+ *      minRefreshSeconds: Number,          minimum time between fetches for unknown key ids
+ *      fetch: Function                     replaces fetchJwks (for local testing)
+ * }
+ * @returns { getKey: Function }
+ */
+function createKeyStore(options){
+    const jwksUrl = options.jwksUrl;
+    const unusableFallbackKeys = {};
+    const fallbackKeys = loadFallbackKeys(options.fallbackKeys, unusableFallbackKeys);
+    const ttl = (options.cacheTtlSeconds ?? DEFAULT_CACHE_TTL_SECONDS) * 1000;
+    const minRefresh = (options.minRefreshSeconds ?? DEFAULT_MIN_REFRESH_SECONDS) * 1000;
+    const load = options.fetch || fetchJwks;
+
+    let cached = null;
+    let unusableKeys = {};
+    let fetchedAt = 0;
+    let lastAttempt = 0;
+
+    async function refresh(errors){
+        lastAttempt = Date.now();
+        try {
+            let unusable = {};
+            cached = jwksToKeys(await load(jwksUrl), unusable);
+            unusableKeys = unusable;
+            fetchedAt = lastAttempt;
+        }
+        catch (e){
+            // Keep using the previous keys (or the fallback keys) if the
+            // Identity Provider cannot be reached
+            errors.push('Could not load JWKS: ' + e.message);
+        }
+    }
+
+    // The key, or null after reporting why a key with that id could not be used
+    function useFallbackKey(kid, errors){
+        if (fallbackKeys[kid]){
+            return fallbackKeys[kid];
+        }
+        if (Object.prototype.hasOwnProperty.call(unusableKeys, kid)){
+            errors.push('Unusable key ' + kid + ': ' + unusableKeys[kid]);
+        }
+        if (Object.prototype.hasOwnProperty.call(unusableFallbackKeys, kid)){
+            errors.push('Unusable fallback key ' + kid + ': ' + unusableFallbackKeys[kid]);
+        }
+        return null;
+    }
+
+    /**
+     * Find the public key for the key id in a JWT header.
+     * @param {String} kid
+     * @param {String[]} errors: problems with the keys are added to it (optional)
+     * @returns Object: { pem, key, alg, type, curve }, or null if the key is unknown
+     */
+    async function getKey(kid, errors = []){
+        if (!jwksUrl){
+            return useFallbackKey(kid, errors);
+        }
+
+        // Refresh when the cache has expired, or when the key may have been
+        // rotated since the cache was filled. Failed or repeated fetches are
+        // throttled so that tokens with made-up key ids cannot flood the
+        // Identity Provider.
+        let stale = !cached || Date.now() - fetchedAt > ttl;
+        let unknown = cached && !cached[kid];
+        if ((stale || unknown) && Date.now() - lastAttempt >= minRefresh){
+            await refresh(errors);
+        }
+
+        if (cached && cached[kid]){
+            return cached[kid];
+        }
+
+        return useFallbackKey(kid, errors);
+    }
+
+    return { getKey };
+}
+
+module.exports = {
+    createKeyStore,
+    describeKey,
+    fetchJwks,
+    jwksToKeys
+};
@@ -0,0 +1,165 @@
+'use strict';
+// © 2022 Amazon Web Services, Inc. or its affiliates. All Rights Reserved.
+// This work is licensed under a MIT-0 License.
+
+// Metered paywall: anonymous users and users without a subscription
+// can read a limited number of items of a product per rolling period
+// before they only get the preview. The reads are kept in a cookie
+// that is signed with an HMAC, so that a viewer cannot edit the cookie
+// to get more free reads. (A viewer can always delete the cookie; a
+// server side store would be needed to prevent that.)
+//
+// The cookie value is base64url(JSON) + '.' + base64url(HMAC-SHA256),
+// where the JSON holds a list of [product, content id, epoch seconds].
+// Reading the same item again within the period is not counted.
+const crypto = require('crypto');
+const { getCookieValue } = require('./cookies');
+
+const DEFAULT_COOKIE_NAME = 'paywall_meter';
+
+/**
+ * Compute the signature of the encoded meter.
+ * @param {String} data
+ * @param {String} secret
+ * @returns String
+ */
+function sign(data, secret){
+    return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+/**
+ * Decode the meter cookie and check its signature.
+ * @param {String} value
+ * @param {String} secret
+ * @returns { reads: Array, tampered: Boolean }
+ */
+function readMeter(value, secret){
+    if (!value){
+        return { reads: [], tampered: false };
+    }
+
+    let parts = value.split('.');
+    if (parts.length !== 2){
+        return { reads: [], tampered: true };
+    }
+
+    let expected = Buffer.from(sign(parts[0], secret));
+    let actual = Buffer.from(parts[1]);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)){
+        return { reads: [], tampered: true };
+    }
+
+    try {
+        let obj = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+        return { reads: Array.isArray(obj.r) ? obj.r : [], tampered: false };
+    }
+    catch (e){
+        return { reads: [], tampered: true };
+    }
+}
+
+/**
+ * Encode and sign the meter reads.
+ * @param {Array} reads
+ * @param {String} secret
+ * @returns String
+ */
+function writeMeter(reads, secret){
+    let data = Buffer.from(JSON.stringify({ r: reads })).toString('base64url');
+    return data + '.' + sign(data, secret);
+}
+
+/**
+ * Count a read of the content item against the meter of the product.
+ * @param {Array} reads: [product, content id, epoch seconds] entries
+ * @param {String} product
+ * @param {String} contentId
+ * @param {Object} rule: { limit: Number, periodSeconds: Number }
+ * @param {Number} now: epoch seconds
+ * @returns { allowed: Boolean, remaining: Number, reads: Array }
+ */
+function recordRead(reads, product, contentId, rule, now){
+    // Drop reads that fell out of their rolling period. Reads of other products
+    // are kept as long as the longest period allows (checked when they are used).
+    let current = reads.filter(r => r[0] !== product || r[2] > now - rule.periodSeconds);
+    let productReads = current.filter(r => r[0] === product);
+    let alreadyRead = productReads.some(r => r[1] === contentId);
+
+    if (alreadyRead){
+        return { allowed: true, remaining: Math.max(rule.limit - productReads.length, 0), reads: current };
+    }
+
+    if (productReads.length >= rule.limit){
+        return { allowed: false, remaining: 0, reads: current };
+    }
+
+    current.push([product, contentId, now]);
+    return { allowed: true, remaining: rule.limit - productReads.length - 1, reads: current };
+}
+
+/**
+ * Build the Set-Cookie value for the meter.
+ * @param {String} value
+ * @param {Object} config: { cookieName, maxAgeSeconds, secureCookie }
+ * @returns String
+ */
+function meterCookie(value, config){
+    let cookie = (config.cookieName || DEFAULT_COOKIE_NAME) + '=' + value +
+        '; Path=/; Max-Age=' + config.maxAgeSeconds + '; HttpOnly; SameSite=Lax';
+    if (config.secureCookie !== false){
+        cookie += '; Secure';
+    }
+    return cookie;
+}
+
+/**
+ * Apply the meter to a request for a metered product.
+ * @param {Object} request: CloudFront request
+ * @param {String} product: product slug from the url
+ * @param {String} contentId
+ * @param {Object} config: meter configuration {
+ *      secret: String,             HMAC key for the cookie
+ *      cookieName: String,
+ *      secureCookie: Boolean,      set to false to use the cookie over http (local testing)
+ *      products: Object            product slug to { limit, periodSeconds }
+ * }
+ * @returns { allowed: Boolean, remaining: Number, cookie: String, tampered: Boolean }
+ */
+function applyMeter(request, product, contentId, config){
+    const rule = config.products[product];
+    const now = Math.floor(Date.now() / 1000);
+    let meter = readMeter(getCookieValue(request.headers, config.cookieName || DEFAULT_COOKIE_NAME), config.secret);
+
+    let result = recordRead(meter.reads, product, contentId, rule, now);
+    let maxAgeSeconds = Math.max.apply(null, Object.keys(config.products).map(p => config.products[p].periodSeconds));
+
+    return {
+        allowed: result.allowed,
+        remaining: result.remaining,
+        // The cookie was changed by the reader, or signed with another secret: a new meter was started
+        tampered: meter.tampered,
+        cookie: meterCookie(writeMeter(result.reads, config.secret), {
+            cookieName: config.cookieName,
+            secureCookie: config.secureCookie,
+            maxAgeSeconds: maxAgeSeconds
+        })
+    };
+}
+
+/**
+ * Check whether a product is metered.
+ * @param {Object} config: meter configuration
+ * @param {String} product: product slug from the url
+ * @returns Boolean
+ */
+function isMetered(config, product){
+    return !!(config && config.secret && config.products && config.products[product]);
+}
+
+module.exports = {
+    applyMeter,
+    isMetered,
+    readMeter,
+    writeMeter,
+    recordRead
+};
@@ -0,0 +1,130 @@
+'use strict';
+// © 2022 Amazon Web Services, Inc. or its affiliates. All Rights Reserved.
+// This work is licensed under a MIT-0 License.
+
+/**
+ * Signed origin requests. The edge function signs each request it forwards to the
+ * origin, so the origin can trust the subscriber flag without relying on a static
+ * key that never changes. The signature is an HMAC-SHA256 of:
+ *
+ *   v1 \n method \n path \n subscriber flag \n expiry (unix seconds) \n nonce
+ *
+ * and is sent in one header:
+ *
+ *   x-paywall-signature: keyId=<id>;expires=<unix seconds>;nonce=<hex>;signature=<base64url>
+ *
+ * The origin accepts several keys at once (by key id), so a new key can be
+ * introduced before the previous one is retired. It rejects signatures that have
+ * expired or that expire too far in the future. The nonce makes each signature
+ * unique, so that a signature in a log identifies one request.
+ *
+ * This file is also packaged with the origin function.
+ */
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-paywall-signature';
+const DEFAULT_TTL_SECONDS = 30;
+
+function canonicalString(request, expires, nonce){
+    return ['v1', request.method, request.path, request.subscriber || '', expires, nonce].join('\n');
+}
+
+function hmac(secret, data){
+    return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+/**
+ * Sign an origin request.
+ * @param {Object} request: { method, path, subscriber }
+ * @param {Object} key: { keyId, secret, ttlSeconds }
+ * @param {Number} now: unix seconds
+ * @returns String: value of the signature header
+ */
+function signOriginRequest(request, key, now = Math.floor(Date.now() / 1000)){
+    let expires = now + (key.ttlSeconds || DEFAULT_TTL_SECONDS);
+    let nonce = crypto.randomBytes(12).toString('hex');
+    let signature = hmac(key.secret, canonicalString(request, expires, nonce));
+
+    return 'keyId=' + key.keyId + ';expires=' + expires + ';nonce=' + nonce + ';signature=' + signature;
+}
+
+/**
+ * Parse the signature header.
+ * @param {String} value
+ * @returns Object, or null if a field is missing
+ */
+function parseSignature(value){
+    let fields = {};
+
+    String(value).split(';').map(part => {
+        let i = part.indexOf('=');
+        if (i > 0){
+            fields[part.substring(0, i).trim()] = part.substring(i + 1).trim();
+        }
+    });
+
+    if (!fields.keyId || !/^\d+$/.test(fields.expires || '') || !fields.nonce || !fields.signature){
+        return null;
+    }
+
+    return {
+        keyId: fields.keyId,
+        expires: parseInt(fields.expires, 10),
+        nonce: fields.nonce,
+        signature: fields.signature
+    };
+}
+
+/**
+ * Create a verifier for the signature header.
+ *
+ * A signature can be used again until it expires: a repeated nonce is not
+ * refused, because CloudFront retries a request after the origin response
+ * timeout with the same header, and a retry cannot be told apart from a
+ * replay. Replays are limited by the short expiry instead (see the README).
+ * @param {Object} options: {
+ *      keys: Object,           secret by key id; every key listed is accepted
+ *      maxTtlSeconds: Number,  longest accepted time between now and the expiry (default 60)
+ * }
+ * @returns Function: (headerValue, request, now) => { valid: Boolean, reason: String }
+ */
+function createVerifier(options){
+    const keys = options.keys || {};
+    const maxTtl = options.maxTtlSeconds || 2 * DEFAULT_TTL_SECONDS;
+
+    return (value, request, now = Math.floor(Date.now() / 1000)) => {
+        if (!value){
+            return { valid: false, reason: 'missing_signature' };
+        }
+
+        let parsed = parseSignature(value);
+        if (!parsed){
+            return { valid: false, reason: 'malformed_signature' };
+        }
+        if (!Object.prototype.hasOwnProperty.call(keys, parsed.keyId)){
+            return { valid: false, reason: 'unknown_key' };
+        }
+
+        let expected = Buffer.from(hmac(keys[parsed.keyId], canonicalString(request, parsed.expires, parsed.nonce)));
+        let actual = Buffer.from(parsed.signature);
+        if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)){
+            return { valid: false, reason: 'bad_signature' };
+        }
+
+        if (parsed.expires < now){
+            return { valid: false, reason: 'expired' };
+        }
+        if (parsed.expires > now + maxTtl){
+            return { valid: false, reason: 'expiry_too_far' };
+        }
+
+        return { valid: true, reason: null };
+    };
+}
+
+module.exports = {
+    SIGNATURE_HEADER,
+    createVerifier,
+    parseSignature,
+    signOriginRequest
+};
@@ -0,0 +1,366 @@
+'use strict';
+// © 2022 Amazon Web Services, Inc. or its affiliates. All Rights Reserved.
+// This work is licensed under a MIT-0 License.
+
+// Code applies the paywall logic by checking the JWT for
+// the user's subscriptions and then seeing whether the
+// requested URL maps to one of those products. The logic
+// could be extended by performing a database lookup
+// to get additional parameters that can be used to
+// determine authorization. Additionally, the process
+// that generates the JWT could be extended to embed
+// paywall claims (such as user segmentation) in the token.
+//
+// Lambda@Edge functions cannot use environment variables, so the
+// configuration (JWKS url, fallback public keys, expected token
+// claims, product catalog, metered products, API key, origin signing key,
+// paywall responses, deny list location, viewer rules, usage limits) is written into config.json by
+// deploy-script/index.js when the function is packaged. See
+// index.js in this folder for the Lambda entry point.
+const { createKeyStore } = require('./jwks');
+const { createVerificationCache, findToken, verifyToken, REASONS } = require('./token');
+const { applyMeter, isMetered } = require('./meter');
+const { SIGNATURE_HEADER, signOriginRequest } = require('./origin-signature');
+const { ERRORS, paywallResponse } = require('./responses');
+const { checkEntitlements, parseEntitlement } = require('./entitlements');
+const { createRevocationList, createRevocationStore } = require('./revocation');
+const { createDecisionLogger } = require('./decision-log');
+const { RULES_HEADER, checkDescribedRules, describeRules, getViewer } = require('./rules');
+const { ACTIONS, createUsageLimiter } = require('./usage-limits');
+
+// Claim with the subscription codes of the user in Cognito ID tokens
+const DEFAULT_SUBSCRIPTIONS_CLAIM = 'custom:subs';
+
+// Request headers used to pass the meter state from the viewer-request
+// event to the viewer-response event
+const METER_COOKIE_HEADER = 'x-paywall-meter';
+const METER_REMAINING_HEADER = 'x-paywall-meter-remaining';
+
+/**
+ * Read the subscription entries from the token claims. Cognito stores them as a
+ * comma separated string; other providers may use a list. An entry is a code,
+ * optionally with an expiry and a trial flag (see entitlements.js).
+ * @param {Object} claims
+ * @param {String} claimName: default custom:subs
+ * @returns String[]
+ */
+function getSubscriptions(claims, claimName = DEFAULT_SUBSCRIPTIONS_CLAIM){
+    let value = claims[claimName || DEFAULT_SUBSCRIPTIONS_CLAIM];
+
+    if (Array.isArray(value)){
+        return value.filter(c => typeof c === 'string').map(c => c.trim()).filter(c => c);
+    }
+    if (typeof value === 'string'){
+        return value.split(',').map(c => c.trim()).filter(c => c);
+    }
+    return [];
+}
+
+/**
+ * Parse the entitlements in the token claims. Entries that cannot be parsed
+ * grant nothing.
+ * @param {Object} claims
+ * @param {String} claimName: default custom:subs
+ * @returns Object[]: { code, expires, trial }, see entitlements.js
+ */
+function getEntitlements(claims, claimName){
+    return getSubscriptions(claims, claimName).map(parseEntitlement).filter(e => e);
+}
+
+/**
+ * Describe the product needed for a content url, for the paywall response.
+ * @param {Object} catalog: edge catalog, see createHandler
+ * @param {String} productFromUrl: product slug from the url
+ * @returns Object: { code, name, subscriptions: codes that grant the product }, or null
+ */
+function describeProduct(catalog, productFromUrl){
+    let code = productFromUrl ? catalog.products[productFromUrl] : null;
+    if (!code){
+        return null;
+    }
+
+    return {
+        code: code,
+        name: (catalog.names || {})[code] || code,
+        subscriptions: Object.keys(catalog.grants).filter(s => catalog.grants[s].includes(code))
+    };
+}
+
+/**
+ * Build the Lambda@Edge handler for the given configuration. The same function
+ * is associated with the viewer-request, origin-request and viewer-response
+ * events of the content cache behavior.
+ * @param {Object} config: {
+ *      jwksUrl: String,                where the public keys are loaded from at runtime
+ *      jwksCacheTtlSeconds: Number,    how long the loaded keys are cached
+ *      keys: Object,                   key id to pem or { pem, alg }, used if the JWKS
+ *                                      cannot be loaded
+ *      issuer: String,                 expected iss claim (the user pool or OIDC issuer url)
+ *      clientId: String,               expected aud (ID token) or client_id (access token)
+ *      tokenUse: String,               expected token_use claim, such as 'id' (Cognito only)
+ *      algorithms: String[],           accepted alg values, see token.js (default all)
+ *      subscriptionsClaim: String,     claim with the subscription codes (default custom:subs)
+ *      tokenCookieName: String,        cookie with the token when there is no Authorization
+ *                                      header (default jwt)
+ *      clockSkewSeconds: Number,       tolerance for exp, nbf and iat
+ *      verificationCache: Object,      { maxEntries, maxAgeSeconds } of the cache of verified
+ *                                      tokens, see token.js, or false to verify every request
+ *      catalog: Object,                { products: url slug to product code,
+ *                                        grants: subscription code to granted product codes,
+ *                                        names: product code to display name,
+ *                                        gracePeriodSeconds: how long paid entitlements
+ *                                        stay valid after they expire,
+ *                                        rules: code to { countries, devices } viewer
+ *                                        rules, see rules.js }
+ *      meter: Object,                  metered products, see meter.js (optional)
+ *      originSigning: Object,          { keyId, secret, ttlSeconds } used to sign origin
+ *                                      requests, see origin-signature.js
+ *      paywall: Object,                { loginUrl, returnToParameter, template, title } of the
+ *                                      responses to refused requests, see responses.js, and
+ *                                      notEntitled: 'preview' (default) to send users who are
+ *                                      not entitled to the origin for the preview, or 'paywall'
+ *                                      to refuse their requests
+ *      revocation: Object,             deny list of revoked tokens, see revocation.js:
+ *                                      { bucket, key, region } of the S3 object or
+ *                                      { file } locally, and cacheTtlSeconds (optional)
+ *      logging: Object,                { userHashKey, namespace } of the decision log and
+ *                                      metrics, see decision-log.js (optional)
+ *      usageLimits: Object             { reads, fingerprints, store } limits of the full reads
+ *                                      of each subscriber, see usage-limits.js (optional)
+ * }
+ * @param {Object} keyStore: replaces the JWKS key store (optional)
+ * @param {Object} revocationList: replaces the deny list (optional)
+ * @param {Object} usageLimiter: replaces the usage limiter (optional)
+ * @returns Function
+ */
+function createHandler(config, keyStore, revocationList, usageLimiter){
+    keyStore = keyStore || createKeyStore({
+        jwksUrl: config.jwksUrl,
+        fallbackKeys: config.keys,
+        cacheTtlSeconds: config.jwksCacheTtlSeconds
+    });
+    if (!revocationList){
+        let store = createRevocationStore(config.revocation);
+        revocationList = store ? createRevocationList(store, { cacheTtlSeconds: config.revocation.cacheTtlSeconds }) : null;
+    }
+    if (!usageLimiter && config.usageLimits){
+        usageLimiter = createUsageLimiter(config.usageLimits);
+    }
+    const verificationCache = config.verificationCache === false ? null : createVerificationCache(config.verificationCache);
+    const catalog = config.catalog || { products: {}, grants: {} };
+    const paywall = config.paywall || {};
+    const decisionLog = createDecisionLogger(config.logging);
+
+    // Sets the subscriber flag and the signature
+    function signRequest(request, access){
+        request.headers['x-is-subscriber'] = [{'value': access}];
+
+        // The signature proves to the origin that the subscriber flag was set by this function
+        if (config.originSigning){
+            request.headers[SIGNATURE_HEADER] = [{'value': signOriginRequest({
+                method: request.method,
+                path: request.uri,
+                subscriber: access
+            }, config.originSigning)}];
+        }
+    }
+
+    /**
+     * Apply the paywall to a viewer request. The decision object is filled in
+     * for the log line of the request.
+     * @param {Object} event
+     * @param {Object} decision
+     * @returns Object: the request to forward, or a response
+     */
+    async function viewerRequest(event, decision){
+        const request = event.Records[0].cf.request;
+
+        // Only this function describes the viewer rules to the origin-request event
+        delete request.headers[RULES_HEADER];
+
+        // For this demo, only deal with the GET requests; send everything else to the origin
+        if (request.method !== 'GET'){
+            return request;
+        }
+
+        // The token is taken from the Authorization header or from the cookie (see token.js)
+        let found = findToken(request.headers, config.tokenCookieName);
+        let jwt = found.token;
+        decision.tokenSource = found.source;
+
+        let pathTokens = request.uri.split('/');
+        let productFromUrl = pathTokens[1] ? pathTokens[1].toLowerCase() : null;
+        let contentId = pathTokens[3];
+        let metered = !!contentId && isMetered(config.meter, productFromUrl);
+        decision.product = productFromUrl ? catalog.products[productFromUrl] : null;
+
+        let started = process.hrtime.bigint();
+        let result = await verifyToken(jwt, keyStore, config, verificationCache, decision.errors);
+        decision.sub = result.valid ? result.claims.sub : null;
+
+        // A valid token can still have been revoked since it was issued
+        if (result.valid && revocationList && await revocationList.check(result.claims, decision.errors)){
+            result = { valid: false, reason: REASONS.REVOKED };
+        }
+        decision.verifyMs = Number(process.hrtime.bigint() - started) / 1e6;
+        decision.reason = result.valid ? null : result.reason;
+
+        // Anonymous users can read metered products; an invalid token is always rejected
+        if (!result.valid && !(metered && result.reason === REASONS.MISSING_TOKEN)){
+            return paywallResponse(request, result.reason, describeProduct(catalog, productFromUrl), paywall);
+        }
+
+        let obj = result.claims || {};
+
+        let entitlements = getEntitlements(obj, config.subscriptionsClaim);
+        decision.invalidEntitlements = getSubscriptions(obj, config.subscriptionsClaim).length - entitlements.length;
+
+        // If product is not in the url then send to origin to deal with for this demo
+        if (!productFromUrl){
+            return request;
+        }
+
+        // Set the cache key based on whether or not the user is authorized.
+        // To support a different paywall model, the code could call a database
+        // like DynamoDB to retrieve additional user information and then execute custom
+        // authorization logic here.
+        // Full reads granted by the meter use their own value ('metered') so that they
+        // are cached separately from both subscriber content and previews.
+        // Expired entitlements count as no subscription (see entitlements.js).
+        // The viewer rules (see rules.js) are checked by the origin-request event,
+        // once CloudFront has added the viewer headers.
+
+        let access = 'false';
+        let productCode = catalog.products[productFromUrl];
+        let entitlement = checkEntitlements(entitlements, productCode, catalog.grants,
+            Date.now(), catalog.gracePeriodSeconds);
+
+        decision.grace = entitlement.grace;
+
+        // Full reads of subscribers are counted, so that a shared login cannot serve
+        // any number of readers; past a limit, they get the preview or a 429 response
+        let limited = null;
+        if (entitlement.entitled && usageLimiter){
+            let usage = await usageLimiter.check(result.claims.sub, request);
+            if (usage.error){
+                decision.errors.push(usage.error);
+            }
+            if (usage.action === ACTIONS.REJECT){
+                decision.reason = usage.reason;
+                return paywallResponse(request, usage.reason, describeProduct(catalog, productFromUrl), paywall);
+            }
+            limited = usage.reason;
+        }
+
+        if (entitlement.entitled && !limited){
+            access = 'true';
+        }
+        else if (metered && !limited){
+            let meter = applyMeter(request, productFromUrl, contentId, config.meter);
+            access = meter.allowed ? 'metered' : 'false';
+            if (meter.tampered){
+                decision.errors.push('Meter cookie signature is invalid; started a new meter');
+            }
+
+            // Picked up by the viewer-response event, which sets the cookie. These
+            // headers are not forwarded to the origin.
+            request.headers[METER_COOKIE_HEADER] = [{'value': meter.cookie}];
+            request.headers[METER_REMAINING_HEADER] = [{'value': String(meter.remaining)}];
+            decision.meterRemaining = meter.remaining;
+        }
+
+        // Users with a valid token who only get the preview are not entitled
+        if (access === 'false' && result.valid){
+            decision.reason = limited || entitlement.reason || ERRORS.NOT_ENTITLED;
+        }
+
+        if (access === 'false' && paywall.notEntitled === 'paywall' && catalog.products[productFromUrl]){
+            // Anonymous readers who used up the meter need to log in
+            return paywallResponse(request, decision.reason, describeProduct(catalog, productFromUrl), paywall);
+        }
+
+        // The rules of the product and of the subscriptions that grant the full read
+        if (access !== 'false'){
+            let rules = describeRules(catalog.rules || {}, productCode, access === 'true' ? entitlement.codes : []);
+            if (rules){
+                request.headers[RULES_HEADER] = [{'value': rules}];
+            }
+        }
+
+        decision.access = access;
+        signRequest(request, access);
+        return request;
+    }
+
+    /**
+     * Check the viewer rules described by the viewer-request event, on a cache
+     * miss. A viewer who does not match them gets the preview: the meter has
+     * already counted the read, and the Accept header that selects the format of
+     * a paywall response is not forwarded to the origin.
+     * @param {Object} event
+     * @returns Object: the request to forward, and the restriction or null
+     */
+    function originRequest(event){
+        const request = event.Records[0].cf.request;
+        let rules = request.headers[RULES_HEADER];
+        let access = request.headers['x-is-subscriber'];
+        delete request.headers[RULES_HEADER];
+
+        if (!rules || !access || !['true', 'metered'].includes(access[0].value)){
+            return { request: request, restriction: null };
+        }
+
+        let restriction = checkDescribedRules(catalog.rules || {}, rules[0].value, getViewer(request));
+        if (restriction.reason){
+            signRequest(request, 'false');
+        }
+        return { request: request, restriction: restriction.reason ? restriction : null };
+    }
+
+    // Adds the updated meter cookie and the number of free reads left to the response
+    async function viewerResponse(event){
+        const request = event.Records[0].cf.request;
+        const response = event.Records[0].cf.response;
+        let cookie = request.headers[METER_COOKIE_HEADER];
+        let remaining = request.headers[METER_REMAINING_HEADER];
+
+        if (cookie){
+            response.headers['set-cookie'] = (response.headers['set-cookie'] || [])
+                .concat([{ key: 'Set-Cookie', value: cookie[0].value }]);
+        }
+        if (remaining){
+            response.headers['x-meter-remaining'] = [{ key: 'X-Meter-Remaining', value: remaining[0].value }];
+        }
+
+        return response;
+    }
+
+    // One log line per request, written after the viewer-request event, and one
+    // more when the origin-request event restricts it; the viewer-response event
+    // only adds the meter cookie
+    return async (event) => {
+        let eventType = event.Records[0].cf.config.eventType;
+        if (eventType === 'viewer-response'){
+            return viewerResponse(event);
+        }
+        if (eventType === 'origin-request'){
+            let checked = originRequest(event);
+            if (checked.restriction){
+                decisionLog.logRestriction(event, checked.restriction);
+            }
+            return checked.request;
+        }
+
+        let decision = { errors: [] };
+        let result = await viewerRequest(event, decision);
+        decisionLog.log(event, decision, result);
+        return result;
+    };
+}
+
+module.exports = {
+    createHandler,
+    describeProduct,
+    getEntitlements,
+    getSubscriptions
+};
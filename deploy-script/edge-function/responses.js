@@ -0,0 +1,256 @@
+'use strict';
+// © 2022 Amazon Web Services, Inc. or its affiliates. All Rights Reserved.
+// This work is licensed under a MIT-0 License.
+
+// Builds the response that the edge function returns when it does not forward
+// a request to the origin. The format is picked from the Accept header:
+// - application/json: a JSON body with an error code and the product needed,
+//   for the mobile apps
+// - text/html (and anything else): a 302 redirect to the login url when one is
+//   configured and logging in can help, otherwise an HTML page built from the
+//   template configured at deploy time (see deploy-script/paywall-page.js)
+const { REASONS } = require('./token');
+const ENTITLEMENT_REASONS = require('./entitlements').REASONS;
+const USAGE_REASONS = require('./usage-limits').REASONS;
+
+// Error codes returned to clients. Every token, entitlement and usage reason maps to
+// one of them; the detailed reason is still available in the x-paywall-reason header.
+const ERRORS = {
+    MISSING_TOKEN: 'missing_token',
+    EXPIRED: 'expired',
+    BAD_SIGNATURE: 'bad_signature',
+    NOT_ENTITLED: 'not_entitled',
+    TOO_MANY_REQUESTS: 'too_many_requests'
+};
+
+// Status of the response for each error code
+const STATUS = {
+    missing_token: ['401', 'Not authorized'],
+    expired: ['401', 'Not authorized'],
+    bad_signature: ['401', 'Not authorized'],
+    not_entitled: ['403', 'Forbidden'],
+    too_many_requests: ['429', 'Too Many Requests']
+};
+
+const MESSAGES = {
+    missing_token: 'Please log in to read this content.',
+    expired: 'Your session has expired. Please log in again.',
+    bad_signature: 'Your session is not valid. Please log in again.',
+    not_entitled: 'Your subscriptions do not include this content.',
+    // More specific messages for some reasons
+    entitlement_expired: 'Your subscription to this content has expired.',
+    trial_expired: 'Your free trial of this content has ended.',
+    too_many_requests: 'Too many requests were made with this account. Please try again later.',
+    sharing_suspected: 'This account is being used in too many places at once. Please try again later.'
+};
+
+const DEFAULT_TEMPLATE = '<!DOCTYPE html><html><head><meta charset="utf-8"><title>{{title}}</title></head>' +
+    '<body><h1>{{title}}</h1><p>{{message}}</p>{{loginLink}}</body></html>';
+
+const DEFAULT_RETURN_TO_PARAMETER = 'returnTo';
+
+/**
+ * Map the reason a request was refused to the error code returned to clients.
+ * @param {String} reason: token reason (see token.js), entitlement reason (see
+ *                         entitlements.js), usage reason (see usage-limits.js) or
+ *                         not_entitled
+ * @returns String
+ */
+function toErrorCode(reason){
+    if (reason === REASONS.MISSING_TOKEN || reason === ERRORS.NOT_ENTITLED){
+        return reason;
+    }
+    if (Object.values(ENTITLEMENT_REASONS).includes(reason)){
+        return ERRORS.NOT_ENTITLED;
+    }
+    if (Object.values(USAGE_REASONS).includes(reason)){
+        return ERRORS.TOO_MANY_REQUESTS;
+    }
+    if (reason === REASONS.EXPIRED){
+        return ERRORS.EXPIRED;
+    }
+    // The token is there but cannot be trusted
+    return ERRORS.BAD_SIGNATURE;
+}
+
+/**
+ * Parse an Accept header into media ranges ordered by preference.
+ * @param {String} accept
+ * @returns Object[]: { type, subtype, q }
+ */
+function parseAccept(accept){
+    return String(accept || '').split(',').map((part, i) => {
+        let params = part.split(';').map(p => p.trim());
+        let range = params[0].toLowerCase().split('/');
+        let q = 1;
+
+        params.slice(1).map(p => {
+            let match = /^q=([0-9.]+)$/i.exec(p);
+            if (match){
+                q = Math.min(1, parseFloat(match[1]) || 0);
+            }
+        });
+
+        return { type: range[0], subtype: range[1], q: q, order: i };
+    })
+    .filter(r => r.type && r.subtype)
+    .sort((a, b) => b.q - a.q || a.order - b.order);
+}
+
+/**
+ * Pick the format of a paywall response from the Accept header. JSON is only
+ * returned when it is preferred over HTML, so clients that accept any type get HTML.
+ * @param {String} accept
+ * @returns String: json or html
+ */
+function negotiateFormat(accept){
+    // The quality of the most specific range that matches the media type
+    function quality(type, subtype){
+        let ranges = parseAccept(accept);
+        let match = ranges.find(r => r.type === type && r.subtype === subtype) ||
+            ranges.find(r => r.type === type && r.subtype === '*') ||
+            ranges.find(r => r.type === '*' && r.subtype === '*');
+        return match ? match.q : 0;
+    }
+
+    return quality('application', 'json') > quality('text', 'html') ? 'json' : 'html';
+}
+
+/**
+ * Read the first value of a header from a CloudFront request.
+ * @param {Object} request
+ * @param {String} name: lowercase header name
+ * @returns String
+ */
+function getHeader(request, name){
+    let header = request.headers[name];
+    return header && header[0] ? header[0].value : undefined;
+}
+
+/**
+ * Build the login url with the url of the refused request in the return parameter.
+ * @param {Object} request: CloudFront request
+ * @param {Object} paywall: { loginUrl, returnToParameter }
+ * @returns String, or null if no login url is configured
+ */
+function buildLoginUrl(request, paywall){
+    if (!paywall.loginUrl){
+        return null;
+    }
+
+    // The viewer protocol policy depends on the environment; https is assumed unless CloudFront says otherwise
+    let protocol = getHeader(request, 'cloudfront-forwarded-proto') || 'https';
+    let returnTo = protocol + '://' + getHeader(request, 'host') + request.uri + (request.querystring ? '?' + request.querystring : '');
+    return paywall.loginUrl + (paywall.loginUrl.includes('?') ? '&' : '?') +
+        encodeURIComponent(paywall.returnToParameter || DEFAULT_RETURN_TO_PARAMETER) + '=' + encodeURIComponent(returnTo);
+}
+
+function escapeHtml(value){
+    return String(value).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' })[c]);
+}
+
+/**
+ * Fill in the {{name}} placeholders of the HTML template. Values are escaped,
+ * except loginLink which is markup built here.
+ * @param {String} template
+ * @param {Object} values
+ * @returns String
+ */
+function renderTemplate(template, values){
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+        if (values[name] === undefined || values[name] === null){
+            return '';
+        }
+        return name === 'loginLink' ? values[name] : escapeHtml(values[name]);
+    });
+}
+
+function cloudFrontHeaders(headers){
+    let cfHeaders = {};
+    Object.keys(headers).map(name => {
+        cfHeaders[name.toLowerCase()] = [{ key: name, value: headers[name] }];
+    });
+    return cfHeaders;
+}
+
+/**
+ * Build the response for a request that is refused.
+ * @param {Object} request: CloudFront request
+ * @param {String} reason: token reason (see token.js), entitlement reason (see
+ *                         entitlements.js), usage reason (see usage-limits.js) or
+ *                         not_entitled
+ * @param {Object} product: { code, name, subscriptions } needed for the content, or null
+ * @param {Object} paywall: {
+ *      loginUrl: String,           where users log in (optional, no redirects without it)
+ *      returnToParameter: String,  query parameter of the login url with the url to return to
+ *      template: String,           HTML template with {{title}}, {{message}}, {{error}},
+ *                                  {{reason}}, {{product}}, {{productCode}}, {{loginUrl}}
+ *                                  and {{loginLink}} placeholders
+ *      title: String               title of the HTML page
+ * }
+ * @returns Object
+ */
+function paywallResponse(request, reason, product, paywall = {}){
+    const error = toErrorCode(reason);
+    const format = negotiateFormat(getHeader(request, 'accept'));
+    const status = STATUS[error];
+    const loginUrl = buildLoginUrl(request, paywall);
+
+    let headers = {
+        'Cache-Control': 'no-store',
+        'Vary': 'Accept',
+        'X-Paywall-Reason': reason
+    };
+
+    // Logging in again can only help when the token is the problem
+    if (format === 'html' && loginUrl && STATUS[error][0] === '401'){
+        headers['Location'] = loginUrl;
+        return {
+            status: '302',
+            statusDescription: 'Found',
+            headers: cloudFrontHeaders(headers)
+        };
+    }
+
+    let body = null;
+    if (format === 'json'){
+        headers['Content-Type'] = 'application/json';
+        body = JSON.stringify({
+            error: error,
+            reason: reason,
+            message: MESSAGES[reason] || MESSAGES[error],
+            product: product,
+            loginUrl: loginUrl
+        });
+    }
+    else {
+        headers['Content-Type'] = 'text/html; charset=utf-8';
+        body = renderTemplate(paywall.template || DEFAULT_TEMPLATE, {
+            title: paywall.title || 'Subscription required',
+            message: MESSAGES[reason] || MESSAGES[error],
+            error: error,
+            reason: reason,
+            product: product ? product.name : null,
+            productCode: product ? product.code : null,
+            loginUrl: loginUrl,
+            loginLink: loginUrl ? '<a href="' + escapeHtml(loginUrl) + '">Log in</a>' : null
+        });
+    }
+
+    return {
+        status: status[0],
+        statusDescription: status[1],
+        headers: cloudFrontHeaders(headers),
+        body: body
+    };
+}
+
+module.exports = {
+    ERRORS,
+    buildLoginUrl,
+    negotiateFormat,
+    parseAccept,
+    paywallResponse,
+    renderTemplate,
+    toErrorCode
+};
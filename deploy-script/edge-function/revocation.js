@@ -0,0 +1,330 @@
+'use strict';
+// © 2022 Amazon Web Services, Inc. or its affiliates. All Rights Reserved.
+// This work is licensed under a MIT-0 License.
+
+// Deny list of revoked tokens. ID tokens cannot be recalled once issued, so
+// the edge function checks every valid token against a list of:
+// - users (sub claim) with a revoked-after time: tokens issued at or before
+//   that time are refused, and the user has to log in again
+// - token ids (jti claim): that token is refused
+// The list is a JSON document { sub: { <sub>: entry }, jti: { <jti>: entry } },
+// written by the user script, where each entry is { revokedAfter, expires } in
+// seconds since the epoch: expires is the time when every token refused by the
+// entry has expired, after which the entry is dropped. It is kept behind a store
+// interface ({ load(), save(list), update(change) }) so that the S3 object used
+// by the deployment can be replaced by a file or memory store locally.
+// The edge function caches the list for a short time in the memory of the
+// Lambda@Edge instance. If the list cannot be loaded, the last list loaded is
+// used, or no list at all: an S3 outage does not lock every subscriber out.
+const fs = require('fs');
+
+// Object of the deny list in the artifact bucket of a deployment
+const DENY_LIST_KEY = 'revocation/deny-list.json';
+const DEFAULT_CACHE_TTL_SECONDS = 60;
+const DEFAULT_TIMEOUT_MS = 1500;
+
+// Cognito ID tokens are valid for at most a day: entries without an expiry are
+// kept that long after their revoked-after time
+const MAX_ID_TOKEN_LIFETIME_SECONDS = 86400;
+// Attempts to write the S3 object when other writers change it at the same time
+const MAX_SAVE_ATTEMPTS = 5;
+
+/**
+ * Create an empty deny list.
+ * @returns Object
+ */
+function emptyList(){
+    return { sub: {}, jti: {} };
+}
+
+/**
+ * Fill in the missing sections of a deny list document.
+ * @param {Object} list
+ * @returns Object
+ */
+function normalizeList(list){
+    return {
+        sub: (list && list.sub) || {},
+        jti: (list && list.jti) || {}
+    };
+}
+
+/**
+ * Read an entry of the deny list. Lists written before entries had an expiry
+ * hold the revoked-after time only.
+ * @param {Object|Number} entry
+ * @returns Object: { revokedAfter, expires }
+ */
+function readEntry(entry){
+    if (typeof entry === 'number'){
+        return { revokedAfter: entry, expires: entry + MAX_ID_TOKEN_LIFETIME_SECONDS };
+    }
+    return entry;
+}
+
+/**
+ * Store for the S3 object of a deployment. The client is created on first use
+ * if none is passed in; the aws-sdk is part of the Lambda runtime.
+ * @param {Object} options: { bucket, key, region, s3: AWS.S3 (optional), timeoutMs }
+ * @returns { load: Function, save: Function, update: Function }
+ */
+function createS3Store(options){
+    let s3 = options.s3 || null;
+
+    function client(){
+        if (!s3){
+            const AWS = require('aws-sdk');
+            s3 = new AWS.S3({
+                region: options.region,
+                httpOptions: { timeout: options.timeoutMs || DEFAULT_TIMEOUT_MS, connectTimeout: options.timeoutMs || DEFAULT_TIMEOUT_MS },
+                maxRetries: 0
+            });
+        }
+        return s3;
+    }
+
+    // The list with the ETag of the object, or a null ETag if there is no object yet
+    async function read(){
+        try {
+            let object = await client().getObject({ Bucket: options.bucket, Key: options.key }).promise();
+            return { list: normalizeList(JSON.parse(object.Body.toString())), etag: object.ETag };
+        }
+        catch (e){
+            // Nothing has been revoked yet
+            if (e.code === 'NoSuchKey'){
+                return { list: emptyList(), etag: null };
+            }
+            throw e;
+        }
+    }
+
+    // Write the list; with a condition, only if the object still has that ETag
+    // (or still does not exist). The aws-sdk has no parameters for the conditional
+    // headers of PutObject, so they are added to the request.
+    async function write(list, condition){
+        let request = client().putObject({
+            Bucket: options.bucket,
+            Key: options.key,
+            Body: JSON.stringify(list, null, 2),
+            ContentType: 'application/json'
+        });
+        if (condition){
+            request.on('build', () => {
+                if (condition.etag){
+                    request.httpRequest.headers['If-Match'] = condition.etag;
+                }
+                else {
+                    request.httpRequest.headers['If-None-Match'] = '*';
+                }
+            });
+        }
+        await request.promise();
+    }
+
+    async function load(){
+        return (await read()).list;
+    }
+
+    async function save(list){
+        await write(list);
+    }
+
+    /**
+     * Change the list without losing the changes of other writers: the object
+     * is only written if nobody wrote it since it was read, otherwise the
+     * change is applied again to the new list.
+     * @param {Function} change: list => updated list
+     * @returns Object: the updated list
+     */
+    async function update(change){
+        for (let attempt = 1; ; attempt++){
+            let current = await read();
+            let updated = change(current.list);
+            try {
+                await write(updated, { etag: current.etag });
+                return updated;
+            }
+            catch (e){
+                let conflict = e.code === 'PreconditionFailed' || e.code === 'ConditionalRequestConflict';
+                if (!conflict || attempt >= MAX_SAVE_ATTEMPTS){
+                    throw e;
+                }
+            }
+        }
+    }
+
+    return { load, save, update };
+}
+
+/**
+ * Add the update function of a store that has a single writer.
+ * @param {Object} store: { load, save }
+ * @returns { load: Function, save: Function, update: Function }
+ */
+function withUpdate(store){
+    store.update = async (change) => {
+        let updated = change(await store.load());
+        await store.save(updated);
+        return updated;
+    };
+    return store;
+}
+
+/**
+ * Store for a local JSON file, used by the harness, the emulator and the user script.
+ * @param {String} file
+ * @returns { load: Function, save: Function, update: Function }
+ */
+function createFileStore(file){
+    async function load(){
+        if (!fs.existsSync(file)){
+            return emptyList();
+        }
+        return normalizeList(JSON.parse(fs.readFileSync(file).toString()));
+    }
+
+    async function save(list){
+        fs.writeFileSync(file, JSON.stringify(list, null, 2) + '\n');
+    }
+
+    return withUpdate({ load, save });
+}
+
+/**
+ * Store that keeps the list in memory.
+ * @param {Object} list: initial deny list (optional)
+ * @returns { load: Function, save: Function, update: Function }
+ */
+function createMemoryStore(list){
+    let current = normalizeList(list);
+
+    async function load(){
+        return current;
+    }
+
+    async function save(updated){
+        current = normalizeList(updated);
+    }
+
+    return withUpdate({ load, save });
+}
+
+/**
+ * Create the store described by the revocation section of the edge configuration.
+ * @param {Object} options: { bucket, key, region } for S3, or { file } for a local file
+ * @returns { load: Function, save: Function, update: Function }, or null if no store is configured
+ */
+function createRevocationStore(options){
+    if (!options){
+        return null;
+    }
+    if (options.file){
+        return createFileStore(options.file);
+    }
+    if (options.bucket && options.key){
+        return createS3Store(options);
+    }
+    return null;
+}
+
+/**
+ * Check the claims of a valid token against a deny list.
+ * @param {Object} list
+ * @param {Object} claims
+ * @returns Boolean: true if the token is revoked
+ */
+function isRevoked(list, claims){
+    if (claims.jti && Object.prototype.hasOwnProperty.call(list.jti, claims.jti)){
+        return true;
+    }
+    if (claims.sub && Object.prototype.hasOwnProperty.call(list.sub, claims.sub)){
+        // Tokens without an issue time cannot be shown to be newer than the revocation
+        return !(typeof claims.iat === 'number' && claims.iat > readEntry(list.sub[claims.sub]).revokedAfter);
+    }
+    return false;
+}
+
+/**
+ * Add an entry to a deny list, and drop the entries whose tokens have all expired.
+ * @param {Object} list
+ * @param {String} type: sub or jti
+ * @param {String} value
+ * @param {Number} revokedAfter: seconds since the epoch
+ * @param {Number} now: seconds since the epoch
+ * @param {Number} expires: seconds since the epoch when the last token refused by the
+ *                 entry expires, such as the exp claim of the token (default: the
+ *                 longest lifetime of a Cognito ID Token after revokedAfter)
+ * @returns Object: the updated list
+ */
+function addEntry(list, type, value, revokedAfter, now, expires = revokedAfter + MAX_ID_TOKEN_LIFETIME_SECONDS){
+    if (type !== 'sub' && type !== 'jti'){
+        throw new Error('Unknown deny list entry type ' + type + '. Use sub or jti');
+    }
+    if (!value){
+        throw new Error('A ' + type + ' value is required');
+    }
+
+    let updated = normalizeList(list);
+    ['sub', 'jti'].map(t => {
+        Object.keys(updated[t]).filter(v => readEntry(updated[t][v]).expires < now).map(v => delete updated[t][v]);
+    });
+    let previous = updated[type][value] ? readEntry(updated[type][value]) : { revokedAfter: 0, expires: 0 };
+    updated[type][value] = {
+        revokedAfter: Math.max(revokedAfter, previous.revokedAfter),
+        expires: Math.max(expires, previous.expires)
+    };
+    return updated;
+}
+
+/**
+ * Create the deny list checker of the edge function.
+ * @param {Object} store: { load() }, see createRevocationStore
+ * @param {Object} options: { cacheTtlSeconds }
+ * @returns { check: Function }
+ */
+function createRevocationList(store, options = {}){
+    const ttl = (options.cacheTtlSeconds ?? DEFAULT_CACHE_TTL_SECONDS) * 1000;
+
+    let cached = null;
+    let lastAttempt = 0;
+
+    async function refresh(errors){
+        lastAttempt = Date.now();
+        try {
+            cached = normalizeList(await store.load());
+        }
+        catch (e){
+            errors.push('Could not load the deny list: ' + e.message);
+        }
+    }
+
+    /**
+     * Check whether the token with these claims has been revoked.
+     * @param {Object} claims
+     * @param {String[]} errors: a failed load of the list is reported in it (optional)
+     * @returns Boolean
+     */
+    async function check(claims, errors = []){
+        // Failed loads are retried after the same interval, so an outage does not
+        // add the S3 timeout to every request
+        if (Date.now() - lastAttempt >= ttl){
+            await refresh(errors);
+        }
+        return cached ? isRevoked(cached, claims) : false;
+    }
+
+    return { check };
+}
+
+module.exports = {
+    DENY_LIST_KEY,
+    MAX_ID_TOKEN_LIFETIME_SECONDS,
+    addEntry,
+    createFileStore,
+    createMemoryStore,
+    createRevocationList,
+    createRevocationStore,
+    createS3Store,
+    emptyList,
+    isRevoked
+};
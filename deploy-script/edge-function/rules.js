@@ -0,0 +1,137 @@
+'use strict';
+// © 2022 Amazon Web Services, Inc. or its affiliates. All Rights Reserved.
+// This work is licensed under a MIT-0 License.
+
+// Access rules that depend on the viewer rather than on the token. CloudFront
+// adds the country of the viewer (from the IP address) and the device type
+// (from the User-Agent header) as request headers, when they are listed in a
+// policy of the cache behavior (see step-3-cfdistribution.yml), but only after
+// the viewer-request event. The viewer-request event therefore describes the
+// rules that apply to a full read in the x-paywall-rules header, and the
+// origin-request event checks them against the viewer. Both the rules header
+// and the viewer headers are in the cache key, so a response is only cached
+// for the viewers that the rules were checked for.
+//
+// Rules are declared in the product catalog: { countries: ['US', 'CA'], devices: ['desktop'] }.
+// The rules of a product limit where and on which devices its content can be
+// read in full, whatever grants it; the rules of a bundle limit where the bundle
+// grants its products. A viewer whose country or device is not known does not
+// match a rule that lists countries or devices.
+
+const VIEWER_COUNTRY_HEADER = 'cloudfront-viewer-country';
+// Set by the viewer-request event, read by the origin-request event
+const RULES_HEADER = 'x-paywall-rules';
+
+// Device type headers, checked in this order: tablets and smart TVs can also
+// be reported as mobile viewers
+const DEVICE_HEADERS = [
+    ['smarttv', 'cloudfront-is-smarttv-viewer'],
+    ['tablet', 'cloudfront-is-tablet-viewer'],
+    ['mobile', 'cloudfront-is-mobile-viewer'],
+    ['desktop', 'cloudfront-is-desktop-viewer']
+];
+const DEVICES = DEVICE_HEADERS.map(d => d[0]);
+
+const REASONS = {
+    COUNTRY: 'country_restricted',
+    DEVICE: 'device_restricted'
+};
+
+function headerValue(request, name){
+    let header = request.headers[name];
+    return header && header[0] ? header[0].value : null;
+}
+
+/**
+ * Read the country and device type of the viewer from the CloudFront headers.
+ * @param {Object} request: CloudFront request
+ * @returns { country: String or null, device: String or null }
+ */
+function getViewer(request){
+    let country = headerValue(request, VIEWER_COUNTRY_HEADER);
+    let device = DEVICE_HEADERS.find(d => String(headerValue(request, d[1])).toLowerCase() === 'true');
+
+    return {
+        country: country ? country.toUpperCase() : null,
+        device: device ? device[0] : null
+    };
+}
+
+/**
+ * Check the rules of one catalog entry.
+ * @param {Object} rules: { countries, devices } (optional)
+ * @param {Object} viewer: from getViewer
+ * @returns String: the reason the viewer does not match, or null if it does
+ */
+function checkRules(rules, viewer){
+    if (!rules){
+        return null;
+    }
+    if (rules.countries && !rules.countries.includes(viewer.country)){
+        return REASONS.COUNTRY;
+    }
+    if (rules.devices && !rules.devices.includes(viewer.device)){
+        return REASONS.DEVICE;
+    }
+    return null;
+}
+
+/**
+ * Check the rules of the subscriptions that grant a product. Access is granted
+ * when at least one of them matches the viewer.
+ * @param {Object} rules: subscription code to rules, from the edge catalog
+ * @param {String[]} codes: subscription codes that grant the product
+ * @param {String} productCode: the product, whose own rules are checked separately
+ * @param {Object} viewer: from getViewer
+ * @returns String: the reason of the first code that does not match when none
+ *          matches, or null
+ */
+function checkGrantRules(rules, codes, productCode, viewer){
+    let reasons = codes.map(code => code === productCode ? null : checkRules(rules[code], viewer));
+    return reasons.includes(null) ? null : reasons[0] || null;
+}
+
+/**
+ * Describe the rules that apply to a full read: those of the product, and those
+ * of the subscriptions that grant it.
+ * @param {Object} rules: subscription code to rules, from the edge catalog
+ * @param {String} productCode
+ * @param {String[]} codes: subscription codes that grant the product (none for metered reads)
+ * @returns String: such as A:A,ALL (codes cannot contain : or ,), or null if no rules apply
+ */
+function describeRules(rules, productCode, codes){
+    if (!rules[productCode] && !codes.some(code => rules[code])){
+        return null;
+    }
+    return productCode + ':' + codes.join(',');
+}
+
+/**
+ * Check the rules described by describeRules.
+ * @param {Object} rules: subscription code to rules, from the edge catalog
+ * @param {String} description
+ * @param {Object} viewer: from getViewer
+ * @returns { product: String, reason: String or null }, reason is set when the viewer
+ *          does not match the rules of the product, or none of the subscriptions
+ */
+function checkDescribedRules(rules, description, viewer){
+    let i = description.indexOf(':');
+    let productCode = i < 0 ? description : description.substring(0, i);
+    let codes = i < 0 ? [] : description.substring(i + 1).split(',').filter(c => c);
+
+    return {
+        product: productCode,
+        reason: checkRules(rules[productCode], viewer) || (codes.length ? checkGrantRules(rules, codes, productCode, viewer) : null)
+    };
+}
+
+module.exports = {
+    DEVICES,
+    REASONS,
+    RULES_HEADER,
+    checkDescribedRules,
+    checkGrantRules,
+    checkRules,
+    describeRules,
+    getViewer
+};
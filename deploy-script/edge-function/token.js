@@ -0,0 +1,350 @@
+'use strict';
+// © 2022 Amazon Web Services, Inc. or its affiliates. All Rights Reserved.
+// This work is licensed under a MIT-0 License.
+
+// Verifies the JWT issued by the Identity Provider (the Cognito user
+// pool, or any OpenID Connect provider). RS256, RS384 and ES256
+// signatures are supported. Besides the signature, the claims are
+// checked against the values of the provider that the deploy script
+// wrote into config.json, so that tokens from another provider or of
+// another type (such as access tokens) are rejected. Every rejection
+// carries a machine-readable reason.
+//
+// Verifying a signature takes most of the time of a request, and readers
+// send the same token many times, so tokens that passed are kept in a
+// small cache (see createVerificationCache).
+const crypto = require('crypto');
+const { getCookieValue } = require('./cookies');
+
+// Reason codes returned when a token is rejected
+const REASONS = {
+    MISSING_TOKEN: 'missing_token',
+    MALFORMED: 'malformed_token',
+    UNSUPPORTED_ALG: 'unsupported_alg',
+    UNKNOWN_KID: 'unknown_kid',
+    KEY_MISMATCH: 'key_mismatch',
+    BAD_SIGNATURE: 'bad_signature',
+    EXPIRED: 'expired',
+    NOT_YET_VALID: 'not_yet_valid',
+    ISSUED_IN_FUTURE: 'issued_in_future',
+    WRONG_ISSUER: 'wrong_issuer',
+    WRONG_AUDIENCE: 'wrong_audience',
+    WRONG_TOKEN_USE: 'wrong_token_use',
+    // Set by the handler when a valid token is on the deny list (see revocation.js)
+    REVOKED: 'revoked'
+};
+
+// Signature algorithms that can be verified, with the key they need. ES256
+// signatures are the raw r || s values (IEEE P1363), not DER.
+const ALGORITHMS = {
+    RS256: { hash: 'sha256', type: 'rsa' },
+    RS384: { hash: 'sha384', type: 'rsa' },
+    ES256: { hash: 'sha256', type: 'ec', curve: 'prime256v1', dsaEncoding: 'ieee-p1363' }
+};
+
+const DEFAULT_CLOCK_SKEW_SECONDS = 60;
+const DEFAULT_TOKEN_COOKIE_NAME = 'jwt';
+const DEFAULT_CACHE_MAX_ENTRIES = 1000;
+const DEFAULT_CACHE_MAX_AGE_SECONDS = 300;
+
+// Helper to decode base64url
+function base64urlDecode(str) {
+    return Buffer.from(str, 'base64url').toString('utf8');
+}
+
+/**
+ * Split the JWT and decode its header and claims, in a single pass.
+ * @param {String} jwt
+ * @returns Object: { header, claims, signingInput, signature }, or null if the
+ *          token is malformed
+ */
+function decodeToken(jwt){
+    let first = jwt.indexOf('.');
+    let second = jwt.indexOf('.', first + 1);
+    if (first < 0 || second < 0 || jwt.indexOf('.', second + 1) >= 0){
+        return null;
+    }
+
+    try {
+        let header = JSON.parse(base64urlDecode(jwt.substring(0, first)));
+        let claims = JSON.parse(base64urlDecode(jwt.substring(first + 1, second)));
+        if (!header || typeof header !== 'object' || !claims || typeof claims !== 'object'){
+            return null;
+        }
+        return {
+            header: header,
+            claims: claims,
+            signingInput: jwt.substring(0, second),
+            signature: jwt.substring(second + 1)
+        };
+    }
+    catch(e){
+        return null;
+    }
+}
+
+/**
+ * Check the signature of the JWT against the public key.
+ * @param {Object} token: from decodeToken
+ * @param {KeyObject|String} key: public key (or pem) for the kid in the JWT header
+ * @param {String} alg: one of ALGORITHMS (default RS256)
+ * @param {String[]} errors: a key or signature that cannot be used is reported in it (optional)
+ * @returns Boolean
+ */
+function verify(token, key, alg = 'RS256', errors = []){
+    const algorithm = ALGORITHMS[alg];
+    if (!key || !algorithm){
+        return false;
+    }
+
+    try {
+        return crypto.verify(algorithm.hash, Buffer.from(token.signingInput), {
+            key: key,
+            dsaEncoding: algorithm.dsaEncoding
+        }, Buffer.from(token.signature, 'base64url'));
+    }
+    catch(e){
+        errors.push('Could not verify the signature: ' + e.message);
+        return false;
+    }
+}
+
+/**
+ * Create a cache of the tokens whose signature has been verified, keyed by
+ * signature. The signed part of the token is kept with it, so that a valid
+ * signature copied onto another header and payload does not match. Entries
+ * are dropped when the token expires, and after maxAgeSeconds so that tokens
+ * signed with a key that was removed from the JWKS stop being accepted; past
+ * maxEntries, the least recently used entries are dropped. The claims are
+ * still checked on every request.
+ * @param {Object} options: { maxEntries, maxAgeSeconds } (optional)
+ * @returns { has: Function, add: Function, size: Function }
+ */
+function createVerificationCache(options = {}){
+    const maxEntries = options.maxEntries ?? DEFAULT_CACHE_MAX_ENTRIES;
+    const maxAge = (options.maxAgeSeconds ?? DEFAULT_CACHE_MAX_AGE_SECONDS) * 1000;
+    // Signature to { signingInput, expiresAt }, in least recently used order
+    let entries = new Map();
+
+    /**
+     * Check whether the signature of the token has been verified.
+     * @param {Object} token: from decodeToken
+     * @returns Boolean
+     */
+    function has(token){
+        let entry = entries.get(token.signature);
+        if (!entry){
+            return false;
+        }
+        if (Date.now() >= entry.expiresAt){
+            entries.delete(token.signature);
+            return false;
+        }
+        if (entry.signingInput !== token.signingInput){
+            return false;
+        }
+
+        entries.delete(token.signature);
+        entries.set(token.signature, entry);
+        return true;
+    }
+
+    /**
+     * Add a token whose signature has been verified.
+     * @param {Object} token: from decodeToken
+     */
+    function add(token){
+        if (maxEntries <= 0 || typeof token.claims.exp !== 'number'){
+            return;
+        }
+
+        entries.delete(token.signature);
+        entries.set(token.signature, {
+            signingInput: token.signingInput,
+            expiresAt: Math.min(Date.now() + maxAge, token.claims.exp * 1000)
+        });
+        while (entries.size > maxEntries){
+            entries.delete(entries.keys().next().value);
+        }
+    }
+
+    return { has, add, size: () => entries.size };
+}
+
+/**
+ * Check that a key can be used with the algorithm in the JWT header, so that
+ * a token cannot pick an algorithm the key was not made for.
+ * @param {Object} key: { alg, type, curve } from the key store
+ * @param {String} alg
+ * @returns Boolean
+ */
+function keyMatchesAlgorithm(key, alg){
+    const algorithm = ALGORITHMS[alg];
+    if (key.alg && key.alg !== alg){
+        return false;
+    }
+    return key.type === algorithm.type && (!algorithm.curve || key.curve === algorithm.curve);
+}
+
+// Check if the jwt is expired
+function isExpired(jwtObj, clockSkewSeconds = 0){
+    let expiration = jwtObj.exp;
+    let now = Date.now() / 1000;
+    if (typeof expiration !== 'number' || expiration + clockSkewSeconds < now){
+        return true;
+    }
+    else {
+        return false;
+    }
+}
+
+/**
+ * Check the registered claims against the expected values. Expected values
+ * that are not configured are not checked.
+ * @param {Object} claims
+ * @param {Object} expected: { issuer, clientId, tokenUse, clockSkewSeconds }
+ * @returns String: reason code, or null if the claims are valid
+ */
+function validateClaims(claims, expected){
+    const skew = expected.clockSkewSeconds ?? DEFAULT_CLOCK_SKEW_SECONDS;
+    const now = Date.now() / 1000;
+
+    if (isExpired(claims, skew)){
+        return REASONS.EXPIRED;
+    }
+
+    if (typeof claims.nbf === 'number' && claims.nbf - skew > now){
+        return REASONS.NOT_YET_VALID;
+    }
+
+    if (typeof claims.iat === 'number' && claims.iat - skew > now){
+        return REASONS.ISSUED_IN_FUTURE;
+    }
+
+    if (expected.issuer && claims.iss !== expected.issuer){
+        return REASONS.WRONG_ISSUER;
+    }
+
+    if (expected.tokenUse && claims.token_use !== expected.tokenUse){
+        return REASONS.WRONG_TOKEN_USE;
+    }
+
+    if (expected.clientId){
+        // ID tokens name the client in aud, access tokens in client_id
+        let audience = claims.token_use === 'access' ? claims.client_id : claims.aud;
+        let audiences = Array.isArray(audience) ? audience : [audience];
+        if (!audiences.includes(expected.clientId)){
+            return REASONS.WRONG_AUDIENCE;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Find the token of a request. Native apps send it in an Authorization header
+ * with the Bearer scheme, browsers in a cookie. The Authorization header takes
+ * precedence, because a client sets it on purpose while cookies are sent by the
+ * browser automatically. An Authorization header with another scheme, or with
+ * an empty token, is ignored.
+ * @param {Object} headers: CloudFront request headers
+ * @param {String} cookieName: name of the cookie with the token (default jwt)
+ * @returns { token: String, source: authorization|cookie }, token is null if there is none
+ */
+function findToken(headers, cookieName = DEFAULT_TOKEN_COOKIE_NAME){
+    let authorization = headers.authorization && headers.authorization[0] ? headers.authorization[0].value : '';
+    let match = /^\s*Bearer\s+(\S+)\s*$/i.exec(authorization);
+    if (match){
+        return { token: match[1], source: 'authorization' };
+    }
+
+    let cookie = getCookieValue(headers, cookieName);
+    return { token: cookie || null, source: cookie ? 'cookie' : null };
+}
+
+/**
+ * Verify the token signature and claims.
+ * @param {String} jwt
+ * @param {Object} keyStore: { getKey(kid, errors) }
+ * @param {Object} expected: { issuer, clientId, tokenUse, clockSkewSeconds, algorithms }
+ *                 algorithms lists the accepted alg values (default: all of ALGORITHMS)
+ * @param {Object} cache: from createVerificationCache (optional)
+ * @param {String[]} errors: problems with the keys are added to it (optional)
+ * @returns { valid: Boolean, reason: String, claims: Object }
+ */
+async function verifyToken(jwt, keyStore, expected, cache, errors = []){
+    if (!jwt){
+        return { valid: false, reason: REASONS.MISSING_TOKEN };
+    }
+
+    let token = decodeToken(jwt);
+    if (!token){
+        return { valid: false, reason: REASONS.MALFORMED };
+    }
+
+    let cached = !!cache && cache.has(token);
+    if (!cached){
+        let reason = await verifySignature(token, keyStore, expected, errors);
+        if (reason){
+            return { valid: false, reason: reason };
+        }
+    }
+
+    let reason = validateClaims(token.claims, expected);
+    if (reason){
+        return { valid: false, reason: reason, claims: token.claims };
+    }
+
+    if (cache && !cached){
+        cache.add(token);
+    }
+    return { valid: true, reason: null, claims: token.claims };
+}
+
+/**
+ * Check the algorithm, key and signature of a token.
+ * @param {Object} token: from decodeToken
+ * @param {Object} keyStore: { getKey(kid, errors) }
+ * @param {Object} expected: { algorithms }
+ * @param {String[]} errors: problems with the keys are added to it
+ * @returns String: reason code, or null if the signature is valid
+ */
+async function verifySignature(token, keyStore, expected, errors){
+    let header = token.header;
+
+    // Only accept the algorithms used by the Identity Provider, so that
+    // tokens with alg=none or a symmetric algorithm are never considered
+    let algorithms = (expected.algorithms || Object.keys(ALGORITHMS)).filter(alg => ALGORITHMS[alg]);
+    if (!Object.prototype.hasOwnProperty.call(ALGORITHMS, header.alg) || !algorithms.includes(header.alg)){
+        return REASONS.UNSUPPORTED_ALG;
+    }
+
+    let key = await keyStore.getKey(header.kid, errors);
+    if (!key){
+        return REASONS.UNKNOWN_KID;
+    }
+
+    if (!keyMatchesAlgorithm(key, header.alg)){
+        return REASONS.KEY_MISMATCH;
+    }
+
+    // Key stores that only provide the pem are still supported
+    if (!verify(token, key.key || key.pem, header.alg, errors)){
+        return REASONS.BAD_SIGNATURE;
+    }
+
+    return null;
+}
+
+module.exports = {
+    ALGORITHMS,
+    REASONS,
+    createVerificationCache,
+    decodeToken,
+    findToken,
+    verify,
+    keyMatchesAlgorithm,
+    isExpired,
+    validateClaims,
+    verifyToken
+};
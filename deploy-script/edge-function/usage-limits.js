@@ -0,0 +1,314 @@
+'use strict';
+// © 2022 Amazon Web Services, Inc. or its affiliates. All Rights Reserved.
+// This work is licensed under a MIT-0 License.
+
+// Usage limits for subscribers. A valid token grants full content on every
+// request, so one shared login could serve any number of readers. For each
+// user (sub claim), the edge function counts over sliding windows:
+// - the full reads, to limit how much one account can read
+// - the distinct client fingerprints (IP address prefix and User-Agent), to
+//   detect an account that is used from too many places at once
+// Past a limit, the request gets the preview ('preview') or a 429 response
+// ('reject'). The counters are kept behind a store interface:
+//   count(key, windowSeconds, now): record an event, return the events in the window
+//   distinct(key, member, windowSeconds, now): record a member, return the distinct
+//                                             members in the window
+// The memory store only counts the requests seen by one Lambda@Edge instance,
+// so deployments use the DynamoDB table of the distribution stack. The table is
+// in us-east-1, so each instance counts locally for syncSeconds before it adds
+// its counts to the table and reads the totals again; the other instances' reads
+// of that time are missed, so a limit can be exceeded for up to syncSeconds. If
+// the store cannot be reached, the request is not limited.
+const crypto = require('crypto');
+
+const ACTIONS = {
+    PREVIEW: 'preview',
+    REJECT: 'reject'
+};
+
+const REASONS = {
+    RATE_LIMITED: 'rate_limited',
+    SHARING_SUSPECTED: 'sharing_suspected'
+};
+
+const DEFAULT_TIMEOUT_MS = 1000;
+const DEFAULT_MAX_KEYS = 10000;
+const DEFAULT_SYNC_SECONDS = 10;
+
+// The DynamoDB store counts in buckets; a window is this many buckets long
+const BUCKETS_PER_WINDOW = 10;
+
+// Prefix lengths of the client IP address in fingerprints, so that a reader
+// whose address changes within their network keeps the same fingerprint
+const DEFAULT_IPV4_PREFIX_BITS = 24;
+const DEFAULT_IPV6_PREFIX_BITS = 48;
+
+/**
+ * Store that keeps the events in memory, with the exact time of each event.
+ * The least recently used keys are dropped past maxKeys.
+ * @param {Object} options: { maxKeys } (optional)
+ * @returns { count: Function, distinct: Function }
+ */
+function createMemoryCounterStore(options = {}){
+    const maxKeys = options.maxKeys || DEFAULT_MAX_KEYS;
+    // Key to list of { time, member }, in least recently used order
+    let entries = new Map();
+
+    function update(key, events){
+        entries.delete(key);
+        entries.set(key, events);
+        if (entries.size > maxKeys){
+            entries.delete(entries.keys().next().value);
+        }
+        return events;
+    }
+
+    function recent(key, windowSeconds, now){
+        return (entries.get(key) || []).filter(e => e.time > now - windowSeconds);
+    }
+
+    async function count(key, windowSeconds, now){
+        return update(key, recent(key, windowSeconds, now).concat({ time: now })).length;
+    }
+
+    async function distinct(key, member, windowSeconds, now){
+        let events = recent(key, windowSeconds, now).filter(e => e.member !== member);
+        return update(key, events.concat({ time: now, member: member })).length;
+    }
+
+    return { count, distinct };
+}
+
+/**
+ * Store for the DynamoDB table of a deployment. Each item holds the events of
+ * one key in one bucket of a window (partition key pk, sort key bucket) and
+ * expires with the window, so the window slides one bucket at a time. The
+ * events of a key are kept in memory for syncSeconds after the totals were read,
+ * and written with the next request after that, so a busy key costs one
+ * UpdateItem and one Query per instance and interval rather than per request.
+ * The client is created on first use if none is passed in; the aws-sdk is part
+ * of the Lambda runtime.
+ * @param {Object} options: { table, region, documentClient: AWS.DynamoDB.DocumentClient (optional),
+ *                 timeoutMs, syncSeconds (0 to use the table on every request), maxKeys }
+ * @returns { count: Function, distinct: Function }
+ */
+function createDynamoDbCounterStore(options){
+    const syncSeconds = options.syncSeconds ?? DEFAULT_SYNC_SECONDS;
+    const maxKeys = options.maxKeys || DEFAULT_MAX_KEYS;
+    let db = options.documentClient || null;
+    // Key to { total, members, pending, syncedAt, syncing }, in least recently used order
+    let entries = new Map();
+
+    function client(){
+        if (!db){
+            const AWS = require('aws-sdk');
+            db = new AWS.DynamoDB.DocumentClient({
+                region: options.region,
+                httpOptions: { timeout: options.timeoutMs || DEFAULT_TIMEOUT_MS, connectTimeout: options.timeoutMs || DEFAULT_TIMEOUT_MS },
+                maxRetries: 0
+            });
+        }
+        return db;
+    }
+
+    // Add to the current bucket, then read every bucket that overlaps the window
+    async function record(key, windowSeconds, now, expression, value){
+        let size = Math.max(1, Math.ceil(windowSeconds / BUCKETS_PER_WINDOW));
+        let bucket = now - now % size;
+
+        await client().update({
+            TableName: options.table,
+            Key: { pk: key, bucket: bucket },
+            UpdateExpression: expression + ' SET expiresAt = :expiresAt',
+            ExpressionAttributeValues: { ':value': value, ':expiresAt': bucket + size + windowSeconds }
+        }).promise();
+
+        let result = await client().query({
+            TableName: options.table,
+            KeyConditionExpression: 'pk = :pk AND #bucket > :from',
+            ExpressionAttributeNames: { '#bucket': 'bucket' },
+            ExpressionAttributeValues: { ':pk': key, ':from': now - windowSeconds - size }
+        }).promise();
+        return result.Items;
+    }
+
+    function entry(key, empty){
+        let e = entries.get(key) || { total: 0, members: new Set(), pending: empty(), syncedAt: null, syncing: false };
+        entries.delete(key);
+        entries.set(key, e);
+        if (entries.size > maxKeys){
+            entries.delete(entries.keys().next().value);
+        }
+        return e;
+    }
+
+    // Whether the totals read last are recent enough, or are being read by another request
+    function isFresh(e, now){
+        return e.syncing || (e.syncedAt !== null && now - e.syncedAt < syncSeconds);
+    }
+
+    async function count(key, windowSeconds, now){
+        let e = entry(key, () => 0);
+        e.pending++;
+        if (isFresh(e, now)){
+            return e.total + e.pending;
+        }
+
+        let pending = e.pending;
+        e.syncing = true;
+        try {
+            let items = await record(key, windowSeconds, now, 'ADD hits :value', pending);
+            e.pending -= pending;
+            e.total = items.reduce((total, item) => total + (item.hits || 0), 0);
+        }
+        finally {
+            // After a failure too, so that an unreachable table is not waited for on every request
+            e.syncedAt = now;
+            e.syncing = false;
+        }
+        return e.total + e.pending;
+    }
+
+    async function distinct(key, member, windowSeconds, now){
+        let e = entry(key, () => new Set());
+        e.pending.add(member);
+        if (isFresh(e, now)){
+            return new Set([...e.members, ...e.pending]).size;
+        }
+
+        let pending = e.pending;
+        e.pending = new Set();
+        e.syncing = true;
+        try {
+            let items = await record(key, windowSeconds, now, 'ADD members :value', client().createSet([...pending]));
+            e.members = new Set();
+            items.map(item => (item.members ? item.members.values : []).map(m => e.members.add(m)));
+        }
+        catch (error){
+            // Written with the next attempt
+            pending.forEach(m => e.pending.add(m));
+            throw error;
+        }
+        finally {
+            e.syncedAt = now;
+            e.syncing = false;
+        }
+        return new Set([...e.members, ...e.pending]).size;
+    }
+
+    return { count, distinct };
+}
+
+/**
+ * Create the store described by the usageLimits section of the edge configuration.
+ * @param {Object} options: { table, region, timeoutMs, syncSeconds } for DynamoDB; the memory store otherwise
+ * @returns { count: Function, distinct: Function }
+ */
+function createCounterStore(options){
+    if (options && options.table){
+        return createDynamoDbCounterStore(options);
+    }
+    return createMemoryCounterStore(options);
+}
+
+/**
+ * Reduce an IP address to its network prefix.
+ * @param {String} ip
+ * @param {Number} ipv4Bits
+ * @param {Number} ipv6Bits
+ * @returns String
+ */
+function ipPrefix(ip, ipv4Bits = DEFAULT_IPV4_PREFIX_BITS, ipv6Bits = DEFAULT_IPV6_PREFIX_BITS){
+    // IPv4 addresses can be reported in their IPv6 form (::ffff:192.0.2.1)
+    ip = String(ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '');
+
+    if (ip.includes('.') && !ip.includes(':')){
+        let octets = ip.split('.').map(Number);
+        let bits = octets.map(o => o.toString(2).padStart(8, '0')).join('').substring(0, ipv4Bits);
+        return bits.padEnd(32, '0').match(/.{8}/g).map(b => parseInt(b, 2)).join('.') + '/' + ipv4Bits;
+    }
+
+    // Expand :: so that every address has eight groups
+    let halves = ip.toLowerCase().split('::');
+    let head = halves[0] ? halves[0].split(':') : [];
+    let tail = halves.length > 1 && halves[1] ? halves[1].split(':') : [];
+    let groups = head.concat(Array(Math.max(0, 8 - head.length - tail.length)).fill('0'), tail);
+    let bits = groups.map(g => parseInt(g, 16).toString(2).padStart(16, '0')).join('').substring(0, ipv6Bits);
+    return bits.padEnd(128, '0').match(/.{16}/g).map(b => parseInt(b, 2).toString(16)).join(':') + '/' + ipv6Bits;
+}
+
+/**
+ * Fingerprint of the client of a request: a hash of the IP address prefix and
+ * the User-Agent header, so that the store never holds the address itself.
+ * @param {Object} request: CloudFront request
+ * @param {Object} options: { ipv4PrefixBits, ipv6PrefixBits } (optional)
+ * @returns String
+ */
+function getFingerprint(request, options = {}){
+    let userAgent = request.headers['user-agent'] && request.headers['user-agent'][0] ? request.headers['user-agent'][0].value : '';
+    let prefix = ipPrefix(request.clientIp, options.ipv4PrefixBits, options.ipv6PrefixBits);
+    return crypto.createHash('sha256').update(prefix + '|' + userAgent).digest('hex').substring(0, 16);
+}
+
+/**
+ * Create the usage limiter of the edge function.
+ * @param {Object} options: {
+ *      reads: Object,          { limit, windowSeconds, action } full reads per user (optional)
+ *      fingerprints: Object,   { limit, windowSeconds, action, ipv4PrefixBits, ipv6PrefixBits }
+ *                              distinct client fingerprints per user (optional)
+ *      store: Object           see createCounterStore (optional)
+ * }
+ * @param {Object} store: replaces the counter store (optional)
+ * @returns { check: Function }
+ */
+function createUsageLimiter(options, store){
+    store = store || createCounterStore(options.store);
+
+    /**
+     * Count a full read of a user and check it against the limits.
+     * @param {String} sub
+     * @param {Object} request: CloudFront request
+     * @param {Number} now: epoch seconds (optional)
+     * @returns Object: { action: preview, reject or null, reason: String or null, error: String or null }
+     */
+    async function check(sub, request, now = Math.floor(Date.now() / 1000)){
+        let checks = [];
+
+        if (options.reads){
+            let rule = options.reads;
+            checks.push(store.count('reads#' + sub, rule.windowSeconds, now)
+                .then(n => n > rule.limit ? { action: rule.action || ACTIONS.PREVIEW, reason: REASONS.RATE_LIMITED } : null));
+        }
+        if (options.fingerprints){
+            let rule = options.fingerprints;
+            checks.push(store.distinct('fingerprints#' + sub, getFingerprint(request, rule), rule.windowSeconds, now)
+                .then(n => n > rule.limit ? { action: rule.action || ACTIONS.PREVIEW, reason: REASONS.SHARING_SUSPECTED } : null));
+        }
+
+        let exceeded;
+        try {
+            exceeded = (await Promise.all(checks)).filter(r => r);
+        }
+        catch (e){
+            // The request is let through: the limits are a safeguard, not the paywall
+            return { action: null, reason: null, error: 'Could not check the usage limits: ' + e.message };
+        }
+
+        // A refused request is not downgraded
+        let result = exceeded.find(r => r.action === ACTIONS.REJECT) || exceeded[0] || { action: null, reason: null };
+        return { action: result.action, reason: result.reason, error: null };
+    }
+
+    return { check };
+}
+
+module.exports = {
+    ACTIONS,
+    REASONS,
+    createCounterStore,
+    createDynamoDbCounterStore,
+    createMemoryCounterStore,
+    createUsageLimiter,
+    getFingerprint,
+    ipPrefix
+};
@@ -0,0 +1,297 @@
+'use strict';
+// © 2022 Amazon Web Services, Inc. or its affiliates. All Rights Reserved.
+// This work is licensed under a MIT-0 License.
+
+/**
+ * Loads the configuration of a deployment environment (dev, staging, prod) from
+ * the environments folder. The file of an environment only lists the values that
+ * differ from DEFAULTS; the merged configuration is checked against SCHEMA before
+ * the deploy script creates anything. It holds:
+ * - stage:                 stage name of the origin API, also part of the origin path
+ * - regions:               { edge, origin }. The user pool, the distribution and the
+ *                          Lambda@Edge function are in the edge region, which must be
+ *                          us-east-1; the mock origin can be in any region
+ * - viewerProtocolPolicy:  allow-all, redirect-to-https or https-only
+ * - cacheTtlSeconds:       { min, default, max } of the CloudFront cache policy
+ * - originThrottle:        { rateLimit, burstLimit } requests per second allowed by the stage of
+ *                          the origin API
+ * - usageLimits:           { reads, fingerprints, syncSeconds } full reads and distinct client
+ *                          fingerprints allowed per subscriber ({ limit, windowSeconds, action }),
+ *                          and how long an edge instance counts locally between updates of
+ *                          the counter table, see edge-function/usage-limits.js
+ * - tokenValidity:         { idTokenMinutes, accessTokenMinutes, refreshTokenDays } of the
+ *                          user pool client
+ * - logRetentionDays:      retention of the log groups created by the stacks
+ */
+const fs = require('fs');
+const path = require('path');
+
+const ENVIRONMENTS_DIR = path.join(__dirname, 'environments');
+const DEFAULT_ENVIRONMENT = 'dev';
+
+// Lambda@Edge functions can only be created in us-east-1
+const EDGE_REGION = 'us-east-1';
+
+// Values CloudWatch Logs accepts for the retention of a log group
+const LOG_RETENTION_DAYS = [1, 3, 5, 7, 14, 30, 60, 90, 120, 150, 180, 365, 400, 545, 731, 1096, 1827, 2192, 2557, 2922, 3288, 3653];
+
+const DEFAULTS = {
+    stage: 'dev',
+    regions: { edge: EDGE_REGION, origin: EDGE_REGION },
+    viewerProtocolPolicy: 'allow-all',
+    cacheTtlSeconds: { min: 86400, default: 86400, max: 86400 },
+    originThrottle: { rateLimit: 10, burstLimit: 20 },
+    usageLimits: {
+        reads: { limit: 300, windowSeconds: 3600, action: 'preview' },
+        fingerprints: { limit: 5, windowSeconds: 3600, action: 'reject' },
+        syncSeconds: 10
+    },
+    tokenValidity: { idTokenMinutes: 60, accessTokenMinutes: 60, refreshTokenDays: 30 },
+    logRetentionDays: 3
+};
+
+// Limit of one usage counter; the window is 10 buckets of at least one second
+const USAGE_LIMIT_SCHEMA = {
+    type: 'object',
+    properties: {
+        limit: { type: 'integer', minimum: 1 },
+        windowSeconds: { type: 'integer', minimum: 10, maximum: 86400 },
+        action: { type: 'string', enum: ['preview', 'reject'] }
+    }
+};
+
+// Every property is required once the defaults are merged in, and no others are allowed
+const SCHEMA = {
+    type: 'object',
+    properties: {
+        stage: { type: 'string', pattern: /^[A-Za-z0-9_]{1,64}$/, format: 'letters, digits and underscores' },
+        regions: {
+            type: 'object',
+            properties: {
+                edge: { type: 'string', enum: [EDGE_REGION] },
+                origin: { type: 'string', pattern: /^[a-z]{2}(-gov)?-[a-z]+-\d$/, format: 'an AWS region such as eu-west-1' }
+            }
+        },
+        viewerProtocolPolicy: { type: 'string', enum: ['allow-all', 'redirect-to-https', 'https-only'] },
+        cacheTtlSeconds: {
+            type: 'object',
+            properties: {
+                min: { type: 'integer', minimum: 0, maximum: 31536000 },
+                default: { type: 'integer', minimum: 0, maximum: 31536000 },
+                max: { type: 'integer', minimum: 0, maximum: 31536000 }
+            }
+        },
+        // Limits of API Gateway accounts
+        originThrottle: {
+            type: 'object',
+            properties: {
+                rateLimit: { type: 'integer', minimum: 1, maximum: 10000 },
+                burstLimit: { type: 'integer', minimum: 1, maximum: 5000 }
+            }
+        },
+        usageLimits: {
+            type: 'object',
+            properties: {
+                reads: USAGE_LIMIT_SCHEMA,
+                fingerprints: USAGE_LIMIT_SCHEMA,
+                syncSeconds: { type: 'integer', minimum: 0, maximum: 300 }
+            }
+        },
+        // Limits of Cognito user pool clients
+        tokenValidity: {
+            type: 'object',
+            properties: {
+                idTokenMinutes: { type: 'integer', minimum: 5, maximum: 1440 },
+                accessTokenMinutes: { type: 'integer', minimum: 5, maximum: 1440 },
+                refreshTokenDays: { type: 'integer', minimum: 1, maximum: 3650 }
+            }
+        },
+        logRetentionDays: { type: 'integer', enum: LOG_RETENTION_DAYS }
+    }
+};
+
+/**
+ * Check a value against a schema node.
+ * @param {*} value
+ * @param {Object} schema: { type, enum, pattern, format, minimum, maximum, properties }
+ * @param {String} name: path of the value, for the error messages
+ * @returns String[]: list of problems
+ */
+function checkSchema(value, schema, name){
+    let errors = [];
+
+    if (schema.type === 'object'){
+        if (value === null || typeof value !== 'object' || Array.isArray(value)){
+            return [(name || 'the configuration') + ' must be an object'];
+        }
+        Object.keys(schema.properties).map(key => {
+            let child = name ? name + '.' + key : key;
+            if (value[key] === undefined){
+                errors.push(child + ' is required');
+            }
+            else {
+                checkSchema(value[key], schema.properties[key], child).map(e => errors.push(e));
+            }
+        });
+        Object.keys(value).filter(key => !schema.properties[key])
+            .map(key => errors.push((name ? name + '.' : '') + key + ' is not a known setting'));
+        return errors;
+    }
+
+    if (schema.type === 'integer' && !Number.isInteger(value)){
+        return [name + ' must be a whole number'];
+    }
+    if (schema.type === 'string' && typeof value !== 'string'){
+        return [name + ' must be a string'];
+    }
+    if (schema.enum && !schema.enum.includes(value)){
+        errors.push(name + ' must be one of ' + schema.enum.join(', '));
+    }
+    if (schema.pattern && !schema.pattern.test(value)){
+        errors.push(name + ' must be ' + schema.format);
+    }
+    if (schema.minimum !== undefined && value < schema.minimum){
+        errors.push(name + ' must be ' + schema.minimum + ' or more');
+    }
+    if (schema.maximum !== undefined && value > schema.maximum){
+        errors.push(name + ' must be ' + schema.maximum + ' or less');
+    }
+    return errors;
+}
+
+/**
+ * Check that an environment configuration is complete and consistent. Throws an error
+ * describing every problem.
+ * @param {Object} environment: merged configuration
+ * @param {String} name: name of the environment
+ * @returns Object: the configuration
+ */
+function validateEnvironment(environment, name){
+    let errors = checkSchema(environment, SCHEMA, '');
+    let ttl = environment.cacheTtlSeconds;
+
+    if (errors.length === 0 && !(ttl.min <= ttl.default && ttl.default <= ttl.max)){
+        errors.push('cacheTtlSeconds must have min <= default <= max');
+    }
+
+    if (errors.length > 0){
+        throw new Error('Invalid configuration for environment "' + name + '":\n  ' + errors.join('\n  '));
+    }
+    return environment;
+}
+
+/**
+ * Merge the settings of an environment file over the defaults. Objects are merged
+ * key by key; any other value replaces the default.
+ * @param {Object} defaults
+ * @param {Object} overrides
+ * @returns Object
+ */
+function merge(defaults, overrides){
+    const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+    let merged = Object.assign({}, defaults);
+
+    Object.keys(overrides || {}).map(key => {
+        let value = overrides[key];
+        merged[key] = isObject(value) && isObject(defaults[key]) ? merge(defaults[key], value) : value;
+    });
+    return merged;
+}
+
+/**
+ * List the names of the environments that have a configuration file.
+ * @param {String} dir
+ * @returns String[]
+ */
+function listEnvironments(dir = ENVIRONMENTS_DIR){
+    if (!fs.existsSync(dir)){
+        return [];
+    }
+    return fs.readdirSync(dir).filter(f => f.endsWith('.json')).map(f => f.slice(0, -5)).sort();
+}
+
+/**
+ * Read, merge and validate the configuration of an environment.
+ * @param {String} name: dev, staging, prod, or the name of another file in the environments folder
+ * @param {String} dir
+ * @returns Object: the merged configuration, with its name
+ */
+function loadEnvironment(name = DEFAULT_ENVIRONMENT, dir = ENVIRONMENTS_DIR){
+    if (!/^[a-z0-9][a-z0-9-]*$/.test(name || '')){
+        throw new Error('Invalid environment name "' + name + '": use lowercase letters, digits and dashes');
+    }
+
+    let file = path.join(dir, name + '.json');
+    if (!fs.existsSync(file)){
+        throw new Error('No configuration for environment "' + name + '" was found in ' + dir +
+            '. Available environments: ' + (listEnvironments(dir).join(', ') || '(none)'));
+    }
+
+    let overrides = null;
+    try {
+        overrides = JSON.parse(fs.readFileSync(file).toString());
+    }
+    catch (e){
+        throw new Error('Could not read ' + file + ': ' + e.message);
+    }
+
+    return Object.assign({ name: name }, validateEnvironment(merge(DEFAULTS, overrides), name));
+}
+
+/**
+ * Parameters of step-1-userpool.yml that come from the environment.
+ * @param {Object} environment
+ * @returns Object: parameter value by name
+ */
+function getUserPoolParameters(environment){
+    return {
+        IdTokenValidity: environment.tokenValidity.idTokenMinutes,
+        AccessTokenValidity: environment.tokenValidity.accessTokenMinutes,
+        RefreshTokenValidity: environment.tokenValidity.refreshTokenDays
+    };
+}
+
+/**
+ * Parameters of step-2-origin.yml that come from the environment.
+ * @param {Object} environment
+ * @returns Object: parameter value by name
+ */
+function getOriginParameters(environment){
+    return {
+        Environment: environment.stage,
+        ThrottleRateLimit: environment.originThrottle.rateLimit,
+        ThrottleBurstLimit: environment.originThrottle.burstLimit,
+        LogRetentionDays: environment.logRetentionDays
+    };
+}
+
+/**
+ * Parameters of step-3-cfdistribution.yml that come from the environment.
+ * @param {Object} environment
+ * @returns Object: parameter value by name
+ */
+function getDistributionParameters(environment){
+    return {
+        Environment: environment.stage,
+        ViewerProtocolPolicy: environment.viewerProtocolPolicy,
+        MinTTL: environment.cacheTtlSeconds.min,
+        DefaultTTL: environment.cacheTtlSeconds.default,
+        MaxTTL: environment.cacheTtlSeconds.max,
+        LogRetentionDays: environment.logRetentionDays
+    };
+}
+
+module.exports = {
+    DEFAULTS,
+    DEFAULT_ENVIRONMENT,
+    EDGE_REGION,
+    ENVIRONMENTS_DIR,
+    SCHEMA,
+    getDistributionParameters,
+    getOriginParameters,
+    getUserPoolParameters,
+    listEnvironments,
+    loadEnvironment,
+    merge,
+    validateEnvironment
+};
@@ -0,0 +1,129 @@
+'use strict';
+// © 2022 Amazon Web Services, Inc. or its affiliates. All Rights Reserved.
+// This work is licensed under a MIT-0 License.
+
+/**
+ * Works out which Identity Provider issues the tokens the edge function accepts.
+ * By default, this is the Cognito user pool created by step-1-userpool.yml. With
+ * an issuer url, any OpenID Connect provider can be used instead: its jwks_uri
+ * and signing algorithms are read from <issuer>/.well-known/openid-configuration.
+ *
+ * The provider settings are saved in the deployment manifest, so that an update
+ * keeps using the same provider.
+ */
+
+// Algorithms the edge function can verify, see edge-function/token.js
+const SUPPORTED_ALGORITHMS = ['RS256', 'RS384', 'ES256'];
+const DEFAULT_SUBSCRIPTIONS_CLAIM = 'custom:subs';
+
+/**
+ * Check that a url uses https, except for local test servers.
+ * @param {String} url
+ * @returns Boolean
+ */
+function isSecureUrl(url){
+    return /^https:\/\/[^/]+/.test(url) || /^http:\/\/(localhost|127\.0\.0\.1)(:\d+)?(\/|$)/.test(url);
+}
+
+/**
+ * Read the OpenID configuration of an issuer.
+ * @param {String} issuer
+ * @param {Function} fetchJson: (url) => Promise of the parsed body
+ * @returns { issuer, jwksUrl, algorithms: String[] }
+ */
+async function discoverProvider(issuer, fetchJson){
+    if (!isSecureUrl(issuer)){
+        throw new Error('The issuer ' + issuer + ' must be an https url');
+    }
+
+    const base = issuer.replace(/\/+$/, '');
+    let configuration = await fetchJson(base + '/.well-known/openid-configuration');
+
+    // The issuer in the configuration must be the one the tokens are checked against
+    if (!configuration.issuer || configuration.issuer.replace(/\/+$/, '') !== base){
+        throw new Error('The OpenID configuration of ' + issuer + ' is for issuer ' + configuration.issuer);
+    }
+    if (!configuration.jwks_uri || !isSecureUrl(configuration.jwks_uri)){
+        throw new Error('The OpenID configuration of ' + issuer + ' has no https jwks_uri');
+    }
+
+    // Providers that do not list their algorithms support at least RS256
+    let advertised = configuration.id_token_signing_alg_values_supported || ['RS256'];
+    let algorithms = SUPPORTED_ALGORITHMS.filter(alg => advertised.includes(alg));
+    if (algorithms.length === 0){
+        throw new Error('The ID tokens of ' + issuer + ' are signed with ' + advertised.join(', ') +
+            '; the edge function supports ' + SUPPORTED_ALGORITHMS.join(', '));
+    }
+
+    return {
+        issuer: configuration.issuer,
+        jwksUrl: configuration.jwks_uri,
+        algorithms: algorithms
+    };
+}
+
+/**
+ * Resolve the settings of the Identity Provider for the edge function.
+ * @param {Object} userPoolOutputs: outputs of the UserPool stack
+ * @param {Object} options: {
+ *      issuer: String,             OpenID Connect issuer url (optional, default the user pool)
+ *      clientId: String,           expected aud claim; required with an issuer
+ *      subscriptionsClaim: String  claim with the subscription codes (default custom:subs)
+ * }
+ * @param {Function} fetchJson: (url) => Promise of the parsed body
+ * @returns { issuer, jwksUrl, algorithms, clientId, tokenUse, subscriptionsClaim, external: Boolean }
+ */
+async function resolveIdentityProvider(userPoolOutputs, options, fetchJson){
+    const subscriptionsClaim = options.subscriptionsClaim || DEFAULT_SUBSCRIPTIONS_CLAIM;
+
+    if (!options.issuer){
+        return {
+            issuer: userPoolOutputs.UserPoolIssuer,
+            jwksUrl: userPoolOutputs.UserPoolUrl,
+            algorithms: ['RS256'],
+            clientId: userPoolOutputs.ClientId,
+            tokenUse: 'id',
+            subscriptionsClaim: subscriptionsClaim,
+            external: false
+        };
+    }
+
+    if (!options.clientId){
+        throw new Error('--client-id is required with --issuer; it is the aud claim of the ID tokens');
+    }
+
+    let discovered = await discoverProvider(options.issuer, fetchJson);
+    return Object.assign(discovered, {
+        clientId: options.clientId,
+        // token_use is a Cognito claim; other providers only issue ID tokens with an aud
+        tokenUse: null,
+        subscriptionsClaim: subscriptionsClaim,
+        external: true
+    });
+}
+
+/**
+ * Read the Identity Provider options from the command line flags, falling back
+ * to the ones saved in the deployment manifest.
+ * @param {Object} flags: --issuer, --client-id, --subs-claim
+ * @param {Object} saved: identityProvider value of the manifest (optional)
+ * @returns { issuer, clientId, subscriptionsClaim }
+ */
+function getProviderOptions(flags, saved = {}){
+    let issuer = flags.issuer !== undefined ? flags.issuer : saved.issuer;
+
+    return {
+        issuer: issuer || null,
+        // The client id belongs to the issuer, so a new issuer needs a new client id
+        clientId: flags['client-id'] !== undefined ? flags['client-id'] : (flags.issuer !== undefined ? null : saved.clientId || null),
+        subscriptionsClaim: flags['subs-claim'] !== undefined ? flags['subs-claim'] : saved.subscriptionsClaim || null
+    };
+}
+
+module.exports = {
+    DEFAULT_SUBSCRIPTIONS_CLAIM,
+    SUPPORTED_ALGORITHMS,
+    discoverProvider,
+    getProviderOptions,
+    resolveIdentityProvider
+};
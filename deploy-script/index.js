@@ -3,194 +3,899 @@
 // This work is licensed under a MIT-0 License.
 
 /**
- * Script runs two CloudFormation templates. The first creates a Cognito UserPool and 
+ * Script runs three CloudFormation templates. The first creates a Cognito UserPool and 
  * Client. 
  * 
- * Once that is created, the script retrieves and formats the PublicKey from
- * the UserPool and then calls the second Cognito UserPool that creates the CloudFront
- * distribution, the Lambda@Edge function that handles viewer requests, and then another
- * Lambda and API Gateway to serve as an origin.
+ * Once that is created, the script creates the mock origin (another Lambda and API
+ * Gateway) in the origin region with the second template: first its artifact bucket,
+ * then, once the origin function in the origin-function folder has been packaged and
+ * uploaded to that bucket, the function and the API.
+ * It then retrieves and formats the PublicKey from the UserPool, packages the Lambda@Edge
+ * function in the edge-function folder together with its configuration, uploads it to
+ * the artifact bucket of the UserPool stack, and runs the third template that creates
+ * the CloudFront distribution and the Lambda@Edge function that handles viewer requests.
+ *
+ * Finally, it writes a deployment manifest (see manifest.js) that the user and
+ * cleanup scripts use to find the stacks.
+ *
+ * Usage: node . [--name deployment-name] [--env dev|staging|prod] [--issuer url --client-id id]
+ *               [--subs-claim name]
+ *
+ * --env picks the configuration in the environments folder (default dev, see
+ * environment.js): the stage name, regions, viewer protocol policy, cache TTLs, origin
+ * quota, usage limits, token lifetimes and log retention. It is validated before anything is created.
+ *
+ * By default, the edge function accepts the ID tokens of the Cognito user pool. With
+ * --issuer, it accepts the ID tokens of another OpenID Connect provider instead (see
+ * identity-provider.js); --client-id is the aud claim of its tokens. --subs-claim
+ * names the claim with the subscription codes (default custom:subs).
+ *
+ * Before creating anything, the script validates the templates and checks the
+ * permissions of the caller (see preflight.js); `node . preflight [--env name]` only runs
+ * these checks. If the deployment fails, the stacks it created are deleted again.
+ *
+ * Update mode: node . update [--name deployment-name] [--env name] [--dry-run] [--rotate-origin-key]
+ *                            [--issuer url --client-id id] [--subs-claim name]
+ * Applies the current templates, functions, environment configuration, product catalog and
+ * paywall page to an existing deployment through change sets (see update below). The
+ * environment of the deployment is used unless --env is given. --dry-run only prints the
+ * resource changes. --rotate-origin-key signs origin requests with a new key.
  */
 const fs = require('fs');
-const https = require('https');
+const path = require('path');
 const jwkToPem = require('jwk-to-pem');
 const AWS = require('aws-sdk');
-// For this demo, we hard code the region because Lambda@Edge functions must be deployed
-// first to us-east-1 and are then replicated globally. This means that the origin server
-// and Cognito UserPool will also be deployed to us-east-1. If you have different needs.
-// you can create a deploment for the resources that must be in us-east-1 and
-// separate deployments for the other resources.
-AWS.config.update({'region': 'us-east-1'});
+const { packageFunction, readPackageConfig, uploadPackage } = require('./package-function');
+const { createChangeSet, deleteChangeSet, executeChangeSet, formatChanges } = require('./change-set');
+const { loadCatalog, buildEdgeCatalog, buildMeteredProducts } = require('./catalog');
+const { loadPaywallPage } = require('./paywall-page');
+const { DEFAULT_DEPLOYMENT, manifestExists, loadManifest, writeManifest } = require('./manifest');
+const { parseArgs } = require('./args');
+const { runPreflight, validateJwks, checkJwk } = require('./preflight');
+const { getProviderOptions, resolveIdentityProvider } = require('./identity-provider');
+const { DENY_LIST_KEY } = require('./edge-function/revocation');
+const { fetchJwks } = require('./edge-function/jwks');
+const { createCleanup, saveState, deleteState } = require('../cleanup-script/cleanup');
+const { DEFAULT_ENVIRONMENT, loadEnvironment, getUserPoolParameters, getOriginParameters, getDistributionParameters } = require('./environment');
 const crypto = require('crypto');
+// How long the edge function caches the keys it loads from the JWKS url
+const JWKS_CACHE_TTL_SECONDS = 3600;
+// Timeout of the requests for the JWKS and the OpenID configuration at deploy time
+const FETCH_TIMEOUT_MS = 10000;
+// Tolerance for the exp, nbf and iat claims when the edge function validates tokens
+const CLOCK_SKEW_SECONDS = 60;
+// Cookie that holds the ID Token when it is not sent in an Authorization header
+const TOKEN_COOKIE_NAME = 'jwt';
+const CAPABILITIES = ['CAPABILITY_IAM', 'CAPABILITY_AUTO_EXPAND'];
+// How long a signed origin request is valid
+const ORIGIN_SIGNATURE_TTL_SECONDS = 30;
+// How long the edge function caches the deny list of revoked tokens
+const DENY_LIST_CACHE_TTL_SECONDS = 60;
+// CloudWatch namespace of the metrics in the decision log of the edge function
+const METRICS_NAMESPACE = 'PaywallDemo';
 
 /**
  * Public keys must be put into pem format when validating
  * signatures using the crypto module. This uses the jwk-to-pem
- * npm module to do the conversion.
+ * npm module to do the conversion, which handles RSA and EC keys.
+ * Keys the edge function cannot use (see checkJwk) are skipped.
+ * The alg of a key is kept, so that the edge function only accepts
+ * tokens with that algorithm for the key.
  * @param {String[]} keysArray 
- * @returns 
+ * @returns Object: { pem, alg } by kid
  */
 function createPemKeys(keysArray){
     let allKeys = {};
 
-    keysArray.map( k => {
+    keysArray.filter(k => !checkJwk(k)).map( k => {
         let kid = k.kid;
         let pem = jwkToPem(k);
-        allKeys[kid] = pem;
+        allKeys[kid] = k.alg ? { pem: pem, alg: k.alg } : { pem: pem };
     } );
 
     return allKeys;
 }
 
 /**
- * Calls the well-known URL to get the public keys. The url value
- * was calculated in the CloudFormation template and included as
- * an output value in the CloudFormation stack.
+ * Calls the well-known URL to get the public keys, or the OpenID configuration
+ * of the Identity Provider. Uses the same client as the edge function, with a
+ * longer timeout since the deploy script is not on the request path.
+ * http urls are accepted so that the local issuer of the user script can be
+ * used for testing.
  * @param {String} url 
  * @returns Object
  */
 function getKeys(url){
-    return new Promise( (resolve, reject) => {
-
-        https.get(url, (res) => {
-            
-            res.on('data', (d) => {
-                try {
-                    let str = d.toString();
-                    return resolve(JSON.parse(str));
-                }
-                catch (e){
-                    return reject(e);
-                }
-
-            })
-    
-        }).on('error', (error) => {
-            return reject(error);
-        })  
+    return fetchJwks(url, FETCH_TIMEOUT_MS);
+}
 
-    } );
+/**
+ * Read the Output values of a stack into a simple key/value object.
+ * @param {AWS.CloudFormation} cloudformation
+ * @param {String} stackName
+ * @returns Object
+ */
+async function getStackOutputs(cloudformation, stackName){
+    let description = await cloudformation.describeStacks({ 'StackName': stackName }).promise();
+    let outputs = {};
+
+    description.Stacks.map(s => {
+        if (s.StackName === stackName){
+            s.Outputs.map( o => {
+                outputs[o.OutputKey] = o.OutputValue;
+            } );
+        }
+    });
+
+    return outputs;
+}
+
+/**
+ * Create a new key for signing origin requests.
+ * @returns { keyId: String, secret: String }
+ */
+function generateOriginKey(){
+    return {
+        keyId: crypto.randomBytes(4).toString('hex'),
+        secret: crypto.randomBytes(32).toString('base64')
+    };
+}
+
+/**
+ * Build the origin signing keys of a deployment: the edge function signs with the
+ * current key, and the origin accepts every key listed.
+ * @param {Object} previous: keys of the deployed origin function, or null
+ * @param {Boolean} rotate: add a new current key, keeping only the previous current key
+ * @returns { keyId: String, keys: Object }
+ */
+function getOriginSigningKeys(previous, rotate){
+    if (previous && !rotate){
+        return previous;
+    }
+
+    let key = generateOriginKey();
+    let keys = { [key.keyId]: key.secret };
+
+    if (previous){
+        keys[previous.keyId] = previous.keys[previous.keyId];
+    }
+
+    return { keyId: key.keyId, keys: keys };
 }
 
-function generateApiKey(){
-    let key = crypto.randomBytes(24).toString('base64');
-    return key;
+/**
+ * Package the mock origin together with its content catalog (content.json), the
+ * keys it accepts for signed requests, and the signature code shared with the
+ * edge function.
+ * @param {Object} originSigning: { keyId, keys }
+ * @returns Buffer
+ */
+function packageOrigin(originSigning){
+    return packageFunction(path.join(__dirname, 'origin-function'), {
+        originSigning: {
+            keyId: originSigning.keyId,
+            keys: originSigning.keys,
+            maxTtlSeconds: 2 * ORIGIN_SIGNATURE_TTL_SECONDS
+        }
+    }, [path.join(__dirname, 'edge-function', 'origin-signature.js')]);
+}
+
+/**
+ * Load the public keys of the Identity Provider from its JWKS url and convert
+ * them to pem format.
+ * @param {String} keyUrl
+ * @returns Object: { pem, alg } by kid
+ */
+async function loadPemKeys(keyUrl){
+    if (!keyUrl){
+        throw new Error('The Identity Provider has no JWKS url (is the UserPoolUrl output missing?)');
+    }
+
+    let publicKeys = await getKeys(keyUrl);
+    let errors = validateJwks(publicKeys);
+    if (errors.length > 0){
+        throw new Error('The JWKS at ' + keyUrl + ' has no usable keys: ' + errors.join('; '));
+    }
+    let pemKeys = createPemKeys(publicKeys.keys);
+    let skipped = publicKeys.keys.length - Object.keys(pemKeys).length;
+    console.log('Public keys retrieved' + (skipped > 0 ? ' (' + skipped + ' key(s) that cannot verify tokens were skipped)' : ''));
+    return pemKeys;
+}
+
+/**
+ * Build the configuration that is packaged with the edge function: the JWKS url,
+ * the expected token claims, the product catalog, the paywall page, the origin signing
+ * key, the location of the deny list in the artifact bucket and the usage limits. The edge function
+ * loads the keys from the JWKS url at runtime so that key rotation does not require
+ * a redeployment; the pem keys are only included as a fallback.
+ * Only ID tokens issued by the Identity Provider for its client are accepted.
+ * @param {Object} provider: from resolveIdentityProvider
+ * @param {Object} pemKeys
+ * @param {Object} catalog: product catalog
+ * @param {Object} paywallPage: from loadPaywallPage
+ * @param {Object} secrets: { meterSecret, userHashKey, originSigning: { keyId, keys } }
+ * @param {String} artifactBucket: bucket with the deny list
+ * @param {String} usageTable: DynamoDB table of the usage counters
+ * @param {Object} usageLimits: { reads, fingerprints, syncSeconds } of the environment
+ * @returns Object
+ */
+function buildEdgeConfig(provider, pemKeys, catalog, paywallPage, secrets, artifactBucket, usageTable, usageLimits){
+    return {
+        jwksUrl: provider.jwksUrl,
+        jwksCacheTtlSeconds: JWKS_CACHE_TTL_SECONDS,
+        keys: pemKeys,
+        issuer: provider.issuer,
+        clientId: provider.clientId,
+        tokenUse: provider.tokenUse,
+        algorithms: provider.algorithms,
+        subscriptionsClaim: provider.subscriptionsClaim,
+        tokenCookieName: TOKEN_COOKIE_NAME,
+        clockSkewSeconds: CLOCK_SKEW_SECONDS,
+        catalog: buildEdgeCatalog(catalog),
+        meter: {
+            secret: secrets.meterSecret,
+            products: buildMeteredProducts(catalog)
+        },
+        originSigning: {
+            keyId: secrets.originSigning.keyId,
+            secret: secrets.originSigning.keys[secrets.originSigning.keyId],
+            ttlSeconds: ORIGIN_SIGNATURE_TTL_SECONDS
+        },
+        paywall: paywallPage,
+        revocation: {
+            bucket: artifactBucket,
+            key: DENY_LIST_KEY,
+            region: AWS.config.region,
+            cacheTtlSeconds: DENY_LIST_CACHE_TTL_SECONDS
+        },
+        logging: {
+            userHashKey: secrets.userHashKey,
+            namespace: METRICS_NAMESPACE
+        },
+        usageLimits: {
+            reads: usageLimits.reads,
+            fingerprints: usageLimits.fingerprints,
+            store: {
+                table: usageTable,
+                region: AWS.config.region,
+                syncSeconds: usageLimits.syncSeconds
+            }
+        }
+    };
+}
+
+/**
+ * Name of the usage counter table of the distribution stack, which is derived from
+ * the suffix of the stack resources (see PaywallDemoUsageTable in step-3-cfdistribution.yml).
+ * @param {String} suffix
+ * @returns String
+ */
+function getUsageTableName(suffix){
+    return 'PaywallDemoUsage-' + suffix;
+}
+
+/**
+ * Load the configuration of an environment (see environment.js) and point the AWS
+ * clients at its edge region. Lambda@Edge functions must be created in us-east-1 and
+ * are then replicated globally, so the UserPool and distribution stacks are created
+ * there; the clients of the origin region come from getRegionClients.
+ * @param {String} name: dev, staging, prod
+ * @returns Object: the environment configuration
+ */
+function useEnvironment(name){
+    const environment = loadEnvironment(name);
+    AWS.config.update({ region: environment.regions.edge });
+    console.log('Environment ' + environment.name + ': stage ' + environment.stage + ', origin in ' + environment.regions.origin);
+    return environment;
+}
+
+/**
+ * Create the CloudFormation and S3 clients of a region.
+ * @param {String} region
+ * @returns { cloudformation: AWS.CloudFormation, s3: AWS.S3 }
+ */
+function getRegionClients(region){
+    return {
+        cloudformation: new AWS.CloudFormation({ region: region }),
+        s3: new AWS.S3({ region: region })
+    };
+}
+
+/**
+ * Create the AWS clients of a deployment. The clients are passed to main, update and
+ * rollback, so that they can be run with mocked clients.
+ * @returns { cloudformation, s3, cloudfront, lambda, sts, iam, forRegion }: the clients of the
+ *          edge region set by useEnvironment; forRegion(region) returns the CloudFormation and
+ *          S3 clients of another region, see getRegionClients
+ */
+function createClients(){
+    return {
+        cloudformation: new AWS.CloudFormation(),
+        s3: new AWS.S3(),
+        cloudfront: new AWS.CloudFront(),
+        lambda: new AWS.Lambda(),
+        sts: new AWS.STS(),
+        iam: new AWS.IAM(),
+        forRegion: getRegionClients
+    };
+}
+
+/**
+ * Convert parameter values into the parameter list of a stack.
+ * @param {Object} values: parameter value by name
+ * @returns Object[]
+ */
+function toParameters(values){
+    return Object.keys(values).map(key => ({ ParameterKey: key, ParameterValue: String(values[key]) }));
+}
+
+/**
+ * Validate the templates and check the permissions of the caller before anything
+ * is created (see preflight.js).
+ * @param {Object} clients: { cloudformation, sts, iam }, see createClients
+ * @returns Boolean: true if the deployment can go ahead
+ */
+async function preflight(clients){
+    console.log('Running preflight checks');
+    let result = await runPreflight(clients, {
+        'step-1-userpool.yml': fs.readFileSync('./step-1-userpool.yml').toString(),
+        'step-2-origin.yml': fs.readFileSync('./step-2-origin.yml').toString(),
+        'step-3-cfdistribution.yml': fs.readFileSync('./step-3-cfdistribution.yml').toString()
+    }, CAPABILITIES);
+
+    result.warnings.map(w => console.log('Warning: ' + w));
+    result.errors.map(e => console.log('Preflight check failed: ' + e));
+
+    if (result.errors.length === 0){
+        console.log('Preflight checks passed');
+    }
+    return result.errors.length === 0;
+}
+
+/**
+ * Delete the stacks created by a deployment that failed, with the same steps as the
+ * cleanup script. If the rollback cannot finish (for example because Lambda@Edge is
+ * still deleting function replicas), its progress is saved so that the cleanup script
+ * can resume it.
+ * @param {Object} clients: see createClients
+ * @param {Object} stacks: { userPoolStack, originStack, originRegion, distributionStack }; the
+ *                         origin and distribution stacks are null if they were not created
+ * @param {String} suffix: timestamp suffix of the stack names
+ */
+async function rollback(clients, stacks, suffix){
+    const names = [stacks.userPoolStack, stacks.originStack, stacks.distributionStack].filter(n => n);
+    const stateKey = stacks.distributionStack || stacks.originStack || stacks.userPoolStack;
+    console.log('Rolling back: deleting ' + names.join(', '));
+
+    const cleanup = createCleanup(clients, { polling: { timeout: 30 }, log: m => console.log('  ' + m) });
+
+    let state = {
+        step: 'started',
+        userPoolStack: stacks.userPoolStack,
+        originStack: stacks.originStack,
+        originRegion: stacks.originRegion,
+        distributionStack: stacks.distributionStack,
+        distributionId: null,
+        functionArns: [],
+        artifactBucket: null,
+        originArtifactBucket: null
+    };
+    let done = false;
+    let error = null;
+
+    try {
+        done = await cleanup.run(state, s => saveState(stateKey, s));
+    }
+    catch (e){
+        error = e;
+        saveState(stateKey, state);
+    }
+
+    console.log('==========================================================================');
+    console.log('Rollback summary');
+    if (done){
+        deleteState(stateKey);
+        names.map(n => console.log('  deleted: ' + n));
+        console.log('Nothing was left behind.');
+    }
+    else {
+        names.map(n => console.log('  not deleted yet: ' + n));
+        console.log('The rollback stopped after step "' + state.step + '"' + (error ? ': ' + error.message : '') + '.');
+        console.log('To finish it, run this command in the cleanup-script folder:');
+        console.log('  node cleanup-script --sweep --select ' + suffix + ' --origin-region ' + stacks.originRegion);
+    }
+    console.log('==========================================================================');
 }
 
 /**
  * Main function
+ * @param {String} deploymentName: name of the deployment manifest to write
+ * @param {Object} providerOptions: Identity Provider, see resolveIdentityProvider
+ * @param {String} environmentName: configuration in the environments folder
+ * @param {Object} clients: replaces the AWS clients, see createClients (optional)
  */
-async function main(){
+async function main(deploymentName, providerOptions, environmentName, clients){
+    let ts = Date.now();
+    const stackName = 'paywalldemo-userpool-stack-' + ts;
+    const originStackName = 'paywalldemo-origin-stack-' + ts;
+    const secondStackName = 'paywalldemo-cfdistribution-stack-' + ts;
+    let environment = null;
+    let cloudformation = null;
+    // Stacks created so far, which are deleted if the deployment fails
+    let userPoolCreated = false;
+    let originCreated = false;
+    let distributionCreated = false;
+
     try{
-        let ts = Date.now();
-        console.log('Beginning deployment')
-        const stackName = 'paywalldemo-userpool-stack-' + ts;
-        const secondStackName = 'paywalldemo-cfdistribution-stack-' + ts;
+        console.log('Beginning deployment \'' + deploymentName + '\'')
+        if (manifestExists(deploymentName)){
+            throw new Error('A deployment named \'' + deploymentName + '\' already exists. Use --name to choose another name, or clean it up first.');
+        }
+        // Validate the environment configuration, the product catalog, the paywall page and the templates
+        // before creating anything
+        environment = useEnvironment(environmentName);
+        clients = clients || createClients();
+        cloudformation = clients.cloudformation;
+        const catalog = loadCatalog();
+        const paywallPage = loadPaywallPage();
+        if (!(await preflight(clients))){
+            throw new Error('Preflight checks failed, nothing was created');
+        }
+        // An external Identity Provider does not depend on the stacks, so it is checked first
+        let provider = null;
+        if (providerOptions.issuer){
+            provider = await resolveIdentityProvider(null, providerOptions, getKeys);
+            console.log('ID tokens are accepted from ' + provider.issuer + ' (' + provider.algorithms.join(', ') + ')');
+        }
 
         // Read entire template into a string
         let templateBody = fs.readFileSync('./step-1-userpool.yml').toString();
-        let secondTemplateBody = fs.readFileSync('./step-2-cfdistribution.yml').toString();
+        let originTemplateBody = fs.readFileSync('./step-2-origin.yml').toString();
+        let secondTemplateBody = fs.readFileSync('./step-3-cfdistribution.yml').toString();
     
         // create user pool
-        const cloudformation = new AWS.CloudFormation();
         let userPoolParams = {
             StackName: stackName,
-            Capabilities: ['CAPABILITY_AUTO_EXPAND', 'CAPABILITY_IAM'],
+            Capabilities: CAPABILITIES,
             TemplateBody: templateBody,
-            Parameters: [
-                {
-                    ParameterKey: 'ExternalId',
-                    ParameterValue: crypto.randomBytes(24).toString('base64')
-                }
-            ]
+            Parameters: toParameters(Object.assign({
+                ExternalId: crypto.randomBytes(24).toString('base64')
+            }, getUserPoolParameters(environment)))
         };        
         console.log('Starting creation of the Cognito UserPool');
         let userPoolResult = await cloudformation.createStack(userPoolParams).promise();
+        userPoolCreated = true;
         let userPoolCreationDone = await cloudformation.waitFor('stackCreateComplete', { StackName: stackName }).promise();
         console.log('Cognito UserPool created');
-        // retrieve the well-known url for the public keys
-        console.log('Retrieving and formatting public key from the UserPool');
-        let description = await cloudformation.describeStacks({ 'StackName': stackName }).promise();
-        let keyUrl = null;
-        let apiKeyValue = generateApiKey();
-        description.Stacks.map(s => {
-            if (s.StackName === stackName){
-                s.Outputs.map( o => {
-                    if (o.OutputKey === 'UserPoolUrl'){
-                        keyUrl = o.OutputValue;
-                    }
-                } );
-            }
-        });
+        let userPoolOutputs = await getStackOutputs(cloudformation, stackName);
+        let secrets = {
+            meterSecret: crypto.randomBytes(32).toString('base64'),
+            userHashKey: crypto.randomBytes(32).toString('base64'),
+            originSigning: getOriginSigningKeys(null)
+        };
 
-        let publicKeys = null;
-        let pemKeys = null;
+        // create the mock origin in its region: the first pass only creates the artifact bucket
+        // that Lambda reads the origin function from
+        const origin = clients.forRegion(environment.regions.origin);
+        let originParams = {
+            StackName: originStackName,
+            Capabilities: CAPABILITIES,
+            TemplateBody: originTemplateBody,
+            Parameters: toParameters(Object.assign({
+                SuffixValue: ts
+            }, getOriginParameters(environment)))
+        };
+        console.log('Creating the artifact bucket of the mock origin in ' + environment.regions.origin);
+        await origin.cloudformation.createStack(originParams).promise();
+        originCreated = true;
+        await origin.cloudformation.waitFor('stackCreateComplete', { StackName: originStackName }).promise();
+        let originOutputs = await getStackOutputs(origin.cloudformation, originStackName);
 
-        if (keyUrl){
-           console.log('Public key retrieved');
-           publicKeys = await getKeys(keyUrl);
-           pemKeys = createPemKeys(publicKeys.keys);
-        }
-        else {
-            console.log('Public key could not be retrieved');
-        }
+        console.log('Packaging and uploading the mock origin function');
+        let originPackage = packageOrigin(secrets.originSigning);
+        let originFunctionKey = await uploadPackage(origin.s3, originOutputs.ArtifactBucketName, 'origin-function', originPackage);
+
+        console.log('Creating the mock origin');
+        originParams.Parameters.push({ ParameterKey: 'OriginFunctionKey', ParameterValue: originFunctionKey });
+        await origin.cloudformation.updateStack(originParams).promise();
+        await origin.cloudformation.waitFor('stackUpdateComplete', { StackName: originStackName }).promise();
+        originOutputs = await getStackOutputs(origin.cloudformation, originStackName);
+        console.log('Mock origin created');
+
+        // retrieve the well-known url for the public keys
+        console.log('Retrieving and formatting the public keys of the Identity Provider');
+        provider = provider || await resolveIdentityProvider(userPoolOutputs, providerOptions, getKeys);
+        let pemKeys = await loadPemKeys(provider.jwksUrl);
+
+        // package the edge function with its configuration so that it is included in the code
+        console.log('Packaging and uploading the Lambda@Edge function');
+        const s3 = clients.s3;
+        let edgePackage = packageFunction(path.join(__dirname, 'edge-function'), buildEdgeConfig(provider, pemKeys, catalog, paywallPage, secrets,
+            userPoolOutputs.ArtifactBucketName, getUsageTableName(ts), environment.usageLimits));
+        let edgeFunctionKey = await uploadPackage(s3, userPoolOutputs.ArtifactBucketName, 'edge-function', edgePackage);
 
-        // call the second stack and pass in the pem key so that it is included in the code
+        // call the third stack and pass in the location of the packaged function and of the origin
         let distributionParams = {
             StackName: secondStackName,
-            Capabilities: ['CAPABILITY_IAM', 'CAPABILITY_AUTO_EXPAND'],
+            Capabilities: CAPABILITIES,
             TemplateBody: secondTemplateBody,
-            Parameters: [
-                {
-                    ParameterKey: 'PublicKeys',
-                    ParameterValue: JSON.stringify(pemKeys)
-                },
-                {
-                    ParameterKey: 'Environment',
-                    ParameterValue: 'dev'
-                },
-                {
-                    ParameterKey: 'ApiKeyValue',
-                    ParameterValue: apiKeyValue
-                },
-                {
-                    ParameterKey: 'SuffixValue',
-                    ParameterValue: ts + ''
-                }
-            ]
+            Parameters: toParameters(Object.assign({
+                ArtifactBucket: userPoolOutputs.ArtifactBucketName,
+                EdgeFunctionKey: edgeFunctionKey,
+                OriginDomainName: originOutputs.OriginDomainName,
+                SuffixValue: ts
+            }, getDistributionParameters(environment)))
         };      
 
-        console.log('Creating the CloudFront distribution and the mock origin (this will take several minutes)');
+        console.log('Creating the CloudFront distribution (this will take several minutes)');
         let distributionResult = await cloudformation.createStack(distributionParams).promise();
+        distributionCreated = true;
         let distributionCreationDone = await cloudformation.waitFor('stackCreateComplete', { StackName: secondStackName }).promise();        
-        console.log('CloudFront distribution and origin created');
-
-        let distributionInfo = await cloudformation.describeStacks({ 'StackName': secondStackName }).promise();
-        distributionInfo.Stacks.map(s => {
-            if (s.StackName === secondStackName){
-                s.Outputs.map( o => {
-                    if (o.OutputKey === 'CFDistributionDomain'){
-                        console.log('==========================================================================');
-                        console.log('Use this CloudFront domain name when requesting content: ' + o.OutputValue);
-                        console.log('==========================================================================');
-                    }
-                } );
-            }
-        });        
+        console.log('CloudFront distribution created');
+
+        let distributionOutputs = await getStackOutputs(cloudformation, secondStackName);
+
+        // Record the deployment so that the user and cleanup scripts can find it by name
+        let manifestFile = writeManifest(deploymentName, {
+            environment: environment.name,
+            stage: environment.stage,
+            region: environment.regions.edge,
+            originRegion: environment.regions.origin,
+            timestamp: ts,
+            createdAt: new Date(ts).toISOString(),
+            userPoolStack: stackName,
+            originStack: originStackName,
+            distributionStack: secondStackName,
+            userPoolId: userPoolOutputs.UserPoolId,
+            clientId: userPoolOutputs.ClientId,
+            identityProvider: providerOptions,
+            artifactBucket: userPoolOutputs.ArtifactBucketName,
+            originArtifactBucket: originOutputs.ArtifactBucketName,
+            distributionId: distributionOutputs.CFDistributionId,
+            distributionDomain: distributionOutputs.CFDistributionDomain
+        });
+        console.log('Deployment manifest written to ' + manifestFile);
+
+        console.log('==========================================================================');
+        console.log('Use this CloudFront domain name when requesting content: ' + distributionOutputs.CFDistributionDomain);
+        console.log('==========================================================================');
     }
     catch (e){
         console.log('Error:');
         console.log(e);
+
+        if (userPoolCreated){
+            await rollback(clients, {
+                userPoolStack: stackName,
+                originStack: originCreated ? originStackName : null,
+                originRegion: environment.regions.origin,
+                distributionStack: distributionCreated ? secondStackName : null
+            }, ts);
+        }
+        process.exitCode = 1;
+    }
+
+}
+
+/**
+ * Read the parameters of a stack into a simple key/value object.
+ * @param {AWS.CloudFormation} cloudformation
+ * @param {String} stackName
+ * @returns Object
+ */
+async function getStackParameters(cloudformation, stackName){
+    let description = await cloudformation.describeStacks({ 'StackName': stackName }).promise();
+    let parameters = {};
+
+    description.Stacks.map(s => {
+        if (s.StackName === stackName){
+            (s.Parameters || []).map(p => {
+                parameters[p.ParameterKey] = p.ParameterValue;
+            });
+        }
+    });
+
+    return parameters;
+}
+
+/**
+ * Package the origin function with the current code and signing keys, and create a
+ * change set for the origin stack. The suffix of the resource names is kept.
+ * @param {Object} origin: CloudFormation and S3 clients of the origin region, see getRegionClients
+ * @param {Object} context: { manifest, environment, secrets: { originSigning } }
+ * @param {Object} originOutputs
+ * @param {String} changeSetName
+ * @returns Object: see change-set.js
+ */
+async function createOriginChangeSet(origin, context, originOutputs, changeSetName){
+    let originPackage = packageOrigin(context.secrets.originSigning);
+    let originFunctionKey = await uploadPackage(origin.s3, originOutputs.ArtifactBucketName, 'origin-function', originPackage);
+
+    return createChangeSet(origin.cloudformation, {
+        StackName: context.manifest.originStack,
+        ChangeSetName: changeSetName,
+        Capabilities: CAPABILITIES,
+        TemplateBody: fs.readFileSync('./step-2-origin.yml').toString(),
+        Parameters: [
+            { ParameterKey: 'SuffixValue', UsePreviousValue: true }
+        ].concat(toParameters(Object.assign({ OriginFunctionKey: originFunctionKey }, getOriginParameters(context.environment))))
+    });
+}
+
+/**
+ * Package the edge function with the current code, catalog, paywall page and JWKS, and create a
+ * change set for the distribution stack. The suffix of the resource names is kept.
+ * @param {AWS.CloudFormation} cloudformation
+ * @param {AWS.S3} s3
+ * @param {Object} context: {
+ *      manifest: Object,
+ *      environment: Object,        see environment.js
+ *      providerOptions: Object,    see resolveIdentityProvider
+ *      catalog: Object,
+ *      paywallPage: Object,        from loadPaywallPage
+ *      secrets: Object             { meterSecret, userHashKey, originSigning }
+ * }
+ * @param {Object} outputs: { userPool, origin } stack outputs
+ * @param {String} changeSetName
+ * @returns Object: see change-set.js
+ */
+async function createDistributionChangeSet(cloudformation, s3, context, outputs, changeSetName){
+    let provider = await resolveIdentityProvider(outputs.userPool, context.providerOptions, getKeys);
+    let pemKeys = await loadPemKeys(provider.jwksUrl);
+    let bucket = outputs.userPool.ArtifactBucketName;
+
+    let edgePackage = packageFunction(path.join(__dirname, 'edge-function'), buildEdgeConfig(provider, pemKeys, context.catalog, context.paywallPage,
+        context.secrets, bucket, getUsageTableName(context.manifest.timestamp), context.environment.usageLimits));
+    let edgeFunctionKey = await uploadPackage(s3, bucket, 'edge-function', edgePackage);
+
+    return createChangeSet(cloudformation, {
+        StackName: context.manifest.distributionStack,
+        ChangeSetName: changeSetName,
+        Capabilities: CAPABILITIES,
+        TemplateBody: fs.readFileSync('./step-3-cfdistribution.yml').toString(),
+        Parameters: [ { ParameterKey: 'SuffixValue', UsePreviousValue: true } ].concat(toParameters(Object.assign({
+            ArtifactBucket: bucket,
+            EdgeFunctionKey: edgeFunctionKey,
+            OriginDomainName: outputs.origin.OriginDomainName
+        }, getDistributionParameters(context.environment))))
+    });
+}
+
+/**
+ * Read the outputs of the UserPool and origin stacks of a deployment.
+ * @param {AWS.CloudFormation} cloudformation
+ * @param {AWS.CloudFormation} originCloudformation: client of the origin region
+ * @param {Object} manifest
+ * @returns Object: { userPool, origin }
+ */
+async function getDeploymentOutputs(cloudformation, originCloudformation, manifest){
+    return {
+        userPool: await getStackOutputs(cloudformation, manifest.userPoolStack),
+        origin: await getStackOutputs(originCloudformation, manifest.originStack)
+    };
+}
+
+/**
+ * Update an existing deployment with the current templates, functions, environment
+ * configuration, product catalog and paywall page. Change sets are created for the three
+ * stacks and their resource changes are printed before anything is applied. A changed edge
+ * function is published as a new version, and the distribution is updated to use it.
+ *
+ * If the update of a stack fails, CloudFormation rolls it back, and the stacks updated before
+ * it are put back to their previous template and parameters.
+ * @param {String} deploymentName
+ * @param {Boolean} dryRun: only print the changes
+ * @param {Boolean} rotateOriginKey: sign origin requests with a new key
+ * @param {Object} flags: Identity Provider flags, which replace the ones of the deployment,
+ *                        and --env, which replaces its environment
+ * @param {Object} clients: replaces the AWS clients, see createClients (optional)
+ */
+async function update(deploymentName, dryRun, rotateOriginKey, flags, clients){
+    const manifest = loadManifest(deploymentName);
+    const providerOptions = getProviderOptions(flags, manifest.identityProvider);
+    const catalog = loadCatalog();
+    const paywallPage = loadPaywallPage();
+    const changeSetName = 'paywalldemo-update-' + Date.now();
+    // The stacks in the order they are updated: { name, cloudformation, template, parameters, changes, updated }
+    let stacks = [];
+
+    console.log('Updating deployment \'' + deploymentName + '\' (stacks ' +
+        [manifest.userPoolStack, manifest.originStack, manifest.distributionStack].filter(n => n).join(', ') + ')');
+
+    try {
+        if (!manifest.originStack){
+            throw new Error('the deployment was created before the mock origin had its own stack. Clean it up and deploy it again.');
+        }
+        const environment = useEnvironment(flags.env || manifest.environment);
+        if (environment.regions.origin !== manifest.originRegion){
+            throw new Error('the origin of the deployment is in ' + manifest.originRegion + ', an update cannot move it to ' +
+                environment.regions.origin + '. Deploy a new deployment instead.');
+        }
+        clients = clients || createClients();
+        const cloudformation = clients.cloudformation;
+        const s3 = clients.s3;
+        const origin = clients.forRegion(environment.regions.origin);
+        stacks = [
+            { name: manifest.userPoolStack, cloudformation: cloudformation },
+            { name: manifest.originStack, cloudformation: origin.cloudformation },
+            { name: manifest.distributionStack, cloudformation: cloudformation }
+        ];
+        const [userPool, originStack, distribution] = stacks;
+
+        for (const stack of stacks){
+            let template = await stack.cloudformation.getTemplate({ StackName: stack.name, TemplateStage: 'Original' }).promise();
+            stack.template = template.TemplateBody;
+            stack.parameters = await getStackParameters(stack.cloudformation, stack.name);
+        }
+
+        // The meter secret, user hash key and origin signing keys are kept, so they are read
+        // back from the deployed functions
+        let outputs = await getDeploymentOutputs(cloudformation, origin.cloudformation, manifest);
+        let current = await readPackageConfig(s3, outputs.userPool.ArtifactBucketName, distribution.parameters.EdgeFunctionKey);
+        let currentOrigin = await readPackageConfig(origin.s3, outputs.origin.ArtifactBucketName, originStack.parameters.OriginFunctionKey);
+        let secrets = {
+            meterSecret: current.meter ? current.meter.secret : crypto.randomBytes(32).toString('base64'),
+            // Kept so that the hashed user ids in the logs stay the same
+            userHashKey: current.logging ? current.logging.userHashKey : crypto.randomBytes(32).toString('base64'),
+            originSigning: getOriginSigningKeys(currentOrigin.originSigning || null, rotateOriginKey)
+        };
+        if (rotateOriginKey){
+            console.log('Origin requests will be signed with the new key ' + secrets.originSigning.keyId +
+                '; the origin also accepts the previous key until the next rotation');
+        }
+        const context = {
+            manifest: manifest,
+            environment: environment,
+            providerOptions: providerOptions,
+            catalog: catalog,
+            paywallPage: paywallPage,
+            secrets: secrets
+        };
+
+        console.log('Creating change sets');
+        userPool.changes = await createChangeSet(cloudformation, {
+            StackName: manifest.userPoolStack,
+            ChangeSetName: changeSetName,
+            Capabilities: CAPABILITIES,
+            TemplateBody: fs.readFileSync('./step-1-userpool.yml').toString(),
+            Parameters: [ { ParameterKey: 'ExternalId', UsePreviousValue: true } ].concat(toParameters(getUserPoolParameters(environment)))
+        });
+        originStack.changes = await createOriginChangeSet(origin, context, outputs.origin, changeSetName);
+        distribution.changes = await createDistributionChangeSet(cloudformation, s3, context, outputs, changeSetName);
+
+        stacks.map(stack => console.log(formatChanges(stack.changes)));
+
+        if (dryRun){
+            for (const stack of stacks){
+                await deleteChangeSet(stack.cloudformation, stack.changes);
+            }
+            console.log('Dry run: no changes were applied.');
+            return;
+        }
+
+        for (const stack of [userPool, originStack]){
+            if (stack.changes.empty){
+                await deleteChangeSet(stack.cloudformation, stack.changes);
+                continue;
+            }
+            console.log('Updating ' + stack.name);
+            await executeChangeSet(stack.cloudformation, stack.changes);
+            stack.updated = true;
+        }
+
+        // The edge function configuration and the origin of the distribution come from the outputs of the
+        // UserPool and origin stacks
+        if (userPool.updated || originStack.updated){
+            let updatedOutputs = await getDeploymentOutputs(cloudformation, origin.cloudformation, manifest);
+            if (JSON.stringify(updatedOutputs) !== JSON.stringify(outputs)){
+                console.log('The UserPool or origin stack outputs changed, recreating the change set for ' + manifest.distributionStack);
+                await deleteChangeSet(cloudformation, distribution.changes);
+                distribution.changes = await createDistributionChangeSet(cloudformation, s3, context, updatedOutputs, changeSetName + '-2');
+                console.log(formatChanges(distribution.changes));
+            }
+        }
+
+        if (!distribution.changes.empty){
+            console.log('Updating ' + manifest.distributionStack + ' (this will take several minutes)');
+            await executeChangeSet(cloudformation, distribution.changes);
+        }
+        else {
+            await deleteChangeSet(cloudformation, distribution.changes);
+        }
+
+        let distributionOutputs = await getStackOutputs(cloudformation, manifest.distributionStack);
+        writeManifest(deploymentName, Object.assign({}, manifest, {
+            environment: environment.name,
+            stage: environment.stage,
+            updatedAt: new Date().toISOString(),
+            identityProvider: providerOptions,
+            distributionId: distributionOutputs.CFDistributionId,
+            distributionDomain: distributionOutputs.CFDistributionDomain
+        }));
+
+        console.log(stacks.every(s => s.changes.empty) ? 'The deployment is up to date.' : 'Deployment updated.');
     }
+    catch (e){
+        console.log('Update failed: ' + e.message);
+        for (const stack of stacks){
+            await deleteChangeSet(stack.cloudformation, stack.changes).catch(() => {});
+        }
+
+        // CloudFormation rolls back the stack that failed; the stacks updated before it are restored here.
+        // A stack that cannot be restored does not stop the others from being restored
+        let restoreFailures = [];
+        for (const stack of stacks.filter(s => s.updated).reverse()){
+            console.log('Restoring the previous template of ' + stack.name);
+            try {
+                await stack.cloudformation.updateStack({
+                    StackName: stack.name,
+                    Capabilities: CAPABILITIES,
+                    TemplateBody: stack.template,
+                    Parameters: toParameters(stack.parameters)
+                }).promise();
+                await stack.cloudformation.waitFor('stackUpdateComplete', { StackName: stack.name }).promise();
+            }
+            catch (restoreError){
+                console.log('Could not restore ' + stack.name + ': ' + restoreError.message + '. Check the stack in the CloudFormation console.');
+                restoreFailures.push(stack.name + ': ' + restoreError.message);
+            }
+        }
+
+        if (restoreFailures.length > 0){
+            e.message += ' (could not restore ' + restoreFailures.join('; ') + ')';
+            throw e;
+        }
 
+        console.log('The deployment was left as it was before the update.');
+        throw e;
+    }
+}
+
+function run(){
+    const { positional, flags } = parseArgs(process.argv.slice(2));
+
+    if (positional[0] === 'preflight'){
+        Promise.resolve()
+        .then(() => {
+            useEnvironment(flags.env || DEFAULT_ENVIRONMENT);
+            return preflight(createClients());
+        })
+        .then(passed => {
+            process.exitCode = passed ? 0 : 1;
+        })
+        .catch(e => {
+            console.log(e);
+            process.exitCode = 1;
+        });
+    }
+    else if (positional[0] === 'update'){
+        update(flags.name || DEFAULT_DEPLOYMENT, flags['dry-run'] === true, flags['rotate-origin-key'] === true, flags)
+        .catch(e => {
+            process.exitCode = 1;
+        });
+    }
+    else {
+        main(flags.name || DEFAULT_DEPLOYMENT, getProviderOptions(flags), flags.env || DEFAULT_ENVIRONMENT)
+        .then(r => {
+            console.log('Deployment script ending.');
+        })
+        .catch (e => {
+            console.log('Error:');
+            console.log(e);
+            process.exitCode = 1;
+        })
+    }
 }
 
-main()
-.then(r => {
-    console.log('Deployment script ending.');
-})
-.catch (e => {
-    console.log('Error:');
-    console.log(e);
-})
+if (require.main === module){
+    run();
+}
 
+module.exports = {
+    buildEdgeConfig,
+    createClients,
+    main,
+    preflight,
+    rollback,
+    update
+};
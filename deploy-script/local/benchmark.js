@@ -0,0 +1,314 @@
+'use strict';
+// © 2022 Amazon Web Services, Inc. or its affiliates. All Rights Reserved.
+// This work is licensed under a MIT-0 License.
+
+/**
+ * Measures the latency of the Lambda@Edge viewer-request handler, which is
+ * billed per millisecond and has a 5 second timeout. The tokens are signed
+ * with a key pair created for the run, with the same claims as Cognito ID
+ * tokens, so every run does the same work. Each scenario uses its own handler:
+ * - anonymous:          no token, metered product
+ * - subscriber-cached:  the same RS256 token on every request, so the signature
+ *                       is verified once and then found in the verification cache
+ * - subscriber-unique:  a new RS256 token on every request (cache misses)
+ * - subscriber-nocache: the same RS256 token with the verification cache disabled
+ * - subscriber-es256:   the same ES256 token with the verification cache disabled
+ *
+ * Usage:
+ *   node local/benchmark.js [--requests 2000] [--warmup 200] [--save file.json]
+ *                           [--baseline file.json] [--max-regression 25]
+ *
+ * - --requests:       measured requests per scenario
+ * - --warmup:         requests per scenario before measuring, so that the JIT
+ *                     compiler and the caches are warm
+ * - --save:           write the results to a JSON file, to use as a baseline later
+ * - --baseline:       compare the results with a saved run. The script exits with
+ *                     code 1 when the p50 latency or the throughput of a scenario is
+ *                     more than --max-regression percent (default 25) worse. The p99
+ *                     latency is shown but not checked, as it depends on the machine load.
+ *
+ * Results only compare on the same machine and Node.js version.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const { createHandler } = require('../edge-function/paywall');
+const { buildViewerRequestEvent } = require('./events');
+const { loadCatalog, buildEdgeCatalog, buildMeteredProducts } = require('../catalog');
+const { loadPaywallPage } = require('../paywall-page');
+
+const ISSUER = 'https://cognito-idp.us-east-1.amazonaws.com/us-east-1_benchmark';
+const CLIENT_ID = 'benchmark-client';
+const DEFAULT_REQUESTS = 2000;
+const DEFAULT_WARMUP = 200;
+const DEFAULT_MAX_REGRESSION = 25;
+
+/**
+ * Create the key pairs the tokens are signed with.
+ * @returns Object: { rsa: { privateKey, pem }, ec: { privateKey, pem } }
+ */
+function createKeys(){
+    let rsa = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    let ec = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    return {
+        rsa: { privateKey: rsa.privateKey, pem: rsa.publicKey.export({ type: 'spki', format: 'pem' }) },
+        ec: { privateKey: ec.privateKey, pem: ec.publicKey.export({ type: 'spki', format: 'pem' }) }
+    };
+}
+
+/**
+ * Sign an ID token with the claims of a Cognito user.
+ * @param {Object} keys: from createKeys
+ * @param {String} alg: RS256 or ES256
+ * @param {String} username
+ * @returns String
+ */
+function signToken(keys, alg, username){
+    const encode = obj => Buffer.from(JSON.stringify(obj)).toString('base64url');
+    let now = Math.floor(Date.now() / 1000);
+    let input = encode({ kid: alg === 'ES256' ? 'ec' : 'rsa', alg: alg }) + '.' + encode({
+        sub: crypto.createHash('sha256').update(username).digest('hex').substring(0, 36),
+        iss: ISSUER,
+        aud: CLIENT_ID,
+        token_use: 'id',
+        'cognito:username': username,
+        'custom:subs': 'A,B',
+        auth_time: now,
+        iat: now,
+        exp: now + 3600
+    });
+    let signature = alg === 'ES256' ?
+        crypto.sign('sha256', Buffer.from(input), { key: keys.ec.privateKey, dsaEncoding: 'ieee-p1363' }) :
+        crypto.sign('sha256', Buffer.from(input), keys.rsa.privateKey);
+    return input + '.' + signature.toString('base64url');
+}
+
+/**
+ * Build the edge function configuration of the benchmark. There is no JWKS url,
+ * deny list or usage limit, so nothing leaves the process.
+ * @param {Object} keys: from createKeys
+ * @returns Object
+ */
+function buildConfig(keys){
+    const catalog = loadCatalog();
+    return {
+        keys: {
+            rsa: { pem: keys.rsa.pem, alg: 'RS256' },
+            ec: { pem: keys.ec.pem, alg: 'ES256' }
+        },
+        issuer: ISSUER,
+        clientId: CLIENT_ID,
+        tokenUse: 'id',
+        catalog: buildEdgeCatalog(catalog),
+        meter: { secret: 'benchmark-meter-secret', products: buildMeteredProducts(catalog) },
+        originSigning: { keyId: 'benchmark', secret: 'benchmark-origin-secret', ttlSeconds: 30 },
+        paywall: loadPaywallPage(),
+        logging: { userHashKey: 'benchmark-user-hash-key' }
+    };
+}
+
+/**
+ * Describe the scenarios.
+ * @param {Object} keys: from createKeys
+ * @returns Object[]: { name, config: values that replace the configuration, request: Function(i) }
+ */
+function buildScenarios(keys){
+    const rsaToken = signToken(keys, 'RS256', 'benchmark-user');
+    const ecToken = signToken(keys, 'ES256', 'benchmark-user');
+
+    return [
+        {
+            name: 'anonymous',
+            request: i => ({ uri: '/product-a/content/' + (i % 100) })
+        },
+        {
+            name: 'subscriber-cached',
+            request: () => ({ uri: '/product-b/content/456', cookie: 'jwt=' + rsaToken })
+        },
+        {
+            name: 'subscriber-unique',
+            // Signing takes longer than verifying, so the tokens are signed before they are needed
+            prepare: n => Array.from({ length: n }, (v, i) => signToken(keys, 'RS256', 'benchmark-user-' + i)),
+            request: (i, tokens) => ({ uri: '/product-b/content/456', cookie: 'jwt=' + tokens[i] })
+        },
+        {
+            name: 'subscriber-nocache',
+            config: { verificationCache: false },
+            request: () => ({ uri: '/product-b/content/456', cookie: 'jwt=' + rsaToken })
+        },
+        {
+            name: 'subscriber-es256',
+            config: { verificationCache: false },
+            request: () => ({ uri: '/product-b/content/456', cookie: 'jwt=' + ecToken })
+        }
+    ];
+}
+
+/**
+ * Compute a percentile of sorted values.
+ * @param {Number[]} sorted
+ * @param {Number} p: 0 to 100
+ * @returns Number
+ */
+function percentile(sorted, p){
+    return sorted[Math.min(sorted.length - 1, Math.ceil(sorted.length * p / 100) - 1)];
+}
+
+/**
+ * Run one scenario.
+ * @param {Object} baseConfig
+ * @param {Object} scenario
+ * @param {Number} requests
+ * @param {Number} warmup
+ * @returns { p50, p99, mean: milliseconds, throughput: requests per second }
+ */
+async function runScenario(baseConfig, scenario, requests, warmup){
+    const handler = createHandler(Object.assign({}, baseConfig, scenario.config));
+    const total = warmup + requests;
+    const prepared = scenario.prepare ? scenario.prepare(total) : null;
+    let times = [];
+
+    for (let i = 0; i < total; i++){
+        let options = Object.assign({ method: 'GET', headers: { Accept: 'text/html' } }, scenario.request(i, prepared));
+        let event = buildViewerRequestEvent(options);
+
+        let started = process.hrtime.bigint();
+        await handler(event);
+        let elapsed = Number(process.hrtime.bigint() - started) / 1e6;
+
+        if (i >= warmup){
+            times.push(elapsed);
+        }
+    }
+
+    let sum = times.reduce((a, b) => a + b, 0);
+    times.sort((a, b) => a - b);
+    return {
+        p50: percentile(times, 50),
+        p99: percentile(times, 99),
+        mean: sum / times.length,
+        throughput: times.length / (sum / 1000)
+    };
+}
+
+/**
+ * Compare results with a baseline.
+ * @param {Object} results: scenario name to result
+ * @param {Object} baseline: saved run
+ * @param {Number} maxRegression: percent
+ * @returns String[]: regressions
+ */
+function compare(results, baseline, maxRegression){
+    let regressions = [];
+
+    Object.keys(results).filter(name => baseline.results[name]).map(name => {
+        let before = baseline.results[name];
+        let after = results[name];
+        let p50 = (after.p50 - before.p50) / before.p50 * 100;
+        let throughput = (before.throughput - after.throughput) / before.throughput * 100;
+
+        if (p50 > maxRegression){
+            regressions.push(name + ': p50 went from ' + before.p50.toFixed(3) + ' ms to ' + after.p50.toFixed(3) + ' ms');
+        }
+        if (throughput > maxRegression){
+            regressions.push(name + ': throughput went from ' + Math.round(before.throughput) + ' to ' + Math.round(after.throughput) + ' requests/s');
+        }
+    });
+
+    return regressions;
+}
+
+function formatRow(columns){
+    return columns[0].padEnd(22) + columns.slice(1).map(c => String(c).padStart(12)).join('');
+}
+
+function change(before, after){
+    let percent = (after - before) / before * 100;
+    return (percent >= 0 ? '+' : '') + percent.toFixed(1) + '%';
+}
+
+async function main(){
+    const args = process.argv.slice(2);
+    let requests = DEFAULT_REQUESTS;
+    let warmup = DEFAULT_WARMUP;
+    let maxRegression = DEFAULT_MAX_REGRESSION;
+    let saveFile = null;
+    let baseline = null;
+
+    for (let i = 0; i < args.length; i++){
+        if (args[i] === '--requests'){
+            requests = parseInt(args[++i], 10);
+        }
+        else if (args[i] === '--warmup'){
+            warmup = parseInt(args[++i], 10);
+        }
+        else if (args[i] === '--save'){
+            saveFile = args[++i];
+        }
+        else if (args[i] === '--baseline'){
+            baseline = JSON.parse(fs.readFileSync(args[++i]).toString());
+        }
+        else if (args[i] === '--max-regression'){
+            maxRegression = parseFloat(args[++i]);
+        }
+    }
+    if (!(requests > 0) || !(warmup >= 0) || !(maxRegression >= 0)){
+        throw new Error('--requests must be more than 0, and --warmup and --max-regression 0 or more');
+    }
+
+    const keys = createKeys();
+    const config = buildConfig(keys);
+    let results = {};
+
+    console.log('Node.js ' + process.version + ', ' + requests + ' requests per scenario after ' + warmup + ' warm-up requests');
+    console.log(formatRow(['scenario', 'p50 ms', 'p99 ms', 'mean ms', 'requests/s'].concat(baseline ? ['p50', 'p99', 'requests/s'] : [])));
+
+    // The handler writes a decision log line per request; it is built but not printed
+    const log = console.log;
+    for (const scenario of buildScenarios(keys)){
+        console.log = () => {};
+        let result;
+        try {
+            result = await runScenario(config, scenario, requests, warmup);
+        }
+        finally {
+            console.log = log;
+        }
+        results[scenario.name] = result;
+
+        let before = baseline ? baseline.results[scenario.name] : null;
+        console.log(formatRow([scenario.name, result.p50.toFixed(3), result.p99.toFixed(3), result.mean.toFixed(3),
+            Math.round(result.throughput)].concat(before ? [change(before.p50, result.p50), change(before.p99, result.p99),
+            change(before.throughput, result.throughput)] : [])));
+    }
+
+    if (saveFile){
+        fs.writeFileSync(saveFile, JSON.stringify({
+            node: process.version,
+            requests: requests,
+            warmup: warmup,
+            createdAt: new Date().toISOString(),
+            results: results
+        }, null, 2) + '\n');
+        console.log('Results saved to ' + saveFile);
+    }
+
+    if (baseline){
+        if (baseline.node !== process.version){
+            console.log('The baseline was measured with Node.js ' + baseline.node);
+        }
+        let regressions = compare(results, baseline, maxRegression);
+        regressions.map(r => console.log('REGRESSION ' + r));
+        return regressions.length === 0;
+    }
+    return true;
+}
+
+main()
+.then(passed => {
+    process.exitCode = passed ? 0 : 1;
+})
+.catch(e => {
+    console.log('Error:');
+    console.log(e);
+    process.exitCode = 1;
+});
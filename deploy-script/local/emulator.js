@@ -0,0 +1,428 @@
+'use strict';
+// © 2022 Amazon Web Services, Inc. or its affiliates. All Rights Reserved.
+// This work is licensed under a MIT-0 License.
+
+/**
+ * Emulates the CloudFront distribution, Lambda@Edge function and mock origin
+ * created by step-2-origin.yml and step-3-cfdistribution.yml, so the whole
+ * paywall flow can be run on a laptop without deploying anything.
+ *
+ * For each request, the emulator:
+ * 1. picks the cache behavior (/*\/content/* or the default behavior)
+ * 2. runs the edge function as a viewer-request function (content behavior only)
+ * 3. adds the viewer country and device type headers, which CloudFront only
+ *    adds after the viewer-request event
+ * 4. looks up the cache, keyed like PaywallDemoCfCachePolicy
+ * 5. on a miss, runs the edge function as an origin-request function (content
+ *    behavior only), then calls the mock origin with only the headers allowed by
+ *    the cache and origin request policies, enforcing the API key like API Gateway
+ * 6. runs the edge function as a viewer-response function
+ *
+ * Usage:
+ *   node local/emulator.js [--config config.json] [--port 8080] [--country US]
+ *
+ * - --config: JSON file with the same shape as the config.json that the deploy
+ *             script packages with the edge function. Defaults to
+ *             local/configs/emulator.json. If the file has no catalog or meter,
+ *             they are built from products.json, and if it has no paywall section,
+ *             it is read from paywall-page.json. The file of the deny list
+ *             (revocation.file) is relative to the configuration file.
+ * - --country: country of the viewer in the CloudFront-Viewer-Country header
+ *             (default US). A request can use another country with an
+ *             X-Emulator-Viewer-Country header. The device type headers are
+ *             derived from the User-Agent header, like CloudFront does.
+ *
+ * Example:
+ *   curl -i --cookie "jwt=<ID Token>" http://localhost:8080/product-a/content/123
+ */
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const edgeFunction = require('../edge-function/paywall');
+const originFunction = require('../origin-function');
+const CONTENT = require('../origin-function/content.json');
+const { buildOriginProxyEvent, buildViewerRequestEvent, toCloudFrontHeaders } = require('./events');
+const { loadCatalog, buildEdgeCatalog, buildMeteredProducts } = require('../catalog');
+const { loadPaywallPage } = require('../paywall-page');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, 'configs', 'emulator.json');
+
+// Mirrors the distribution in step-3-cfdistribution.yml, with the TTLs of the dev
+// environment (environments/dev.json). Keep these values in sync with the template
+// when the cache or origin request policies change.
+const TTLS = { defaultTtl: 86400, minTtl: 86400, maxTtl: 86400 };
+const DISTRIBUTION = {
+    behaviors: [
+        {
+            pathPattern: '/*/content/*',
+            allowedMethods: ['GET', 'HEAD', 'OPTIONS'],
+            edgeFunction: true,
+            // PaywallDemoCfCachePolicy
+            cachePolicy: Object.assign({
+                headers: ['x-is-subscriber', 'x-paywall-rules', 'CloudFront-Viewer-Country', 'CloudFront-Is-Desktop-Viewer',
+                    'CloudFront-Is-Mobile-Viewer', 'CloudFront-Is-Tablet-Viewer', 'CloudFront-Is-SmartTV-Viewer']
+            }, TTLS),
+            // PaywallDemoCfOriginRequestPolicy
+            originRequestHeaders: ['x-is-subscriber', 'x-paywall-signature'],
+            forwardQueryStrings: true
+        }
+    ],
+    defaultBehavior: {
+        allowedMethods: ['GET', 'HEAD'],
+        edgeFunction: false,
+        // PaywallDemoCfDefaultCachePolicy
+        cachePolicy: Object.assign({ headers: [] }, TTLS),
+        originRequestHeaders: [],
+        forwardQueryStrings: false
+    }
+};
+
+/**
+ * Convert a CloudFront path pattern into a regular expression. In CloudFront
+ * patterns, * matches any characters (including /) and ? matches one character.
+ * @param {String} pattern
+ * @returns RegExp
+ */
+function patternToRegExp(pattern){
+    let escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+    return new RegExp('^' + escaped + '$');
+}
+
+/**
+ * Find the cache behavior for the uri.
+ * @param {String} uri
+ * @returns Object
+ */
+function findBehavior(uri){
+    let behavior = DISTRIBUTION.behaviors.find(b => patternToRegExp(b.pathPattern).test(uri));
+    return behavior || DISTRIBUTION.defaultBehavior;
+}
+
+/**
+ * Group the raw Node.js headers by name, keeping the original case and every
+ * value (a request can have several cookie headers).
+ * @param {String[]} rawHeaders
+ * @returns Object: header name to list of values
+ */
+function groupHeaders(rawHeaders){
+    let headers = {};
+    let names = {};
+
+    for (let i = 0; i < rawHeaders.length; i += 2){
+        let lower = rawHeaders[i].toLowerCase();
+        names[lower] = names[lower] || rawHeaders[i];
+        headers[names[lower]] = (headers[names[lower]] || []).concat(rawHeaders[i + 1]);
+    }
+
+    return headers;
+}
+
+// Request header that sets the viewer country of one request
+const COUNTRY_OVERRIDE_HEADER = 'x-emulator-viewer-country';
+
+// Device types detected from the User-Agent header; tablets are also mobile
+// viewers, as in CloudFront, and viewers that match nothing are desktop viewers
+const DEVICE_TYPES = [
+    ['CloudFront-Is-SmartTV-Viewer', /smart-?tv|hbbtv|appletv|googletv|roku|tizen|web0s|webos/i],
+    ['CloudFront-Is-Tablet-Viewer', /ipad|tablet|kindle|silk|android(?!.*mobile)/i],
+    ['CloudFront-Is-Mobile-Viewer', /mobi|iphone|ipod|ipad|tablet|kindle|silk|android/i]
+];
+
+/**
+ * Take the viewer country and device type headers out of the viewer headers.
+ * CloudFront adds them after the viewer-request event, when they are listed in
+ * a policy of the cache behavior, and replaces headers with these names sent by
+ * the viewer.
+ * @param {Object} headers: header name to list of values, see groupHeaders;
+ *                 the headers with these names and the country override are removed
+ * @param {String} country: default country of the viewer
+ * @returns Object: header name to list of values, for handle
+ */
+function takeViewerHeaders(headers, country){
+    let find = name => Object.keys(headers).find(h => h.toLowerCase() === name);
+    let override = find(COUNTRY_OVERRIDE_HEADER);
+    let userAgent = find('user-agent');
+
+    if (override){
+        country = headers[override][0];
+        delete headers[override];
+    }
+    Object.keys(headers).filter(h => /^cloudfront-(viewer-country|is-.*-viewer)$/i.test(h)).map(h => delete headers[h]);
+
+    let ua = userAgent ? headers[userAgent][0] : '';
+    let types = DEVICE_TYPES.filter(d => d[1].test(ua)).map(d => d[0]);
+    let viewerHeaders = {};
+    DEVICE_TYPES.map(d => viewerHeaders[d[0]] = [String(types.includes(d[0]))]);
+    viewerHeaders['CloudFront-Is-Desktop-Viewer'] = [String(types.length === 0)];
+    viewerHeaders['CloudFront-Viewer-Country'] = [String(country).toUpperCase()];
+
+    return viewerHeaders;
+}
+
+/**
+ * Read a header value from CloudFront formatted headers.
+ * @param {Object} cfHeaders
+ * @param {String} name
+ * @returns String
+ */
+function headerValue(cfHeaders, name){
+    let h = cfHeaders[name.toLowerCase()];
+    return h && h.length ? h[0].value : undefined;
+}
+
+/**
+ * Compute the cache time to live, like CloudFront does with the minimum,
+ * maximum and default TTL of the cache policy.
+ * @param {Object} policy: cache policy of the behavior
+ * @param {Object} originHeaders
+ * @returns Number: seconds
+ */
+function getTtl(policy, originHeaders){
+    let cacheControl = Object.keys(originHeaders || {}).find(h => h.toLowerCase() === 'cache-control');
+    let match = cacheControl ? /max-age=(\d+)/.exec(originHeaders[cacheControl]) : null;
+    let ttl = match ? parseInt(match[1], 10) : policy.defaultTtl;
+    return Math.min(Math.max(ttl, policy.minTtl), policy.maxTtl);
+}
+
+/**
+ * Create the emulated distribution.
+ * @param {Object} options: {
+ *      edgeHandler: Function,      Lambda@Edge handler (viewer-request, origin-request and
+ *                                  viewer-response)
+ *      originHandler: Function,    mock origin handler (API Gateway proxy event)
+ *      log: Function               (optional)
+ * }
+ * @returns { handle: Function, cache: Map }
+ */
+function createEmulator(options){
+    const cache = new Map();
+    const log = options.log || console.log;
+
+    /**
+     * Emulate API Gateway in front of the mock origin: the request is passed on
+     * as a proxy integration event.
+     */
+    async function callOrigin(request, behavior){
+        let headers = {};
+        let forward = behavior.originRequestHeaders.concat(behavior.cachePolicy.headers);
+        forward.map(name => {
+            let value = headerValue(request.headers, name);
+            if (value !== undefined){
+                headers[name] = value;
+            }
+        });
+
+        let query = behavior.forwardQueryStrings ? new URLSearchParams(request.querystring) : new URLSearchParams();
+        let queryStringParameters = null;
+        for (const [k, v] of query){
+            queryStringParameters = queryStringParameters || {};
+            queryStringParameters[k] = v;
+        }
+
+        return options.originHandler(buildOriginProxyEvent({
+            path: request.uri,
+            method: request.method,
+            headers: headers,
+            queryStringParameters: queryStringParameters
+        }));
+    }
+
+    /**
+     * Handle one viewer request.
+     * @param {Object} viewer: { method, uri, querystring, headers, clientIp, viewerHeaders },
+     *                 viewerHeaders are added after the viewer-request event (see takeViewerHeaders)
+     * @returns { status, headers, body, cacheStatus }: headers in CloudFront format
+     */
+    async function handle(viewer){
+        let event = buildViewerRequestEvent(viewer);
+        let request = event.Records[0].cf.request;
+        let behavior = findBehavior(request.uri);
+
+        if (!behavior.allowedMethods.includes(request.method)){
+            return { status: '403', headers: {}, body: 'Method not allowed', cacheStatus: 'Error' };
+        }
+
+        if (behavior.edgeFunction){
+            let result = await options.edgeHandler(event);
+            if (result.status){
+                // The edge function generated the response itself
+                return Object.assign({ cacheStatus: 'LambdaGeneratedResponse' }, result);
+            }
+            request = result;
+        }
+        Object.assign(request.headers, toCloudFrontHeaders(viewer.viewerHeaders));
+
+        let cacheKey = [request.uri].concat(behavior.cachePolicy.headers.map(h => h + '=' + headerValue(request.headers, h))).join('|');
+        let cacheable = request.method === 'GET' || request.method === 'HEAD';
+        let cached = cacheable ? cache.get(cacheKey) : null;
+        let cacheStatus = 'Hit';
+        let response = null;
+
+        if (cached && cached.expires > Date.now()){
+            response = JSON.parse(JSON.stringify(cached.response));
+        }
+        else {
+            cacheStatus = 'Miss';
+            if (behavior.edgeFunction){
+                event.Records[0].cf.config.eventType = 'origin-request';
+                event.Records[0].cf.request = request;
+                request = await options.edgeHandler(event);
+            }
+            let originResponse = await callOrigin(request, behavior);
+            let headers = {};
+            Object.keys(originResponse.headers || {}).map(h => {
+                headers[h.toLowerCase()] = [{ key: h, value: String(originResponse.headers[h]) }];
+            });
+            response = {
+                status: String(originResponse.statusCode),
+                statusDescription: http.STATUS_CODES[originResponse.statusCode],
+                headers: headers,
+                body: originResponse.body
+            };
+            log('  origin: ' + request.method + ' ' + request.uri + ' -> ' + response.status);
+
+            if (cacheable && originResponse.statusCode < 500){
+                cache.set(cacheKey, {
+                    expires: Date.now() + getTtl(behavior.cachePolicy, originResponse.headers) * 1000,
+                    response: JSON.parse(JSON.stringify(response))
+                });
+            }
+        }
+
+        if (behavior.edgeFunction){
+            event.Records[0].cf.config.eventType = 'viewer-response';
+            event.Records[0].cf.request = request;
+            event.Records[0].cf.response = response;
+            response = await options.edgeHandler(event);
+        }
+
+        return Object.assign({}, response, { cacheStatus: cacheStatus });
+    }
+
+    return { handle, cache };
+}
+
+/**
+ * Write an emulated CloudFront response to the Node.js response.
+ * @param {http.ServerResponse} res
+ * @param {Object} response
+ * @param {Boolean} isHead
+ */
+function writeResponse(res, response, isHead){
+    let headers = {};
+    Object.keys(response.headers || {}).map(name => {
+        let values = response.headers[name].map(h => h.value);
+        headers[response.headers[name][0].key || name] = values.length === 1 ? values[0] : values;
+    });
+    headers['X-Cache'] = response.cacheStatus + ' from cloudfront';
+
+    let body = response.body || '';
+    if (response.bodyEncoding === 'base64'){
+        body = Buffer.from(body, 'base64');
+    }
+
+    res.writeHead(parseInt(response.status, 10), response.statusDescription, headers);
+    res.end(isHead ? undefined : body);
+}
+
+/**
+ * Build the edge function configuration for the emulator.
+ * @param {String} file
+ * @returns Object
+ */
+function loadConfig(file){
+    let config = JSON.parse(fs.readFileSync(file).toString());
+    let catalog = loadCatalog();
+
+    if (!config.catalog){
+        config.catalog = buildEdgeCatalog(catalog);
+    }
+    if (!config.meter){
+        config.meter = {
+            secret: 'local-meter-secret',
+            secureCookie: false,
+            products: buildMeteredProducts(catalog)
+        };
+    }
+    if (!config.paywall){
+        config.paywall = loadPaywallPage();
+    }
+    if (config.revocation && config.revocation.file){
+        config.revocation.file = path.resolve(path.dirname(file), config.revocation.file);
+    }
+
+    return config;
+}
+
+function main(){
+    const args = process.argv.slice(2);
+    let configFile = DEFAULT_CONFIG_FILE;
+    let port = 8080;
+    let country = 'US';
+
+    for (let i = 0; i < args.length; i++){
+        if (args[i] === '--config'){
+            configFile = args[++i];
+        }
+        else if (args[i] === '--port'){
+            port = parseInt(args[++i], 10);
+        }
+        else if (args[i] === '--country'){
+            country = args[++i];
+        }
+    }
+
+    const config = loadConfig(configFile);
+    // The origin accepts the key the edge function signs with, like a deployed origin
+    const signing = config.originSigning ? { keys: { [config.originSigning.keyId]: config.originSigning.secret } } : undefined;
+    const emulator = createEmulator({
+        edgeHandler: edgeFunction.createHandler(config),
+        originHandler: originFunction.createHandler(CONTENT, signing)
+    });
+
+    // The edge function and origin log every request; keep the output readable
+    const log = console.log;
+    console.log = () => {};
+
+    const server = http.createServer((req, res) => {
+        let url = new URL(req.url, 'http://localhost');
+        let headers = groupHeaders(req.rawHeaders);
+        let viewerHeaders = takeViewerHeaders(headers, country);
+        emulator.handle({
+            method: req.method,
+            uri: url.pathname,
+            querystring: url.search.substring(1),
+            // The emulator only serves http, so the return url of login redirects uses it too
+            headers: Object.assign(headers, { 'CloudFront-Forwarded-Proto': 'http' }),
+            clientIp: req.socket.remoteAddress,
+            viewerHeaders: viewerHeaders
+        })
+        .then(response => {
+            log(req.method + ' ' + url.pathname + ' -> ' + response.status + ' (' + response.cacheStatus + ')');
+            writeResponse(res, response, req.method === 'HEAD');
+        })
+        .catch(e => {
+            log('Error handling ' + req.method + ' ' + url.pathname + ': ' + e.stack);
+            writeResponse(res, { status: '502', statusDescription: 'Bad Gateway', headers: {}, body: 'Bad Gateway', cacheStatus: 'Error' }, false);
+        });
+    });
+
+    server.listen(port, () => {
+        log('Paywall emulator listening on http://localhost:' + port);
+        log('JWKS url: ' + (config.jwksUrl || '(none, using the keys in the configuration)'));
+    });
+}
+
+if (require.main === module){
+    main();
+}
+
+module.exports = {
+    DISTRIBUTION,
+    createEmulator,
+    findBehavior,
+    patternToRegExp,
+    takeViewerHeaders
+};
@@ -0,0 +1,90 @@
+'use strict';
+// © 2022 Amazon Web Services, Inc. or its affiliates. All Rights Reserved.
+// This work is licensed under a MIT-0 License.
+
+/**
+ * Builds CloudFront events in the same shape that Lambda@Edge receives them,
+ * so the edge function can be invoked locally.
+ * See https://docs.aws.amazon.com/AmazonCloudFront/latest/DeveloperGuide/lambda-event-structure.html
+ */
+
+/**
+ * Convert plain name/value headers into the CloudFront format, where the
+ * key is the lowercase header name and the value is a list of { key, value }.
+ * @param {Object} headers: header name to value (or list of values)
+ * @returns Object
+ */
+function toCloudFrontHeaders(headers){
+    let cfHeaders = {};
+
+    Object.keys(headers || {}).map(name => {
+        let values = Array.isArray(headers[name]) ? headers[name] : [headers[name]];
+        cfHeaders[name.toLowerCase()] = values.map(v => ({ key: name, value: String(v) }));
+    });
+
+    return cfHeaders;
+}
+
+/**
+ * Create a viewer-request event.
+ * @param {Object} options: { method, uri, querystring, headers, cookie, clientIp }
+ *                 cookie can be a string or a list of strings (one per cookie header)
+ * @returns Object
+ */
+function buildViewerRequestEvent(options){
+    let headers = Object.assign({}, options.headers);
+    if (options.cookie){
+        headers['Cookie'] = options.cookie;
+    }
+    if (!Object.keys(headers).some(h => h.toLowerCase() === 'host')){
+        headers['Host'] = 'd111111abcdef8.cloudfront.net';
+    }
+
+    return {
+        Records: [
+            {
+                cf: {
+                    config: {
+                        distributionDomainName: 'd111111abcdef8.cloudfront.net',
+                        distributionId: 'EDFDVBD6EXAMPLE',
+                        eventType: 'viewer-request',
+                        requestId: 'local-' + Date.now()
+                    },
+                    request: {
+                        clientIp: options.clientIp || '203.0.113.178',
+                        headers: toCloudFrontHeaders(headers),
+                        method: options.method || 'GET',
+                        querystring: options.querystring || '',
+                        uri: options.uri || '/'
+                    }
+                }
+            }
+        ]
+    };
+}
+
+/**
+ * Create the API Gateway proxy event that the mock origin receives for a
+ * request forwarded by CloudFront.
+ * @param {Object} options: { method, path, headers, queryStringParameters }
+ *                 headers are plain header names to values
+ * @returns Object
+ */
+function buildOriginProxyEvent(options){
+    return {
+        resource: '/{param+}',
+        path: options.path,
+        httpMethod: options.method || 'GET',
+        headers: options.headers || {},
+        queryStringParameters: options.queryStringParameters || null,
+        requestContext: { stage: 'local' },
+        body: null,
+        isBase64Encoded: false
+    };
+}
+
+module.exports = {
+    toCloudFrontHeaders,
+    buildOriginProxyEvent,
+    buildViewerRequestEvent
+};
@@ -0,0 +1,398 @@
+'use strict';
+// © 2022 Amazon Web Services, Inc. or its affiliates. All Rights Reserved.
+// This work is licensed under a MIT-0 License.
+
+/**
+ * Runs the Lambda@Edge paywall handler locally against viewer-request fixtures
+ * and shows whether each request would be forwarded to the origin (and with
+ * which x-is-subscriber value) or answered directly by the edge function.
+ * A forwarded request then goes through the origin-request event, which checks
+ * the viewer rules (see edge-function/rules.js); like CloudFront, the harness only
+ * adds the CloudFront-Viewer-Country and CloudFront-Is-*-Viewer headers of the
+ * fixture for that event.
+ *
+ * Usage:
+ *   node local/harness.js [--config config.json] [--logs] [fixture.json | folder ...]
+ *
+ * - --config: JSON file with the same shape as the config.json that the deploy
+ *             script packages with the function (jwksUrl, keys, issuer, ...). Defaults
+ *             to an empty key set, so only requests without a valid token can be checked.
+ *             If the file has no catalog, the catalog from products.json is used, and
+ *             if it has no paywall section, the one from paywall-page.json. The file of
+ *             the deny list (revocation.file) is relative to the configuration file.
+ * - --logs:   show the console output of the handler
+ * - Fixtures default to the local/fixtures folder. Each fixture is a JSON file:
+ *   {
+ *     "description": "Anonymous request for product A",
+ *     "method": "GET",
+ *     "uri": "/product-a/content/123",
+ *     "cookie": "jwt=...",               (optional, string or list of strings)
+ *     "headers": { "Accept": "text/html" }, (optional)
+ *     "now": "2026-11-02T00:00:00Z",     (optional, time at which the edge function runs)
+ *     "config": { "tokenCookieName": "id_token" },
+ *                                         (optional, replaces these values of the configuration)
+ *     "expect": { "status": "401", "reason": "missing_token" }
+ *                                         (optional, or { "subscriber": "metered", "remaining": "2" };
+ *                                          responses also have contentType, location and, for
+ *                                          JSON bodies, error; requests downgraded by the viewer
+ *                                          rules have restriction)
+ *     "log": { "decision": "denied", "reason": "missing_token" }
+ *                                         (optional, values of the decision log line)
+ *     "origin": { "path": "/product-b/content/123", "subscriber": "true",
+ *                 "delaySeconds": 60, "repeat": 2 }
+ *                                         (optional, also send the forwarded request to the
+ *                                          mock origin, see below)
+ *   }
+ *
+ * With an origin section, a request forwarded by the edge function is passed on
+ * to the mock origin (origin-function/index.js), which checks the signature with
+ * the originSigning key of the configuration. The optional values change what the
+ * origin receives: another path or x-is-subscriber value than the edge function
+ * signed, a delay before it arrives, and how many times it arrives (the last
+ * response is checked). The expectation can then include originStatus,
+ * originAccess (full or preview) and, for a refused signature, originReason
+ * (bad_signature, expired, expiry_too_far, ...).
+ *
+ * Every request must write exactly one decision log line that matches the schema
+ * in edge-function/decision-log.js and does not contain the token or the cookies.
+ * The script exits with code 1 when a fixture does not match its expectation.
+ */
+const fs = require('fs');
+const path = require('path');
+const { createHandler } = require('../edge-function/paywall');
+const { LOG_TYPE, RESTRICTION_LOG_TYPE, checkDecisionRecord } = require('../edge-function/decision-log');
+const originFunction = require('../origin-function');
+const CONTENT = require('../origin-function/content.json');
+const { buildOriginProxyEvent, buildViewerRequestEvent, toCloudFrontHeaders } = require('./events');
+const { loadCatalog, buildEdgeCatalog } = require('../catalog');
+const { loadPaywallPage } = require('../paywall-page');
+
+// Headers that CloudFront adds after the viewer-request event
+const VIEWER_HEADERS = /^cloudfront-(viewer-country|is-.*-viewer)$/i;
+
+const DEFAULT_CONFIG = {
+    keys: {}
+};
+
+/**
+ * Expand the command line arguments into a list of fixture files.
+ * @param {String[]} paths
+ * @returns String[]
+ */
+function findFixtures(paths){
+    let files = [];
+
+    paths.map(p => {
+        if (fs.statSync(p).isDirectory()){
+            fs.readdirSync(p)
+            .filter(f => f.endsWith('.json'))
+            .sort()
+            .map(f => files.push(path.join(p, f)));
+        }
+        else {
+            files.push(p);
+        }
+    });
+
+    return files;
+}
+
+/**
+ * Reduce the handler result to the values that matter for the paywall decision.
+ * @param {Object} result: either the request or a generated response
+ * @returns Object
+ */
+function summarize(result){
+    if (result.status){
+        let header = name => result.headers && result.headers[name] ? result.headers[name][0].value : undefined;
+        let contentType = header('content-type');
+        let error = undefined;
+        if (contentType && contentType.startsWith('application/json')){
+            try {
+                error = JSON.parse(result.body).error;
+            }
+            catch (e){
+                error = 'invalid JSON body';
+            }
+        }
+        return {
+            type: 'response',
+            status: result.status,
+            statusDescription: result.statusDescription,
+            reason: header('x-paywall-reason'),
+            contentType: contentType,
+            error: error,
+            location: header('location'),
+            body: result.body
+        };
+    }
+
+    let subscriber = result.headers['x-is-subscriber'];
+    let remaining = result.headers['x-paywall-meter-remaining'];
+    return {
+        type: 'request',
+        uri: result.uri,
+        subscriber: subscriber ? subscriber[0].value : undefined,
+        remaining: remaining ? remaining[0].value : undefined
+    };
+}
+
+/**
+ * Run a function with Date.now moved by an offset, for requests that arrive later
+ * or that run at a fixed time.
+ * @param {Number} offsetMs
+ * @param {Function} fn: async
+ * @returns Promise: the result of fn
+ */
+async function withClockOffset(offsetMs, fn){
+    const now = Date.now;
+    Date.now = () => now() + offsetMs;
+    try {
+        return await fn();
+    }
+    finally {
+        Date.now = now;
+    }
+}
+
+/**
+ * Send a request forwarded by the edge function to the mock origin, with the
+ * headers of the origin request policy.
+ * @param {Object} config
+ * @param {Object} request: CloudFront request returned by the edge function
+ * @param {Object} origin: origin section of the fixture
+ * @returns Object: { originStatus, originAccess, originMessage }
+ */
+async function callOrigin(config, request, origin){
+    const signing = config.originSigning ? { keys: { [config.originSigning.keyId]: config.originSigning.secret } } : undefined;
+    const handler = originFunction.createHandler(CONTENT, signing);
+
+    let headers = {};
+    ['x-is-subscriber', 'x-paywall-signature']
+    .filter(h => request.headers[h])
+    .map(h => headers[h] = request.headers[h][0].value);
+    if (origin.subscriber !== undefined){
+        headers['x-is-subscriber'] = origin.subscriber;
+    }
+    let event = buildOriginProxyEvent({ path: origin.path || request.uri, method: request.method, headers: headers });
+
+    let response = null;
+    for (let i = 0; i < (origin.repeat || 1); i++){
+        response = await withClockOffset((origin.delaySeconds || 0) * 1000, () => handler(JSON.parse(JSON.stringify(event))));
+    }
+
+    let body = JSON.parse(response.body);
+    return {
+        originStatus: response.statusCode,
+        originAccess: body.access,
+        originMessage: body.message
+    };
+}
+
+/**
+ * Find why the mock origin refused the last request it received.
+ * @param {String[]} lines: console output of the origin
+ * @returns String: reason of the signature verifier, see origin-signature.js
+ */
+function rejectionReason(lines){
+    let rejected = lines.map(line => /^Rejected origin request: (\S+)/.exec(line)).filter(m => m).pop();
+    return rejected ? rejected[1] : undefined;
+}
+
+/**
+ * Find why the origin-request event downgraded a request to the preview.
+ * @param {String[]} lines: console output of the handler
+ * @returns String: reason of the viewer rules, see rules.js
+ */
+function restrictionReason(lines){
+    let records = lines.map(line => {
+        try {
+            return JSON.parse(line);
+        }
+        catch (e){
+            return null;
+        }
+    }).filter(r => r && r.type === RESTRICTION_LOG_TYPE);
+
+    return records.length ? records[0].reason : undefined;
+}
+
+/**
+ * Check the decision log lines that the handler wrote for a fixture.
+ * @param {String[]} lines: console output of the handler
+ * @param {Object} fixture
+ * @returns String[]: list of problems
+ */
+function checkDecisionLog(lines, fixture){
+    let records = lines.map(line => {
+        try {
+            return JSON.parse(line);
+        }
+        catch (e){
+            return null;
+        }
+    }).filter(r => r && r.type === LOG_TYPE);
+
+    if (records.length !== 1){
+        return ['expected one decision log line but got ' + records.length];
+    }
+    let record = records[0];
+    let problems = checkDecisionRecord(record).map(p => 'log: ' + p);
+
+    // Tokens and cookie values must not be logged
+    let secrets = [].concat(fixture.cookie || []).map(c => String(c).split(';').map(pair => pair.substring(pair.indexOf('=') + 1).trim()));
+    Object.keys(fixture.headers || {}).filter(h => h.toLowerCase() === 'authorization')
+    .map(h => secrets.push(String(fixture.headers[h]).replace(/^\s*\S+\s+/, '')));
+    [].concat(...secrets).filter(v => v.length >= 8 && lines.some(line => line.includes(v)))
+    .map(() => problems.push('log: contains a token or cookie value'));
+
+    Object.keys(fixture.log || {})
+    .filter(k => String(record[k]) !== String(fixture.log[k]))
+    .map(k => problems.push('log ' + k + ': expected ' + fixture.log[k] + ' but got ' + record[k]));
+
+    return problems;
+}
+
+/**
+ * Compare the summary with the expectation in the fixture.
+ * @param {Object} summary
+ * @param {Object} expect
+ * @returns String[]: list of mismatches
+ */
+function checkExpectation(summary, expect){
+    if (!expect){
+        return [];
+    }
+
+    return Object.keys(expect)
+    .filter(k => String(summary[k]) !== String(expect[k]))
+    .map(k => k + ': expected ' + expect[k] + ' but got ' + summary[k]);
+}
+
+async function runFixture(config, handler, file, showLogs){
+    let fixture = JSON.parse(fs.readFileSync(file).toString());
+    let headers = Object.assign({}, fixture.headers);
+    let viewerHeaders = {};
+    Object.keys(headers).filter(h => VIEWER_HEADERS.test(h)).map(h => {
+        viewerHeaders[h] = headers[h];
+        delete headers[h];
+    });
+    let event = buildViewerRequestEvent(Object.assign({}, fixture, { headers: headers }));
+
+    if (fixture.config){
+        handler = createHandler(Object.assign({}, config, fixture.config));
+    }
+
+    const log = console.log;
+    let lines = [];
+    console.log = (...values) => {
+        lines.push(values.join(' '));
+        if (showLogs){
+            log(...values);
+        }
+    };
+
+    let result = null;
+    let origin = null;
+    try {
+        // Fixtures with a now value run at that time, for dated entitlements
+        let offset = fixture.now ? Date.parse(fixture.now) - Date.now() : 0;
+        result = await withClockOffset(offset, () => handler(event));
+        if (!result.status){
+            Object.assign(result.headers, toCloudFrontHeaders(viewerHeaders));
+            event.Records[0].cf.config.eventType = 'origin-request';
+            event.Records[0].cf.request = result;
+            result = await withClockOffset(offset, () => handler(event));
+        }
+        // The log lines of the origin are not decision log lines
+        let edgeLines = lines.length;
+        if (fixture.origin && !result.status){
+            origin = await callOrigin(Object.assign({}, config, fixture.config), result, fixture.origin);
+            origin.originReason = origin.originStatus === 403 ? rejectionReason(lines.slice(edgeLines)) : undefined;
+        }
+        lines = lines.slice(0, edgeLines);
+    }
+    finally {
+        console.log = log;
+    }
+
+    let summary = Object.assign(summarize(result), { restriction: restrictionReason(lines) }, origin);
+    let failures = checkExpectation(summary, fixture.expect).concat(checkDecisionLog(lines, fixture));
+
+    console.log((failures.length ? 'FAIL ' : 'ok   ') + path.basename(file) + ': ' + (fixture.description || ''));
+    console.log('     ' + (fixture.method || 'GET') + ' ' + fixture.uri);
+    if (summary.location){
+        console.log('     => ' + summary.status + ' ' + summary.statusDescription + ' to ' + summary.location +
+            (summary.reason ? ' (reason: ' + summary.reason + ')' : ''));
+    }
+    else if (summary.type === 'response'){
+        console.log('     => ' + summary.status + ' ' + summary.statusDescription + ' (' + summary.contentType + '): ' +
+            summary.body.replace(/\s*\n\s*/g, ' ') + (summary.reason ? ' (reason: ' + summary.reason + ')' : ''));
+    }
+    else {
+        console.log('     => forwarded to origin with x-is-subscriber=' + summary.subscriber +
+            (summary.remaining !== undefined ? ' (free reads left: ' + summary.remaining + ')' : '') +
+            (summary.restriction ? ' (restricted: ' + summary.restriction + ')' : ''));
+    }
+    if (origin){
+        console.log('     => origin returned ' + origin.originStatus + (origin.originAccess ? ' with ' + origin.originAccess + ' access' : ': ' + origin.originMessage) +
+            (origin.originReason ? ' (reason: ' + origin.originReason + ')' : ''));
+    }
+    failures.map(f => console.log('     ! ' + f));
+
+    return failures.length === 0;
+}
+
+async function main(){
+    const args = process.argv.slice(2);
+    let config = DEFAULT_CONFIG;
+    let showLogs = false;
+    let paths = [];
+
+    for (let i = 0; i < args.length; i++){
+        if (args[i] === '--config'){
+            let file = args[++i];
+            config = JSON.parse(fs.readFileSync(file).toString());
+            // The file of the deny list is relative to the configuration file, as in the emulator
+            if (config.revocation && config.revocation.file){
+                config.revocation.file = path.resolve(path.dirname(file), config.revocation.file);
+            }
+        }
+        else if (args[i] === '--logs'){
+            showLogs = true;
+        }
+        else {
+            paths.push(args[i]);
+        }
+    }
+
+    if (paths.length === 0){
+        paths.push(path.join(__dirname, 'fixtures'));
+    }
+
+    if (!config.catalog){
+        config = Object.assign({ catalog: buildEdgeCatalog(loadCatalog()) }, config);
+    }
+    if (!config.paywall){
+        config = Object.assign({ paywall: loadPaywallPage() }, config);
+    }
+
+    const handler = createHandler(config);
+    let passed = true;
+
+    for (const file of findFixtures(paths)){
+        passed = await runFixture(config, handler, file, showLogs) && passed;
+    }
+
+    return passed;
+}
+
+main()
+.then(passed => {
+    process.exitCode = passed ? 0 : 1;
+})
+.catch(e => {
+    console.log('Error:');
+    console.log(e);
+    process.exitCode = 1;
+});
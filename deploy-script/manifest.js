@@ -0,0 +1,153 @@
+'use strict';
+// © 2022 Amazon Web Services, Inc. or its affiliates. All Rights Reserved.
+// This work is licensed under a MIT-0 License.
+
+/**
+ * Deployment manifests record what the deploy script created (stack names,
+ * user pool, client, distribution) so that the user and cleanup scripts can
+ * find a deployment by name instead of needing both stack names.
+ *
+ * Manifests are JSON files stored in the deployments folder at the root of
+ * the repository, one file per named deployment. The default name is
+ * 'default'. The PAYWALL_DEMO_DEPLOYMENTS_DIR environment variable replaces
+ * the folder (the tests use a temporary folder).
+ */
+const fs = require('fs');
+const path = require('path');
+const { EDGE_REGION } = require('./environment');
+
+const MANIFEST_DIR = process.env.PAYWALL_DEMO_DEPLOYMENTS_DIR || path.join(__dirname, '..', 'deployments');
+const DEFAULT_DEPLOYMENT = 'default';
+
+/**
+ * Check the deployment name so that it can safely be used as a file name.
+ * @param {String} name
+ * @returns String
+ */
+function validateName(name){
+    if (!/^[A-Za-z0-9][A-Za-z0-9_-]*$/.test(name || '')){
+        throw new Error('Invalid deployment name "' + name + '": use letters, digits, dashes and underscores');
+    }
+    return name;
+}
+
+function manifestPath(name, dir = MANIFEST_DIR){
+    return path.join(dir, validateName(name) + '.json');
+}
+
+function manifestExists(name = DEFAULT_DEPLOYMENT, dir = MANIFEST_DIR){
+    return fs.existsSync(manifestPath(name, dir));
+}
+
+/**
+ * Save the manifest of a deployment.
+ * @param {String} name
+ * @param {Object} manifest
+ * @param {String} dir
+ * @returns String: the file name
+ */
+function writeManifest(name, manifest, dir = MANIFEST_DIR){
+    let file = manifestPath(name, dir);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(Object.assign({ name: name }, manifest), null, 2));
+    return file;
+}
+
+/**
+ * Load the manifest of a deployment.
+ * @param {String} name
+ * @param {String} dir
+ * @returns Object
+ */
+function loadManifest(name = DEFAULT_DEPLOYMENT, dir = MANIFEST_DIR){
+    let file = manifestPath(name, dir);
+    if (!fs.existsSync(file)){
+        let available = listManifests(dir);
+        throw new Error('No deployment named "' + name + '" was found in ' + dir +
+            (available.length ? '. Available deployments: ' + available.join(', ') : '. Run the deploy script first, or specify the stack names.'));
+    }
+    return JSON.parse(fs.readFileSync(file).toString());
+}
+
+/**
+ * List the names of the saved deployments.
+ * @param {String} dir
+ * @returns String[]
+ */
+function listManifests(dir = MANIFEST_DIR){
+    if (!fs.existsSync(dir)){
+        return [];
+    }
+    return fs.readdirSync(dir).filter(f => f.endsWith('.json')).map(f => f.slice(0, -5)).sort();
+}
+
+/**
+ * Remove the manifest once the deployment has been cleaned up.
+ * @param {String} name
+ * @param {String} dir
+ */
+function deleteManifest(name = DEFAULT_DEPLOYMENT, dir = MANIFEST_DIR){
+    let file = manifestPath(name, dir);
+    if (fs.existsSync(file)){
+        fs.unlinkSync(file);
+    }
+}
+
+/**
+ * Work out the stacks of a deployment. Explicit stack names (in any order)
+ * take precedence over the manifest. Deployments made before the mock origin had
+ * its own stack only have the UserPool and distribution stacks.
+ * @param {String[]} stackNames: zero, two or three stack names from the command line
+ * @param {String} deploymentName
+ * @returns { userPoolStack: String, originStack: String, distributionStack: String, manifest: Object }
+ */
+function resolveStacks(stackNames, deploymentName = DEFAULT_DEPLOYMENT){
+    let names = (stackNames || []).filter(n => n);
+
+    if (names.length === 2 || names.length === 3){
+        let userPoolStack = names.find(n => n.startsWith('paywalldemo-userpool-stack')) || names[0];
+        let originStack = names.length === 3 ? names.find(n => n.startsWith('paywalldemo-origin-stack')) || null : null;
+        let distributionStack = names.find(n => n !== userPoolStack && n !== originStack);
+        if (names.length === 3 && (!originStack || !distributionStack)){
+            throw new Error('Three stack names must include the UserPool, origin and distribution stacks');
+        }
+        return { userPoolStack, originStack, distributionStack, manifest: null };
+    }
+
+    if (names.length > 0){
+        throw new Error('Specify the stack names of the deployment (UserPool, distribution and origin, if any), or none to use the deployment manifest');
+    }
+
+    let manifest = loadManifest(deploymentName);
+    return {
+        userPoolStack: manifest.userPoolStack,
+        originStack: manifest.originStack || null,
+        distributionStack: manifest.distributionStack,
+        manifest: manifest
+    };
+}
+
+/**
+ * Work out the regions of a deployment: the --region and --origin-region flags, then
+ * the manifest. The origin is in the edge region unless another one is recorded.
+ * @param {Object} manifest: null if the stacks were named on the command line
+ * @param {Object} flags
+ * @returns { edge: String, origin: String }
+ */
+function resolveRegions(manifest, flags = {}){
+    let edge = typeof flags.region === 'string' ? flags.region : (manifest && manifest.region) || EDGE_REGION;
+    let origin = typeof flags['origin-region'] === 'string' ? flags['origin-region'] : (manifest && manifest.originRegion) || edge;
+    return { edge, origin };
+}
+
+module.exports = {
+    MANIFEST_DIR,
+    DEFAULT_DEPLOYMENT,
+    manifestExists,
+    writeManifest,
+    loadManifest,
+    listManifests,
+    deleteManifest,
+    resolveRegions,
+    resolveStacks
+};
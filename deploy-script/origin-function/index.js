@@ -0,0 +1,140 @@
+'use strict';
+// © 2022 Amazon Web Services, Inc. or its affiliates. All Rights Reserved.
+// This work is licensed under a MIT-0 License.
+
+// This code simulates an origin. It serves the content items listed in
+// content.json, returning the full body for subscribers (and readers of
+// metered products who still have free reads left) and only the preview
+// for everyone else.
+//
+// The origin checks that the requested content id actually is part
+// of the product in the url. This prevents malicious users from
+// submitting a request for a product for which they have a subscription,
+// but specifying a content item that appears in a different product
+// that they are not supposed to access.
+//
+// The subscriber flag is only trusted if the request was signed by the
+// Lambda@Edge function (see origin-signature.js). The signing keys are
+// written into config.json by deploy-script/index.js when the function
+// is packaged.
+const fs = require('fs');
+const path = require('path');
+const CONTENT = require('./content.json');
+
+// origin-signature.js is packaged next to this file; in the repository it
+// lives in the edge-function folder, which signs the requests
+const { SIGNATURE_HEADER, createVerifier } = fs.existsSync(path.join(__dirname, 'origin-signature.js')) ?
+    require('./origin-signature') : require('../edge-function/origin-signature');
+
+/**
+ * Build an API Gateway proxy response with a JSON body.
+ * @param {Number} statusCode
+ * @param {Object} body
+ * @returns Object
+ */
+function jsonResponse(statusCode, body){
+    return {
+        statusCode: statusCode,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    };
+}
+
+/**
+ * Read a request header regardless of the case of its name.
+ * @param {Object} headers
+ * @param {String} name
+ * @returns String
+ */
+function getHeader(headers, name){
+    let match = Object.keys(headers || {}).find(h => h.toLowerCase() === name.toLowerCase());
+    return match ? headers[match] : undefined;
+}
+
+/**
+ * Find a content item that belongs to the product.
+ * @param {Object} content: content catalog, see content.json
+ * @param {String} productName: product slug from the url
+ * @param {String} contentId
+ * @returns Object, or null if the item does not exist in that product
+ */
+function getContent(content, productName, contentId){
+    let item = Object.prototype.hasOwnProperty.call(content.items, contentId) ? content.items[contentId] : null;
+
+    if (!item || item.product !== productName.toLowerCase()){
+        return null;
+    }
+
+    return item;
+}
+
+/**
+ * Build the origin handler for a content catalog.
+ * @param {Object} content: { items: { id: { product, title, preview, body } } }
+ * @param {Object} signing: { keys: key id to secret, maxTtlSeconds }. Requests
+ *                          without a valid signature are rejected. If not set,
+ *                          signatures are not checked (local testing only).
+ * @returns Function
+ */
+function createHandler(content, signing){
+    const verify = signing ? createVerifier(signing) : null;
+
+    return async (event) => {
+        console.log(event.path);
+
+        if (verify){
+            let result = verify(getHeader(event.headers, SIGNATURE_HEADER), {
+                method: event.httpMethod,
+                path: event.path,
+                subscriber: getHeader(event.headers, 'X-Is-Subscriber')
+            });
+            if (!result.valid){
+                console.log('Rejected origin request: ' + result.reason);
+                return jsonResponse(403, { message: 'Forbidden' });
+            }
+        }
+
+        let pathTokens = event.path.split('/');
+
+        let productName = pathTokens[1];
+        let contentId = pathTokens[3];
+
+        if (!productName || !contentId){
+            return jsonResponse(400, { message: 'Invalid URL' });
+        }
+
+        let item = getContent(content, productName, contentId);
+
+        if (!item){
+            return jsonResponse(404, { message: 'Content not found' });
+        }
+
+        // Subscription status is in the header set by the Lambda@Edge function
+        let isSubscriber = getHeader(event.headers, 'X-Is-Subscriber');
+        let full = isSubscriber === 'true' || isSubscriber === 'metered';
+
+        return jsonResponse(200, {
+            id: contentId,
+            product: item.product,
+            title: item.title,
+            access: full ? 'full' : 'preview',
+            body: full ? item.body : item.preview
+        });
+    };
+}
+
+let handler = null;
+
+exports.createHandler = createHandler;
+exports.getContent = getContent;
+// config.json only exists in the packaged function, so it is loaded on the first request
+exports.handler = async (event) => {
+    if (!handler){
+        let config = require('./config.json');
+        if (!config.originSigning){
+            throw new Error('config.json has no originSigning keys');
+        }
+        handler = createHandler(CONTENT, config.originSigning);
+    }
+    return handler(event);
+};
@@ -0,0 +1,101 @@
+'use strict';
+// © 2022 Amazon Web Services, Inc. or its affiliates. All Rights Reserved.
+// This work is licensed under a MIT-0 License.
+
+/**
+ * Helpers that package a Lambda function folder into a zip file and upload
+ * it to an artifact bucket: the edge function to the one created by
+ * step-1-userpool.yml, the origin function to the one created by step-2-origin.yml
+ * in the origin region.
+ *
+ * Lambda@Edge functions cannot read environment variables, so any deployment
+ * specific values are written into a config.json file inside the zip file.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const AdmZip = require('adm-zip');
+
+// Fixed timestamp for every entry so that the same sources always produce
+// the same zip file (and the same hash in uploadPackage). It is the MS-DOS
+// date and time value of 2022-01-01 00:00:00: adm-zip converts a Date with
+// the local time of the machine, so the zip would differ by timezone.
+const ENTRY_TIME = (((2022 - 1980) << 9) | (1 << 5) | 1) << 16;
+
+function addEntry(zip, name, content){
+    zip.addFile(name, content);
+    zip.getEntry(name).header.timeval = ENTRY_TIME;
+}
+
+/**
+ * Create a zip file with every .js and .json file in the folder plus
+ * a generated config.json.
+ * @param {String} sourceDir
+ * @param {Object} config: values written to config.json
+ * @param {String[]} extraFiles: files from other folders to add next to the sources (optional)
+ * @returns Buffer
+ */
+function packageFunction(sourceDir, config, extraFiles = []){
+    const zip = new AdmZip();
+
+    fs.readdirSync(sourceDir)
+    .filter(f => (f.endsWith('.js') || f.endsWith('.json')) && f !== 'config.json')
+    .map(f => path.join(sourceDir, f))
+    .concat(extraFiles)
+    .sort((a, b) => path.basename(a).localeCompare(path.basename(b)))
+    .map(f => {
+        addEntry(zip, path.basename(f), fs.readFileSync(f));
+    });
+
+    addEntry(zip, 'config.json', Buffer.from(JSON.stringify(config, null, 2)));
+
+    return zip.toBuffer();
+}
+
+/**
+ * Upload the zip file to S3. The key includes a hash of the contents so
+ * that a code change always results in a new object (and a new published
+ * version of the function).
+ * @param {AWS.S3} s3
+ * @param {String} bucket
+ * @param {String} name: prefix for the object key
+ * @param {Buffer} body
+ * @returns String: the object key
+ */
+async function uploadPackage(s3, bucket, name, body){
+    let hash = crypto.createHash('sha256').update(body).digest('hex').substring(0, 16);
+    let key = name + '-' + hash + '.zip';
+
+    await s3.putObject({
+        Bucket: bucket,
+        Key: key,
+        Body: body
+    }).promise();
+
+    return key;
+}
+
+/**
+ * Read the config.json of a package that was uploaded to S3, so that an update
+ * can keep the values that must not change (such as the API key).
+ * @param {AWS.S3} s3
+ * @param {String} bucket
+ * @param {String} key
+ * @returns Object
+ */
+async function readPackageConfig(s3, bucket, key){
+    let object = await s3.getObject({ Bucket: bucket, Key: key }).promise();
+    let entry = new AdmZip(object.Body).getEntry('config.json');
+
+    if (!entry){
+        throw new Error('The package ' + key + ' has no config.json');
+    }
+
+    return JSON.parse(entry.getData().toString());
+}
+
+module.exports = {
+    packageFunction,
+    readPackageConfig,
+    uploadPackage
+};
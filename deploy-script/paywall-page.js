@@ -0,0 +1,87 @@
+'use strict';
+// © 2022 Amazon Web Services, Inc. or its affiliates. All Rights Reserved.
+// This work is licensed under a MIT-0 License.
+
+/**
+ * Loads the configuration of the responses that the Lambda@Edge function returns
+ * for refused requests (paywall-page.json) and the HTML template it refers to.
+ * See edge-function/responses.js for how they are used.
+ *
+ * paywall-page.json has:
+ * - loginUrl:          where browsers are redirected to log in; an empty value
+ *                      shows the HTML page instead of redirecting
+ * - returnToParameter: query parameter of the login url that holds the url to
+ *                      return to after logging in (default returnTo)
+ * - template:          HTML template file, relative to paywall-page.json
+ * - title:             title of the HTML page
+ * - notEntitled:       'preview' sends users who are not entitled to the origin,
+ *                      which serves the preview; 'paywall' refuses their requests
+ */
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PAYWALL_PAGE_FILE = path.join(__dirname, 'paywall-page.json');
+const NOT_ENTITLED_MODES = ['preview', 'paywall'];
+// Lambda@Edge viewer request functions are limited to 1 MB, the template must leave room for the code
+const MAX_TEMPLATE_BYTES = 40 * 1024;
+
+/**
+ * Check the paywall page configuration. Throws an error describing every problem.
+ * @param {Object} page: contents of paywall-page.json, with the template loaded
+ * @returns Object: the configuration
+ */
+function validatePaywallPage(page){
+    let errors = [];
+
+    if (page.loginUrl && !/^(https:\/\/[^/]+|\/)/.test(page.loginUrl)){
+        errors.push('loginUrl must be an https url or a path starting with /');
+    }
+    if (page.returnToParameter !== undefined && !/^[A-Za-z0-9_.-]+$/.test(page.returnToParameter)){
+        errors.push('returnToParameter may only contain letters, digits, dots, dashes and underscores');
+    }
+    if (page.notEntitled !== undefined && !NOT_ENTITLED_MODES.includes(page.notEntitled)){
+        errors.push('notEntitled must be one of ' + NOT_ENTITLED_MODES.join(', '));
+    }
+    if (page.template !== undefined){
+        if (!page.template.includes('{{message}}')){
+            errors.push('the template has no {{message}} placeholder');
+        }
+        if (Buffer.byteLength(page.template) > MAX_TEMPLATE_BYTES){
+            errors.push('the template is larger than ' + MAX_TEMPLATE_BYTES + ' bytes');
+        }
+    }
+
+    if (errors.length > 0){
+        throw new Error('Invalid paywall page configuration:\n  ' + errors.join('\n  '));
+    }
+
+    return page;
+}
+
+/**
+ * Read the paywall page configuration and its template, and convert them into
+ * the paywall section of the edge function configuration.
+ * @param {String} file
+ * @returns Object
+ */
+function loadPaywallPage(file = DEFAULT_PAYWALL_PAGE_FILE){
+    let settings = JSON.parse(fs.readFileSync(file).toString());
+    let page = {
+        loginUrl: settings.loginUrl || null,
+        returnToParameter: settings.returnToParameter,
+        title: settings.title,
+        notEntitled: settings.notEntitled
+    };
+
+    if (settings.template){
+        page.template = fs.readFileSync(path.resolve(path.dirname(file), settings.template)).toString();
+    }
+
+    return validatePaywallPage(page);
+}
+
+module.exports = {
+    DEFAULT_PAYWALL_PAGE_FILE,
+    loadPaywallPage,
+    validatePaywallPage
+};
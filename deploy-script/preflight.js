@@ -0,0 +1,208 @@
+'use strict';
+// © 2022 Amazon Web Services, Inc. or its affiliates. All Rights Reserved.
+// This work is licensed under a MIT-0 License.
+
+/**
+ * Checks that run before the deploy script creates anything, so that a deployment
+ * does not fail half way because of a template error or a missing permission.
+ * - the templates are validated by CloudFormation, and the capabilities they
+ *   require are granted by the deploy script
+ * - the caller is allowed to perform the actions the deployment needs (checked
+ *   with the IAM policy simulator when the caller is allowed to use it)
+ *
+ * The JWKS of the Identity Provider can only be checked once the user pool exists
+ * (or the OpenID configuration of the provider has been read); validateJwks is
+ * used for that.
+ *
+ * The AWS clients are passed in, so the checks can be run with mocked clients.
+ */
+
+// Actions used by the deploy script and by CloudFormation on behalf of the caller
+const REQUIRED_ACTIONS = [
+    'cloudformation:CreateStack',
+    'cloudformation:UpdateStack',
+    'cloudformation:DescribeStacks',
+    'cloudformation:DeleteStack',
+    'cloudformation:CreateChangeSet',
+    'cloudformation:ValidateTemplate',
+    's3:CreateBucket',
+    's3:PutObject',
+    's3:GetObject',
+    's3:DeleteObject',
+    'iam:CreateRole',
+    'iam:PassRole',
+    'iam:PutRolePolicy',
+    'cognito-idp:CreateUserPool',
+    'cognito-idp:CreateUserPoolClient',
+    'lambda:CreateFunction',
+    'lambda:PublishVersion',
+    'lambda:EnableReplication',
+    'apigateway:POST',
+    'cloudfront:CreateDistribution',
+    'cloudfront:CreateCachePolicy',
+    'cloudfront:CreateOriginRequestPolicy',
+    'dynamodb:CreateTable',
+    'logs:CreateLogGroup',
+    'logs:PutRetentionPolicy'
+];
+
+/**
+ * Validate the templates and check the capabilities they require.
+ * @param {AWS.CloudFormation} cloudformation
+ * @param {Object} templates: template body by file name
+ * @param {String[]} capabilities: capabilities granted by the deploy script
+ * @returns String[]: errors
+ */
+async function checkTemplates(cloudformation, templates, capabilities){
+    let errors = [];
+
+    for (const name of Object.keys(templates)){
+        try {
+            let result = await cloudformation.validateTemplate({ TemplateBody: templates[name] }).promise();
+            let missing = (result.Capabilities || []).filter(c => !capabilities.includes(c));
+            if (missing.length > 0){
+                errors.push(name + ' requires capabilities that are not granted: ' + missing.join(', '));
+            }
+        }
+        catch (e){
+            errors.push(name + ' is not valid: ' + e.message);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Convert the caller ARN returned by STS into an ARN the policy simulator accepts.
+ * An assumed role session is simulated as its role.
+ * @param {String} arn
+ * @returns String
+ */
+function toPrincipalArn(arn){
+    let match = /^arn:(aws[\w-]*):sts::(\d+):assumed-role\/([^/]+)\/.+$/.exec(arn);
+    return match ? 'arn:' + match[1] + ':iam::' + match[2] + ':role/' + match[3] : arn;
+}
+
+/**
+ * Check the permissions of the caller with the IAM policy simulator.
+ * @param {AWS.STS} sts
+ * @param {AWS.IAM} iam
+ * @returns { errors: String[], warnings: String[] }
+ */
+async function checkPermissions(sts, iam){
+    let identity = await sts.getCallerIdentity({}).promise();
+    let principal = toPrincipalArn(identity.Arn);
+    let denied = [];
+
+    try {
+        let marker = undefined;
+        do {
+            let page = await iam.simulatePrincipalPolicy({
+                PolicySourceArn: principal,
+                ActionNames: REQUIRED_ACTIONS,
+                Marker: marker
+            }).promise();
+            page.EvaluationResults.filter(r => r.EvalDecision !== 'allowed').map(r => denied.push(r.EvalActionName));
+            marker = page.IsTruncated ? page.Marker : undefined;
+        } while (marker);
+    }
+    catch (e){
+        // The caller may not be allowed to use the simulator (or be the root user)
+        return { errors: [], warnings: ['Permissions of ' + identity.Arn + ' could not be checked: ' + e.message] };
+    }
+
+    if (denied.length > 0){
+        return { errors: [identity.Arn + ' is not allowed to perform: ' + denied.join(', ')], warnings: [] };
+    }
+
+    return { errors: [], warnings: [] };
+}
+
+/**
+ * Run the checks that do not need any resources.
+ * @param {Object} clients: { cloudformation, sts, iam }
+ * @param {Object} templates: template body by file name
+ * @param {String[]} capabilities
+ * @returns { errors: String[], warnings: String[] }
+ */
+async function runPreflight(clients, templates, capabilities){
+    let errors = await checkTemplates(clients.cloudformation, templates, capabilities);
+    let permissions = await checkPermissions(clients.sts, clients.iam);
+
+    return {
+        errors: errors.concat(permissions.errors),
+        warnings: permissions.warnings
+    };
+}
+
+// Curves and algorithms of the keys the edge function can verify tokens with
+const SUPPORTED_KEYS = {
+    RSA: ['RS256', 'RS384'],
+    EC: ['ES256']
+};
+
+/**
+ * Check a key of a JWKS.
+ * @param {Object} key: JWK
+ * @returns String: the problem, or null if the edge function can use the key
+ */
+function checkJwk(key){
+    if (!key.kid){
+        return 'has no kid';
+    }
+    if (key.use && key.use !== 'sig'){
+        return 'is not a signing key (use ' + key.use + ')';
+    }
+    if (key.kty === 'RSA'){
+        if (!key.n || !key.e){
+            return 'is not an RSA public key';
+        }
+    }
+    else if (key.kty === 'EC'){
+        if (key.crv !== 'P-256' || !key.x || !key.y){
+            return 'is not an EC P-256 public key';
+        }
+    }
+    else {
+        return 'has an unsupported key type ' + key.kty;
+    }
+    if (key.alg && !SUPPORTED_KEYS[key.kty].includes(key.alg)){
+        return 'is for the unsupported algorithm ' + key.alg;
+    }
+    return null;
+}
+
+/**
+ * Check that a JWKS has keys the edge function can use to verify tokens. Providers
+ * may publish other keys too (such as encryption keys); these are skipped, so the
+ * JWKS is only rejected if none of its keys can be used.
+ * @param {Object} jwks
+ * @returns String[]: errors
+ */
+function validateJwks(jwks){
+    let keys = jwks && Array.isArray(jwks.keys) ? jwks.keys : null;
+
+    if (!keys || keys.length === 0){
+        return ['The JWKS has no keys'];
+    }
+
+    let problems = keys.map((k, i) => {
+        let problem = checkJwk(k);
+        return problem ? 'Key ' + (k.kid || i) + ' ' + problem : null;
+    });
+
+    if (problems.every(p => p)){
+        return problems;
+    }
+    return [];
+}
+
+module.exports = {
+    REQUIRED_ACTIONS,
+    checkJwk,
+    checkPermissions,
+    checkTemplates,
+    runPreflight,
+    toPrincipalArn,
+    validateJwks
+};
@@ -0,0 +1,29 @@
+'use strict';
+// © 2022 Amazon Web Services, Inc. or its affiliates. All Rights Reserved.
+// This work is licensed under a MIT-0 License.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseArgs } = require('../args');
+
+test('boolean flags do not take the next positional argument', () => {
+    assert.deepStrictEqual(parseArgs(['--dry-run', 'update']), { positional: ['update'], flags: { 'dry-run': true } });
+    assert.deepStrictEqual(parseArgs(['list', '--json', 'stack1', 'stack2']), { positional: ['list', 'stack1', 'stack2'], flags: { json: true } });
+    assert.deepStrictEqual(parseArgs(['grant', '--trial', 'foo', 'B', '--duration', '7d']),
+        { positional: ['grant', 'foo', 'B'], flags: { trial: true, duration: '7d' } });
+    assert.deepStrictEqual(parseArgs(['deny-user', '--local', 'foo']), { positional: ['deny-user', 'foo'], flags: { local: true } });
+});
+
+test('other flags take the next argument as their value', () => {
+    assert.deepStrictEqual(parseArgs(['update', '--name', 'staging', '--env', 'prod']),
+        { positional: ['update'], flags: { name: 'staging', env: 'prod' } });
+});
+
+test('a flag without a value is true', () => {
+    assert.deepStrictEqual(parseArgs(['--select', '--all']), { positional: [], flags: { select: true, all: true } });
+});
+
+test('flags can be written as --name=value', () => {
+    assert.deepStrictEqual(parseArgs(['--name=staging', '--after=2026-10-19T12:00:00Z', '--json=false', '--dry-run=true']),
+        { positional: [], flags: { name: 'staging', after: '2026-10-19T12:00:00Z', json: false, 'dry-run': true } });
+});
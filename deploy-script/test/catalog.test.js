@@ -0,0 +1,30 @@
+'use strict';
+// © 2022 Amazon Web Services, Inc. or its affiliates. All Rights Reserved.
+// This work is licensed under a MIT-0 License.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadCatalog, validateCatalog } = require('../catalog');
+
+/**
+ * A catalog with a single product.
+ * @param {Object} product: values that replace those of product A
+ * @returns Object
+ */
+function catalogWith(product){
+    return { products: [Object.assign({ code: 'A', name: 'Product A', slug: 'product-a' }, product)] };
+}
+
+test('the demo catalog is valid', () => {
+    assert.ok(loadCatalog().products.length > 0);
+});
+
+test('codes may contain letters, digits, underscores and dashes', () => {
+    validateCatalog(catalogWith({ code: 'Premium_2-B' }));
+});
+
+test('codes with entitlement separators are rejected', () => {
+    ['A:B', 'A,B', 'A B', 'Ä'].map(code => {
+        assert.throws(() => validateCatalog(catalogWith({ code: code })), /code may only contain letters, digits, underscores and dashes/);
+    });
+});
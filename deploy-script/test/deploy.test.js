@@ -0,0 +1,447 @@
+'use strict';
+// © 2022 Amazon Web Services, Inc. or its affiliates. All Rights Reserved.
+// This work is licensed under a MIT-0 License.
+
+// Runs the deployment and update of index.js, and the change sets of change-set.js,
+// against mocked AWS clients. The manifests and the saved cleanup state are written
+// to a temporary folder.
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const DEPLOYMENTS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'paywall-deployments-'));
+process.env.PAYWALL_DEMO_DEPLOYMENTS_DIR = DEPLOYMENTS_DIR;
+
+const { main, update } = require('../index');
+const { createChangeSet } = require('../change-set');
+const { loadManifest, manifestExists } = require('../manifest');
+const { STATE_DIR } = require('../../cleanup-script/cleanup');
+
+/**
+ * Outputs of the stacks created by the templates, by stack name prefix.
+ * @param {String} jwksUrl
+ * @returns Object
+ */
+function getStackOutputs(jwksUrl){
+    return {
+        'paywalldemo-userpool-stack-': {
+            UserPoolUrl: jwksUrl,
+            UserPoolIssuer: 'https://cognito-idp.us-east-1.amazonaws.com/us-east-1_local',
+            UserPoolId: 'us-east-1_local',
+            ClientId: 'local-client',
+            ArtifactBucketName: 'userpool-artifacts'
+        },
+        'paywalldemo-origin-stack-': {
+            ArtifactBucketName: 'origin-artifacts',
+            OriginDomainName: 'origin.execute-api.us-west-2.amazonaws.com'
+        },
+        'paywalldemo-cfdistribution-stack-': {
+            CFDistributionId: 'EDFDVBD6EXAMPLE',
+            CFDistributionDomain: 'd111111abcdef8.cloudfront.net'
+        }
+    };
+}
+
+/**
+ * Record the calls of a mocked client. Each method returns an object with a
+ * promise() function, like the AWS SDK.
+ * @param {Object[]} calls
+ * @param {String} client: name of the client in the list of calls
+ * @param {Object} methods: name to function (params) => result, may throw
+ * @returns Object
+ */
+function mockClient(calls, client, methods){
+    let mock = {};
+    Object.keys(methods).map(name => {
+        mock[name] = (...args) => {
+            calls.push({ client: client, method: name, params: args[args.length - 1] });
+            return { promise: async () => methods[name](...args) };
+        };
+    });
+    return mock;
+}
+
+// StatusReason of a change set without changes
+const NO_CHANGES_REASON = 'The submitted information didn\'t contain changes. Submit different information to create a change set.';
+
+/**
+ * Mock of CloudFormation with the stacks and change sets in memory. The resource
+ * changes of a change set come from world.changes; a change set without changes
+ * fails, like in CloudFormation.
+ * @param {String} region
+ * @param {Object} world: { calls, stacks, changeSets, outputs, fail(waiter, stackName) => Boolean,
+ *                          changes(stackName) => resource changes }
+ * @returns Object
+ */
+function mockCloudFormation(region, world){
+    const stacks = world.stacks;
+    const find = name => {
+        if (!stacks[name]){
+            throw new Error('Stack with id ' + name + ' does not exist');
+        }
+        return stacks[name];
+    };
+    const outputsOf = name => {
+        let prefix = Object.keys(world.outputs).find(p => name.startsWith(p));
+        return prefix ? world.outputs[prefix] : {};
+    };
+
+    const findChangeSet = params => {
+        let changeSet = world.changeSets[params.StackName + '/' + params.ChangeSetName];
+        if (!changeSet){
+            throw new Error('ChangeSet [' + params.ChangeSetName + '] does not exist');
+        }
+        return changeSet;
+    };
+
+    return mockClient(world.calls, 'cloudformation:' + region, {
+        validateTemplate: () => ({ Capabilities: ['CAPABILITY_IAM'] }),
+        getTemplate: params => ({ TemplateBody: find(params.StackName).template }),
+        createChangeSet: params => {
+            find(params.StackName);
+            world.changeSets[params.StackName + '/' + params.ChangeSetName] = {
+                params: params,
+                changes: (world.changes ? world.changes(params.StackName) : []).map(c => ({ ResourceChange: c }))
+            };
+            return { Id: params.ChangeSetName };
+        },
+        describeChangeSet: params => {
+            let changeSet = findChangeSet(params);
+            return changeSet.changes.length === 0 ?
+                { Status: 'FAILED', StatusReason: NO_CHANGES_REASON, Changes: [] } :
+                { Status: 'CREATE_COMPLETE', Changes: changeSet.changes };
+        },
+        executeChangeSet: params => {
+            let changeSet = findChangeSet(params);
+            let stack = find(params.StackName);
+            delete world.changeSets[params.StackName + '/' + params.ChangeSetName];
+            Object.assign(stack, {
+                status: 'UPDATE_IN_PROGRESS',
+                template: changeSet.params.TemplateBody,
+                parameters: changeSet.params.Parameters.map(p => p.UsePreviousValue ? stack.parameters.find(q => q.ParameterKey === p.ParameterKey) : p)
+            });
+            return {};
+        },
+        deleteChangeSet: params => {
+            findChangeSet(params);
+            delete world.changeSets[params.StackName + '/' + params.ChangeSetName];
+            return {};
+        },
+        createStack: params => {
+            stacks[params.StackName] = { region: region, status: 'CREATE_IN_PROGRESS', template: params.TemplateBody, parameters: params.Parameters };
+            return { StackId: params.StackName };
+        },
+        updateStack: params => {
+            Object.assign(find(params.StackName), { status: 'UPDATE_IN_PROGRESS', template: params.TemplateBody, parameters: params.Parameters });
+            return { StackId: params.StackName };
+        },
+        deleteStack: params => {
+            delete stacks[params.StackName];
+            return {};
+        },
+        describeStacks: params => {
+            let stack = find(params.StackName);
+            let outputs = outputsOf(params.StackName);
+            return { Stacks: [{
+                StackName: params.StackName,
+                StackStatus: stack.status,
+                Parameters: stack.parameters,
+                // A failed stack has no outputs
+                Outputs: /FAILED|ROLLBACK/.test(stack.status) ? [] : Object.keys(outputs).map(k => ({ OutputKey: k, OutputValue: outputs[k] }))
+            }] };
+        },
+        listStackResources: params => {
+            find(params.StackName);
+            return { StackResourceSummaries: [] };
+        },
+        waitFor: (waiter, params) => {
+            if (waiter === 'changeSetCreateComplete'){
+                if (findChangeSet(params).changes.length === 0){
+                    throw new Error('Resource is not in the state changeSetCreateComplete');
+                }
+                return {};
+            }
+            if (world.fail && world.fail(waiter, params.StackName)){
+                if (stacks[params.StackName]){
+                    stacks[params.StackName].status = waiter === 'stackCreateComplete' ? 'ROLLBACK_COMPLETE' : 'UPDATE_ROLLBACK_COMPLETE';
+                }
+                throw new Error('Resource is not in the state ' + waiter);
+            }
+            if (waiter === 'stackCreateComplete'){
+                find(params.StackName).status = 'CREATE_COMPLETE';
+            }
+            else if (waiter === 'stackUpdateComplete'){
+                find(params.StackName).status = 'UPDATE_COMPLETE';
+            }
+            return {};
+        }
+    });
+}
+
+/**
+ * Mock of S3 with the objects in memory.
+ * @param {String} region
+ * @param {Object} world: { calls, objects }
+ * @returns Object
+ */
+function mockS3(region, world){
+    const objects = world.objects;
+    return mockClient(world.calls, 's3:' + region, {
+        putObject: params => {
+            objects[params.Bucket + '/' + params.Key] = params.Body;
+            return {};
+        },
+        getObject: params => {
+            let body = objects[params.Bucket + '/' + params.Key];
+            if (!body){
+                let e = new Error('The specified key does not exist.');
+                e.code = 'NoSuchKey';
+                throw e;
+            }
+            return { Body: body };
+        },
+        listObjectsV2: params => ({
+            Contents: Object.keys(objects).filter(k => k.startsWith(params.Bucket + '/')).map(k => ({ Key: k.substring(params.Bucket.length + 1) }))
+        }),
+        deleteObjects: params => {
+            params.Delete.Objects.map(o => delete objects[params.Bucket + '/' + o.Key]);
+            return {};
+        }
+    });
+}
+
+/**
+ * Create the mocked clients of a deployment, see createClients in index.js.
+ * @param {Object} world: { calls, stacks, objects, outputs, fail }
+ * @returns Object
+ */
+function mockClients(world){
+    let regions = {};
+    const forRegion = region => {
+        regions[region] = regions[region] || { cloudformation: mockCloudFormation(region, world), s3: mockS3(region, world) };
+        return regions[region];
+    };
+    const edge = forRegion('us-east-1');
+
+    return {
+        cloudformation: edge.cloudformation,
+        s3: edge.s3,
+        cloudfront: mockClient(world.calls, 'cloudfront', {}),
+        lambda: mockClient(world.calls, 'lambda', {}),
+        sts: mockClient(world.calls, 'sts', {
+            getCallerIdentity: () => ({ Arn: 'arn:aws:iam::123456789012:user/deployer' })
+        }),
+        iam: mockClient(world.calls, 'iam', {
+            simulatePrincipalPolicy: params => ({
+                EvaluationResults: params.ActionNames.map(a => ({ EvalActionName: a, EvalDecision: 'allowed' })),
+                IsTruncated: false
+            })
+        }),
+        forRegion: forRegion
+    };
+}
+
+/**
+ * Run a function with the console output captured.
+ * @param {Function} fn: async
+ * @returns { lines: String[], error: Error }
+ */
+async function captureLog(fn){
+    const log = console.log;
+    let lines = [];
+    let error = null;
+    console.log = (...values) => lines.push(values.map(v => v instanceof Error ? v.message : String(v)).join(' '));
+    try {
+        await fn();
+    }
+    catch (e){
+        error = e;
+    }
+    finally {
+        console.log = log;
+    }
+    return { lines, error };
+}
+
+/**
+ * Serve the JWKS of the user pool on a local port.
+ * @returns { url, close }
+ */
+async function serveJwks(){
+    let { publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    let jwks = { keys: [Object.assign({ kid: 'local', alg: 'RS256', use: 'sig' }, publicKey.export({ format: 'jwk' }))] };
+    let server = http.createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(jwks));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: 'http://127.0.0.1:' + server.address().port + '/.well-known/jwks.json',
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+/**
+ * Create the state of the mocked account.
+ * @param {String} jwksUrl
+ * @param {Function} fail: (waiter, stackName) => Boolean (optional)
+ * @returns Object
+ */
+function createWorld(jwksUrl, fail){
+    return { calls: [], stacks: {}, changeSets: {}, objects: {}, outputs: getStackOutputs(jwksUrl), fail: fail };
+}
+
+/**
+ * Deploy with the mocked clients, for the update tests.
+ * @param {String} name: deployment name
+ * @returns { world, clients, manifest }
+ */
+async function deploy(name){
+    let world = createWorld(jwksServer.url);
+    let clients = mockClients(world);
+    let { lines } = await captureLog(() => main(name, {}, 'staging', clients));
+    assert.strictEqual(process.exitCode, undefined, lines.join('\n'));
+    world.calls.length = 0;
+    return { world, clients, manifest: loadManifest(name) };
+}
+
+let jwksServer = null;
+
+test.before(async () => {
+    jwksServer = await serveJwks();
+});
+
+test.after(async () => {
+    await jwksServer.close();
+    fs.rmSync(DEPLOYMENTS_DIR, { recursive: true, force: true });
+});
+
+test.afterEach(() => {
+    process.exitCode = undefined;
+});
+
+test('a deployment whose origin stack fails is rolled back', async () => {
+    let world = createWorld(jwksServer.url, (waiter, name) => waiter === 'stackCreateComplete' && name.startsWith('paywalldemo-origin-stack-'));
+    let clients = mockClients(world);
+
+    let { lines } = await captureLog(() => main('origin-fails', {}, 'staging', clients));
+
+    assert.strictEqual(process.exitCode, 1);
+    assert.deepStrictEqual(world.stacks, {});
+    let deleted = world.calls.filter(c => c.method === 'deleteStack').map(c => c.client + ' ' + c.params.StackName.replace(/\d+$/, ''));
+    assert.deepStrictEqual(deleted, ['cloudformation:us-west-2 paywalldemo-origin-stack-', 'cloudformation:us-east-1 paywalldemo-userpool-stack-']);
+    assert.ok(lines.includes('Nothing was left behind.'), lines.join('\n'));
+    // The distribution was never created
+    assert.ok(!world.calls.some(c => c.params && String(c.params.StackName).startsWith('paywalldemo-cfdistribution-stack-')));
+    assert.strictEqual(manifestExists('origin-fails'), false);
+    assert.deepStrictEqual(fs.existsSync(STATE_DIR) ? fs.readdirSync(STATE_DIR) : [], []);
+});
+
+test('a deployment whose distribution stack fails is rolled back, including the uploaded functions', async () => {
+    let world = createWorld(jwksServer.url, (waiter, name) => waiter === 'stackCreateComplete' && name.startsWith('paywalldemo-cfdistribution-stack-'));
+    let clients = mockClients(world);
+
+    let { lines } = await captureLog(() => main('distribution-fails', {}, 'staging', clients));
+
+    assert.strictEqual(process.exitCode, 1);
+    assert.deepStrictEqual(world.stacks, {});
+    assert.deepStrictEqual(world.objects, {}, 'the artifact buckets are emptied before their stacks are deleted');
+    let deleted = world.calls.filter(c => c.method === 'deleteStack').map(c => c.params.StackName.replace(/\d+$/, ''));
+    assert.deepStrictEqual(deleted, ['paywalldemo-cfdistribution-stack-', 'paywalldemo-origin-stack-', 'paywalldemo-userpool-stack-']);
+    assert.ok(lines.includes('Nothing was left behind.'), lines.join('\n'));
+    assert.strictEqual(manifestExists('distribution-fails'), false);
+});
+
+test('a deployment that succeeds writes its manifest and is not rolled back', async () => {
+    let world = createWorld(jwksServer.url);
+    let clients = mockClients(world);
+
+    let { lines } = await captureLog(() => main('succeeds', {}, 'staging', clients));
+
+    assert.strictEqual(process.exitCode, undefined, lines.join('\n'));
+    assert.strictEqual(Object.keys(world.stacks).length, 3);
+    assert.ok(!world.calls.some(c => c.method === 'deleteStack'));
+    assert.strictEqual(manifestExists('succeeds'), true);
+});
+
+test('a change set without changes is deleted and reported as empty', async () => {
+    let world = createWorld(jwksServer.url);
+    let cloudformation = mockCloudFormation('us-east-1', world);
+    world.stacks['paywalldemo-userpool-stack-1'] = { status: 'CREATE_COMPLETE', template: 'template', parameters: [] };
+
+    let changeSet = await createChangeSet(cloudformation, { StackName: 'paywalldemo-userpool-stack-1', ChangeSetName: 'update-1', TemplateBody: 'template' });
+
+    assert.deepStrictEqual(changeSet, { stackName: 'paywalldemo-userpool-stack-1', name: 'update-1', changes: [], empty: true, exists: false });
+    assert.deepStrictEqual(world.changeSets, {});
+    assert.ok(world.calls.some(c => c.method === 'deleteChangeSet'));
+});
+
+test('a change set that fails for another reason is an error', async () => {
+    let world = createWorld(jwksServer.url);
+    let cloudformation = mockCloudFormation('us-east-1', world);
+    world.stacks['paywalldemo-userpool-stack-1'] = { status: 'CREATE_COMPLETE', template: 'template', parameters: [] };
+    cloudformation.describeChangeSet = () => ({ promise: async () => ({ Status: 'FAILED', StatusReason: 'Template format error' }) });
+
+    await assert.rejects(createChangeSet(cloudformation, { StackName: 'paywalldemo-userpool-stack-1', ChangeSetName: 'update-1', TemplateBody: 'template' }),
+        /Change set for paywalldemo-userpool-stack-1 failed: Template format error/);
+});
+
+test('an update without changes leaves the stacks alone', async () => {
+    let { world, clients, manifest } = await deploy('no-changes');
+    let before = JSON.parse(JSON.stringify(world.stacks));
+
+    let { lines, error } = await captureLog(() => update('no-changes', false, false, {}, clients));
+
+    assert.strictEqual(error, null, lines.join('\n'));
+    assert.ok(lines.includes('The deployment is up to date.'), lines.join('\n'));
+    assert.strictEqual(world.calls.filter(c => c.method === 'createChangeSet').length, 3);
+    assert.ok(!world.calls.some(c => c.method === 'executeChangeSet' || c.method === 'updateStack'));
+    assert.deepStrictEqual(world.changeSets, {});
+    assert.deepStrictEqual(world.stacks, before);
+    assert.strictEqual(loadManifest('no-changes').distributionStack, manifest.distributionStack);
+});
+
+test('a failed update restores the stacks that were updated before it', async () => {
+    let { world, clients, manifest } = await deploy('update-fails');
+    let userPool = JSON.parse(JSON.stringify(world.stacks[manifest.userPoolStack]));
+    world.changes = name => name === manifest.originStack ? [] : [{ Action: 'Modify', LogicalResourceId: 'Resource', ResourceType: 'AWS::CloudFormation::WaitConditionHandle', Details: [] }];
+    world.fail = (waiter, name) => waiter === 'stackUpdateComplete' && name === manifest.distributionStack;
+
+    let { lines, error } = await captureLog(() => update('update-fails', false, false, {}, clients));
+
+    assert.match(error.message, /Update of paywalldemo-cfdistribution-stack-\d+ failed \(stack status UPDATE_ROLLBACK_COMPLETE\)/);
+    let executed = world.calls.filter(c => c.method === 'executeChangeSet').map(c => c.params.StackName);
+    assert.deepStrictEqual(executed, [manifest.userPoolStack, manifest.distributionStack]);
+    // The user pool stack gets its previous template and parameters back
+    let restored = world.calls.filter(c => c.method === 'updateStack').map(c => c.params);
+    assert.deepStrictEqual(restored.map(p => p.StackName), [manifest.userPoolStack]);
+    assert.strictEqual(restored[0].TemplateBody, userPool.template);
+    assert.deepStrictEqual(restored[0].Parameters, userPool.parameters);
+    assert.strictEqual(world.stacks[manifest.userPoolStack].status, 'UPDATE_COMPLETE');
+    assert.deepStrictEqual(world.changeSets, {});
+    assert.ok(lines.includes('The deployment was left as it was before the update.'), lines.join('\n'));
+});
+
+test('a failed update restores the other stacks when one of them cannot be restored', async () => {
+    let { world, clients, manifest } = await deploy('restore-fails');
+    let userPool = JSON.parse(JSON.stringify(world.stacks[manifest.userPoolStack]));
+    world.changes = () => [{ Action: 'Modify', LogicalResourceId: 'Resource', ResourceType: 'AWS::CloudFormation::WaitConditionHandle', Details: [] }];
+    // The origin stack is updated, but cannot be restored afterwards
+    let originUpdates = 0;
+    world.fail = (waiter, name) => waiter === 'stackUpdateComplete' &&
+        (name === manifest.distributionStack || (name === manifest.originStack && ++originUpdates === 2));
+
+    let { lines, error } = await captureLog(() => update('restore-fails', false, false, {}, clients));
+
+    assert.match(error.message, /^Update of paywalldemo-cfdistribution-stack-\d+ failed \(stack status UPDATE_ROLLBACK_COMPLETE\)/);
+    assert.match(error.message, /\(could not restore paywalldemo-origin-stack-\d+: Resource is not in the state stackUpdateComplete\)$/);
+    let restored = world.calls.filter(c => c.method === 'updateStack').map(c => c.params.StackName);
+    assert.deepStrictEqual(restored, [manifest.originStack, manifest.userPoolStack]);
+    assert.strictEqual(world.stacks[manifest.userPoolStack].template, userPool.template);
+    assert.strictEqual(world.stacks[manifest.userPoolStack].status, 'UPDATE_COMPLETE');
+    assert.ok(!lines.includes('The deployment was left as it was before the update.'), lines.join('\n'));
+});
@@ -0,0 +1,36 @@
+'use strict';
+// © 2022 Amazon Web Services, Inc. or its affiliates. All Rights Reserved.
+// This work is licensed under a MIT-0 License.
+
+// Runs the fixtures of the local harness (see local/harness.js), each folder
+// with the configuration it was written for.
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const LOCAL = path.join(__dirname, '..', 'local');
+
+const SUITES = [
+    { fixtures: 'fixtures' },
+    { fixtures: 'fixtures/tokens' },
+    { fixtures: 'fixtures/claims', config: 'configs/claims.json' },
+    { fixtures: 'fixtures/algorithms', config: 'configs/algorithms.json' },
+    { fixtures: 'fixtures/entitlements', config: 'configs/entitlements.json' },
+    { fixtures: 'fixtures/metered', config: 'configs/metered.json' },
+    { fixtures: 'fixtures/paywall', config: 'configs/paywall.json' },
+    { fixtures: 'fixtures/rules', config: 'configs/rules.json' },
+    { fixtures: 'fixtures/limits', config: 'configs/limits.json' },
+    { fixtures: 'fixtures/origin', config: 'configs/origin.json' },
+    { fixtures: 'fixtures/revocation', config: 'configs/revocation.json' }
+];
+
+SUITES.map(suite => {
+    test('harness ' + suite.fixtures, () => {
+        let args = [path.join(LOCAL, 'harness.js')]
+            .concat(suite.config ? ['--config', path.join(LOCAL, suite.config)] : [])
+            .concat([path.join(LOCAL, suite.fixtures)]);
+        let run = spawnSync(process.execPath, args, { encoding: 'utf8', timeout: 60000 });
+        assert.strictEqual(run.status, 0, run.stdout + run.stderr);
+    });
+});
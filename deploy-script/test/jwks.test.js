@@ -0,0 +1,120 @@
+'use strict';
+// © 2022 Amazon Web Services, Inc. or its affiliates. All Rights Reserved.
+// This work is licensed under a MIT-0 License.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { createKeyStore } = require('../edge-function/jwks');
+
+/**
+ * Create an RSA key pair and its public key as a JWK.
+ * @param {String} kid
+ * @returns { jwk, pem }
+ */
+function createKey(kid){
+    let { publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    return {
+        jwk: Object.assign({ kid: kid, alg: 'RS256', use: 'sig' }, publicKey.export({ format: 'jwk' })),
+        pem: publicKey.export({ type: 'spki', format: 'pem' })
+    };
+}
+
+/**
+ * Replace fetchJwks with a function that serves the JWKS documents in turn
+ * (or throws the errors in the list) and counts the calls.
+ * @param {Object[]} responses: JWKS documents or errors
+ * @returns Function, with a calls property
+ */
+function createFetch(responses){
+    let fetch = async () => {
+        let response = responses[Math.min(fetch.calls++, responses.length - 1)];
+        if (response instanceof Error){
+            throw response;
+        }
+        return response;
+    };
+    fetch.calls = 0;
+    return fetch;
+}
+
+const KEY_1 = createKey('key-1');
+const KEY_2 = createKey('key-2');
+
+test('an unknown kid triggers a refetch of the JWKS', async () => {
+    let fetch = createFetch([{ keys: [KEY_1.jwk] }, { keys: [KEY_1.jwk, KEY_2.jwk] }]);
+    let store = createKeyStore({ jwksUrl: 'https://idp.example/jwks', minRefreshSeconds: 0, fetch: fetch });
+
+    assert.ok(await store.getKey('key-1'));
+    assert.strictEqual(fetch.calls, 1);
+
+    // The cache is still valid for key-1
+    assert.ok(await store.getKey('key-1'));
+    assert.strictEqual(fetch.calls, 1);
+
+    // key-2 was added by a rotation after the cache was filled
+    let key = await store.getKey('key-2');
+    assert.strictEqual(fetch.calls, 2);
+    assert.strictEqual(key.alg, 'RS256');
+    assert.strictEqual(key.type, 'rsa');
+});
+
+test('minRefresh throttles the refetches for unknown kids', async () => {
+    let fetch = createFetch([{ keys: [KEY_1.jwk] }]);
+    let store = createKeyStore({ jwksUrl: 'https://idp.example/jwks', minRefreshSeconds: 60, fetch: fetch });
+
+    assert.ok(await store.getKey('key-1'));
+    assert.strictEqual(await store.getKey('made-up-1'), null);
+    assert.strictEqual(await store.getKey('made-up-2'), null);
+    assert.strictEqual(fetch.calls, 1);
+});
+
+test('a failed fetch falls back to the baked-in keys', async () => {
+    let fetch = createFetch([new Error('Request for https://idp.example/jwks returned status 503')]);
+    let store = createKeyStore({
+        jwksUrl: 'https://idp.example/jwks',
+        fallbackKeys: { 'key-1': { pem: KEY_1.pem, alg: 'RS256' } },
+        fetch: fetch
+    });
+
+    let errors = [];
+    let key = await store.getKey('key-1', errors);
+    assert.strictEqual(fetch.calls, 1);
+    assert.strictEqual(key.pem, KEY_1.pem);
+    assert.strictEqual(key.alg, 'RS256');
+    assert.deepStrictEqual(errors, ['Could not load JWKS: Request for https://idp.example/jwks returned status 503']);
+    assert.strictEqual(await store.getKey('key-2'), null);
+});
+
+test('unusable keys are reported to the requests that use them, without the key', async () => {
+    // A point that is not on the curve
+    let point = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' }).publicKey.export({ format: 'jwk' });
+    let broken = { kid: 'key-2', use: 'sig', kty: 'EC', crv: 'P-256', x: point.x, y: point.x };
+    let fetch = createFetch([{ keys: [KEY_1.jwk, broken] }]);
+    let store = createKeyStore({
+        jwksUrl: 'https://idp.example/jwks',
+        fallbackKeys: { 'key-3': 'not a pem' },
+        fetch: fetch
+    });
+
+    let errors = [];
+    assert.ok(await store.getKey('key-1', errors));
+    assert.deepStrictEqual(errors, []);
+
+    assert.strictEqual(await store.getKey('key-2', errors), null);
+    assert.strictEqual(await store.getKey('key-3', errors), null);
+    assert.strictEqual(errors.length, 2);
+    assert.ok(errors[0].startsWith('Unusable key key-2: '));
+    assert.ok(errors[1].startsWith('Unusable fallback key key-3: '));
+    assert.ok(!errors.some(e => e.includes(point.x) || e.includes('not a pem')));
+});
+
+test('a failed refresh keeps the keys of the previous fetch', async () => {
+    let fetch = createFetch([{ keys: [KEY_1.jwk] }, new Error('Request for https://idp.example/jwks timed out')]);
+    let store = createKeyStore({ jwksUrl: 'https://idp.example/jwks', minRefreshSeconds: 0, fetch: fetch });
+
+    assert.ok(await store.getKey('key-1'));
+    assert.strictEqual(await store.getKey('key-2'), null);
+    assert.strictEqual(fetch.calls, 2);
+    assert.ok(await store.getKey('key-1'));
+});
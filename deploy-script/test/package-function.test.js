@@ -0,0 +1,34 @@
+'use strict';
+// © 2022 Amazon Web Services, Inc. or its affiliates. All Rights Reserved.
+// This work is licensed under a MIT-0 License.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+// Packages the origin function and prints the hash of the zip file
+const HASH_SCRIPT = "const crypto = require('crypto');" +
+    "const { packageFunction } = require('./package-function');" +
+    "let zip = packageFunction('./origin-function', { demo: true });" +
+    "console.log(crypto.createHash('sha256').update(zip).digest('hex'));";
+
+/**
+ * Hash the package of the origin function in a process with another timezone.
+ * @param {String} tz
+ * @returns String
+ */
+function packageHash(tz){
+    let result = spawnSync(process.execPath, ['-e', HASH_SCRIPT], {
+        cwd: path.join(__dirname, '..'),
+        env: Object.assign({}, process.env, { TZ: tz }),
+        encoding: 'utf8'
+    });
+    assert.strictEqual(result.status, 0, result.stderr);
+    return result.stdout.trim();
+}
+
+test('the same sources produce the same package in every timezone', () => {
+    let hashes = ['UTC', 'America/New_York', 'Asia/Kolkata', 'Pacific/Kiritimati'].map(packageHash);
+    assert.strictEqual(new Set(hashes).size, 1, hashes.join(', '));
+});
@@ -0,0 +1,136 @@
+'use strict';
+// © 2022 Amazon Web Services, Inc. or its affiliates. All Rights Reserved.
+// This work is licensed under a MIT-0 License.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { MAX_ID_TOKEN_LIFETIME_SECONDS, addEntry, createS3Store, emptyList, isRevoked } = require('../edge-function/revocation');
+
+/**
+ * Create an AWS SDK style error.
+ * @param {String} code
+ * @returns Error
+ */
+function awsError(code){
+    let e = new Error(code);
+    e.code = code;
+    return e;
+}
+
+/**
+ * Mock of the S3 client with one object. putObject honours the If-Match and
+ * If-None-Match headers added to the request, like S3. Another writer replaces
+ * the object just before each of the first options.conflicts writes.
+ * @param {Object} options: { conflicts: Number, other: Function (list => list) }
+ * @returns Object: the client, with the object and the number of writes
+ */
+function createS3(options = {}){
+    let s3 = { object: null, version: 0, writes: 0 };
+    let conflicts = options.conflicts || 0;
+
+    function store(body){
+        s3.version++;
+        s3.object = { Body: Buffer.from(body), ETag: '"etag-' + s3.version + '"' };
+    }
+
+    s3.getObject = () => ({
+        promise: async () => {
+            if (!s3.object){
+                throw awsError('NoSuchKey');
+            }
+            return s3.object;
+        }
+    });
+
+    s3.putObject = (params) => {
+        let request = { httpRequest: { headers: {} }, listeners: [] };
+        request.on = (event, fn) => {
+            if (event === 'build'){
+                request.listeners.push(fn);
+            }
+            return request;
+        };
+        request.promise = async () => {
+            request.listeners.map(fn => fn());
+            if (conflicts > 0){
+                conflicts--;
+                let current = s3.object ? JSON.parse(s3.object.Body.toString()) : emptyList();
+                store(JSON.stringify(options.other(current)));
+            }
+            let headers = request.httpRequest.headers;
+            if ((headers['If-Match'] && (!s3.object || headers['If-Match'] !== s3.object.ETag)) ||
+                (headers['If-None-Match'] === '*' && s3.object)){
+                throw awsError('PreconditionFailed');
+            }
+            s3.writes++;
+            store(params.Body);
+            return {};
+        };
+        return request;
+    };
+
+    return s3;
+}
+
+const NOW = 1760000000;
+
+test('entries are dropped once the tokens they refuse have expired', () => {
+    let list = addEntry(emptyList(), 'jti', 'token-1', NOW, NOW, NOW + 3600);
+    list = addEntry(list, 'sub', 'user-1', NOW, NOW);
+
+    assert.deepStrictEqual(list.jti['token-1'], { revokedAfter: NOW, expires: NOW + 3600 });
+    assert.deepStrictEqual(list.sub['user-1'], { revokedAfter: NOW, expires: NOW + MAX_ID_TOKEN_LIFETIME_SECONDS });
+
+    // token-1 has expired, user-1 may still have valid tokens
+    list = addEntry(list, 'jti', 'token-2', NOW + 7200, NOW + 7200, NOW + 9000);
+    assert.deepStrictEqual(Object.keys(list.jti), ['token-2']);
+    assert.deepStrictEqual(Object.keys(list.sub), ['user-1']);
+});
+
+test('entries without an expiry are kept for the longest lifetime of an ID Token', () => {
+    let list = { sub: { 'user-1': NOW }, jti: {} };
+
+    assert.ok(isRevoked(list, { sub: 'user-1', iat: NOW }));
+    assert.ok(!isRevoked(list, { sub: 'user-1', iat: NOW + 1 }));
+
+    assert.ok(addEntry(list, 'jti', 'token-1', NOW, NOW + MAX_ID_TOKEN_LIFETIME_SECONDS).sub['user-1']);
+    assert.ok(!addEntry(list, 'jti', 'token-1', NOW, NOW + MAX_ID_TOKEN_LIFETIME_SECONDS + 1).sub['user-1']);
+});
+
+test('a second entry for the same value keeps the latest times', () => {
+    let list = addEntry(emptyList(), 'sub', 'user-1', NOW, NOW, NOW + 7200);
+    list = addEntry(list, 'sub', 'user-1', NOW - 60, NOW, NOW + 3600);
+
+    assert.deepStrictEqual(list.sub['user-1'], { revokedAfter: NOW, expires: NOW + 7200 });
+});
+
+test('the S3 store only creates the object if it does not exist yet', async () => {
+    let s3 = createS3();
+    let store = createS3Store({ bucket: 'bucket', key: 'deny-list.json', s3: s3 });
+
+    await store.update(list => addEntry(list, 'jti', 'token-1', NOW, NOW));
+
+    assert.strictEqual(s3.writes, 1);
+    assert.ok((await store.load()).jti['token-1']);
+});
+
+test('the S3 store applies the change again when another writer changed the list', async () => {
+    let others = 0;
+    let s3 = createS3({ conflicts: 2, other: list => addEntry(list, 'sub', 'user-' + ++others, NOW, NOW) });
+    let store = createS3Store({ bucket: 'bucket', key: 'deny-list.json', s3: s3 });
+
+    await store.update(list => addEntry(list, 'jti', 'token-1', NOW, NOW));
+
+    let list = await store.load();
+    assert.ok(list.jti['token-1']);
+    // The entries of the other writer are kept
+    assert.strictEqual(Object.keys(list.sub).length, 2);
+});
+
+test('the S3 store gives up after repeated conflicts', async () => {
+    let s3 = createS3({ conflicts: 10, other: list => list });
+    let store = createS3Store({ bucket: 'bucket', key: 'deny-list.json', s3: s3 });
+
+    await assert.rejects(store.update(list => addEntry(list, 'jti', 'token-1', NOW, NOW)), /PreconditionFailed/);
+    assert.strictEqual(s3.writes, 0);
+});
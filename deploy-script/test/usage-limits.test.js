@@ -0,0 +1,111 @@
+'use strict';
+// © 2022 Amazon Web Services, Inc. or its affiliates. All Rights Reserved.
+// This work is licensed under a MIT-0 License.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDynamoDbCounterStore } = require('../edge-function/usage-limits');
+
+/**
+ * Mock of the DynamoDB DocumentClient with the ADD semantics of the counter
+ * table. Every call is counted, so that the tests can check when the table is used.
+ * @param {Object} options: { fail: Boolean } makes every call fail
+ * @returns Object: the client, with its items and the number of calls
+ */
+function createDocumentClient(options = {}){
+    let db = { items: new Map(), calls: 0, fail: !!options.fail };
+
+    function call(fn){
+        return {
+            promise: async () => {
+                db.calls++;
+                if (db.fail){
+                    throw new Error('Connection timed out');
+                }
+                return fn();
+            }
+        };
+    }
+
+    db.createSet = (values) => ({ values: values });
+
+    db.update = (params) => call(() => {
+        let id = params.Key.pk + '|' + params.Key.bucket;
+        let item = db.items.get(id) || { pk: params.Key.pk, bucket: params.Key.bucket };
+        let value = params.ExpressionAttributeValues[':value'];
+        if (params.UpdateExpression.startsWith('ADD hits')){
+            item.hits = (item.hits || 0) + value;
+        }
+        else {
+            item.members = { values: [...new Set((item.members ? item.members.values : []).concat(value.values))] };
+        }
+        db.items.set(id, item);
+        return {};
+    });
+
+    db.query = (params) => call(() => ({
+        Items: [...db.items.values()].filter(item => item.pk === params.ExpressionAttributeValues[':pk'] &&
+            item.bucket > params.ExpressionAttributeValues[':from'])
+    }));
+
+    return db;
+}
+
+const NOW = 1760000000;
+
+test('the DynamoDB store counts locally between updates of the table', async () => {
+    let db = createDocumentClient();
+    let store = createDynamoDbCounterStore({ table: 'usage', documentClient: db, syncSeconds: 10 });
+
+    assert.strictEqual(await store.count('reads#user-1', 3600, NOW), 1);
+    assert.strictEqual(db.calls, 2);
+
+    assert.strictEqual(await store.count('reads#user-1', 3600, NOW + 1), 2);
+    assert.strictEqual(await store.count('reads#user-1', 3600, NOW + 9), 3);
+    assert.strictEqual(db.calls, 2);
+
+    // The reads counted locally are added with the next update
+    assert.strictEqual(await store.count('reads#user-1', 3600, NOW + 10), 4);
+    assert.strictEqual(db.calls, 4);
+});
+
+test('the DynamoDB store reads the counts of the other instances when it updates the table', async () => {
+    let db = createDocumentClient();
+    let first = createDynamoDbCounterStore({ table: 'usage', documentClient: db, syncSeconds: 10 });
+    let second = createDynamoDbCounterStore({ table: 'usage', documentClient: db, syncSeconds: 10 });
+
+    await first.count('reads#user-1', 3600, NOW);
+    await second.count('reads#user-1', 3600, NOW);
+    await second.count('reads#user-1', 3600, NOW + 1);
+
+    assert.strictEqual(await first.count('reads#user-1', 3600, NOW + 5), 2);
+    // The second read of the other instance is still only counted there
+    assert.strictEqual(await first.count('reads#user-1', 3600, NOW + 10), 4);
+
+    assert.strictEqual(await first.distinct('fingerprints#user-1', 'a', 3600, NOW), 1);
+    assert.strictEqual(await second.distinct('fingerprints#user-1', 'b', 3600, NOW), 2);
+    assert.strictEqual(await first.distinct('fingerprints#user-1', 'c', 3600, NOW + 5), 2);
+    assert.strictEqual(await first.distinct('fingerprints#user-1', 'a', 3600, NOW + 10), 3);
+});
+
+test('the DynamoDB store uses the table on every request with syncSeconds 0', async () => {
+    let db = createDocumentClient();
+    let store = createDynamoDbCounterStore({ table: 'usage', documentClient: db, syncSeconds: 0 });
+
+    await store.count('reads#user-1', 3600, NOW);
+    await store.count('reads#user-1', 3600, NOW);
+
+    assert.strictEqual(db.calls, 4);
+});
+
+test('the DynamoDB store waits for the next interval after a failed update and keeps the reads it counted', async () => {
+    let db = createDocumentClient({ fail: true });
+    let store = createDynamoDbCounterStore({ table: 'usage', documentClient: db, syncSeconds: 10 });
+
+    await assert.rejects(store.count('reads#user-1', 3600, NOW), /timed out/);
+    assert.strictEqual(await store.count('reads#user-1', 3600, NOW + 1), 2);
+    assert.strictEqual(db.calls, 1);
+
+    db.fail = false;
+    assert.strictEqual(await store.count('reads#user-1', 3600, NOW + 10), 3);
+});
@@ -3,34 +3,110 @@
 // This work is licensed under a MIT-0 License.
 
 /**
- * Script has two modes:
+ * Script has these modes:
  * - create: Creates a user and returns an ID Token
- *           Parameters: username password subscriptions stackname1 stackname2
- *           Note: set subscriptions to either A or B or A,B; list the two stacknames from the CloudFormation management console
+ *           Parameters: username password subscriptions [stackname1 stackname2] [--deployment name] [--region region]
+ *           Note: set subscriptions to a comma separated list of codes from the product catalog
+ *                 (deploy-script/products.json), such as A, B, A,B or ALL. The stacks are read from
+ *                 the manifest written by the deploy script (deployment 'default' unless --deployment
+ *                 is specified); the stacknames can be listed instead, in any order. The region
+ *                 of the user pool comes from the manifest (us-east-1 when stack names are
+ *                 listed); --region replaces it.
  *           Invocation Examples:
- *            node index.js create foo bar A,B paywalldemo-userpool-stack-1664564158223 paywalldemo-userpool-stack-1664564106999
- *            node index.js create foo bar A paywalldemo-userpool-stack-1664564158223 paywalldemo-userpool-stack-1664564106999
- *            node index.js create foo bar B paywalldemo-userpool-stack-1664564158223 paywalldemo-userpool-stack-1664564106999
+ *            node index.js create foo bar A,B
+ *            node index.js create foo bar A --deployment staging
+ *            node index.js create foo bar B paywalldemo-userpool-stack-1664564158223 paywalldemo-cfdistribution-stack-1664564158223
+ *           Note: fails if the user already exists; use login, or the commands below to manage the user.
  * 
  * - login: Returns ID Token for an existing user.
- *          Parameters: username password stackname1 stackname2
+ *          Parameters: username password [stackname1 stackname2] [--deployment name]
  *          Invation Example:
- *          node index.js login foo bar paywalldemo-userpool-stack-1664564158223 paywalldemo-userpool-stack-1664564106999
+ *          node index.js login foo bar
+ *          node index.js login foo bar paywalldemo-userpool-stack-1664564158223 paywalldemo-cfdistribution-stack-1664564158223
+ *
+ * - User management. Like create and login, these take optional stack names after the parameters,
+ *   --deployment name, --region region, and --json to print the result as JSON.
+ *   - list:                      Lists the users with their status and subscriptions
+ *   - grant username code:       Adds a subscription code to the user. With --duration 30d
+ *                                (s, m, h, d or w) it expires after that time, and with --trial
+ *                                as well it is a trial, which gets no grace period
+ *   - revoke username code:      Removes a subscription code from the user
+ *   - set-subs username codes:   Replaces the subscriptions (comma separated codes, or "" for none)
+ *   - disable username / enable username / delete username
+ *   - sign-out username:         Signs the user out of all devices (revokes refresh tokens;
+ *                                ID Tokens already issued stay valid until they expire, unless
+ *                                the user is put on the deny list with deny-user)
+ *   - bulk-import file.csv:      Creates the users listed in a CSV file with the columns
+ *                                username,password,subscriptions (quote lists such as "A,B").
+ *                                Every row is attempted and the result of each row is printed.
+ *   Invocation Examples:
+ *    node index.js list --json
+ *    node index.js grant foo B
+ *    node index.js grant foo B --duration 7d --trial
+ *    node index.js set-subs foo A,B --deployment staging
+ *    node index.js bulk-import users.csv
+ *
+ * - Deny list of revoked tokens. The edge function refuses the tokens on the list, which is kept
+ *   in the artifact bucket of the deployment (or in a local file with --local or --deny-list file).
+ *   - deny-user username:        Refuses the tokens of the user issued up to now, or up to
+ *                                --after time (ISO 8601); with --local, the user of the local issuer
+ *   - deny-sub sub:              The same for the sub claim of a user of another provider
+ *   - deny-token jti:            Refuses one token, by its jti claim. To take the jti and exp claims
+ *                                from the token itself, pass --token-file file, or --token-file -
+ *                                to read it from standard input; a token is never taken as an
+ *                                argument, so that it does not end up in the shell history
+ *   Each entry is dropped from the list once the tokens it refuses have expired: after the exp
+ *   claim of the token read by deny-token, after the ID Token lifetime of the user pool client
+ *   for deny-user, and otherwise a day (the longest lifetime of a Cognito ID Token) after the
+ *   entry. --expires time (ISO 8601) sets another time.
+ *   Invocation Examples:
+ *    node index.js deny-user foo
+ *    node index.js deny-token --token-file token.txt --deployment staging
+ *    pbpaste | node index.js deny-token --token-file -
+ *    node index.js deny-token 0b2c1f7e-0c8e-4a55-9d1c-2f1a4c1f0e6d --expires 2026-10-20T12:00:00Z
+ *    node index.js deny-user foo --local
+ *
+ * - mint: Issues an ID Token with a local key pair instead of Cognito, for offline testing.
+ *         Options: --subs A,B --username foo --expires-in 3600 --kid k --issuer url --audience clientid
+ *                  --token-use id|access --broken expired|wrong-kid|bad-signature|alg-none
+ *                  --alg RS256|RS384|ES256 --subs-claim name
+ *         Invocation Example:
+ *          node index.js mint --subs A
+ *          node index.js mint --subs A --broken expired
+ *          node index.js mint --subs A --alg ES256
+ *
+ * - jwks: Serves the public keys of the local key pairs at /.well-known/jwks.json
+ *         Options: --port 8081 --issuer url
+ *         Invocation Example:
+ *          node index.js jwks
  */
 
 const AWS = require('aws-sdk');
-AWS.config.update({'region': 'us-east-1'});
+const fs = require('fs');
+const { loadCatalog, getCodes } = require('../deploy-script/catalog');
+const { parseArgs } = require('../deploy-script/args');
+const { resolveRegions, resolveStacks } = require('../deploy-script/manifest');
+const localIssuer = require('./local-issuer');
+const { createUserManager, parseDuration, splitSubscriptions } = require('./users');
+const { DENY_LIST_KEY, MAX_ID_TOKEN_LIFETIME_SECONDS, addEntry, createFileStore, createS3Store } = require('../deploy-script/edge-function/revocation');
+const { decodeToken } = require('../deploy-script/edge-function/token');
 let stack1 = null;
 let stack2 = null;
-
-const cognito = new AWS.CognitoIdentityServiceProvider();
+// Deployment manifest, when the stacks were not listed on the command line
+let manifest = null;
+// Created once the region of the deployment is known
+let cognito = null;
 
 /**
- * Call CloudFormation and get the UserPoolId and ClientId from the stack
- * created for the UserPool.
- * @returns { UserPoolId: String, ClientId: String }
+ * Call CloudFormation and get the UserPoolId, ClientId and ArtifactBucketName
+ * from the stack created for the UserPool.
+ * @returns { UserPoolId: String, ClientId: String, ArtifactBucketName: String }
  */
 async function getPoolInfo(){
+    if (manifest && manifest.userPoolId && manifest.clientId && manifest.artifactBucket){
+        return { UserPoolId: manifest.userPoolId, ClientId: manifest.clientId, ArtifactBucketName: manifest.artifactBucket };
+    }
+
     const cloudformation = new AWS.CloudFormation();
     let description = await cloudformation.describeStacks({ 'StackName': stack1 }).promise();
     let ids = {};
@@ -44,6 +120,9 @@ async function getPoolInfo(){
                 else if (o.OutputKey === 'ClientId'){
                     ids.ClientId = o.OutputValue;
                 }
+                else if (o.OutputKey === 'ArtifactBucketName'){
+                    ids.ArtifactBucketName = o.OutputValue;
+                }
             } );
         }
     });
@@ -52,65 +131,25 @@ async function getPoolInfo(){
 }
 
 /**
- * Retrieve the user so we can check if it already exists.
- * 
- * @param {String} username 
- * @param {String} userPoolId 
- * @returns 
+ * Create the user management functions for the user pool of the deployment.
+ * @returns Object: see users.js
  */
-async function getUser(username, userPoolId){
-
-    const params = {
-      UserPoolId: userPoolId,
-      Username: username
-    };
-    
-    try {
-        return await cognito.adminGetUser(params).promise();
-    }
-    catch (e){
-        return null;
-    }
-    
-  }
+async function getUserManager(){
+    let ids = await getPoolInfo();
+    return createUserManager(cognito, ids.UserPoolId, getCodes(loadCatalog()));
+}
 
 /**
- * Create a user in the user pool. 
+ * Create a user in the user pool and log in as that user.
  * @param {String} username 
  * @param {String} password 
- * @param {String} subscriptions: comma separated list. Available products are A and B only.
+ * @param {String} subscriptions: comma separated list of codes from the product catalog
  */
 async function createUserReturnIdToken(username, password, subscriptions){
-    if (!username || !password || !subscriptions){
-        throw new Error('username, password and subscriptions are required');
-    }
     let ids = await getPoolInfo();
-    let user = await getUser(username, ids.UserPoolId);
-
-    let userParams = {
-        UserPoolId: ids.UserPoolId,
-        Username: username,
-        MessageAction: "SUPPRESS",
-        UserAttributes: [ { Name: 'custom:subs', Value: subscriptions } ]
-    };
-
-    // Create the user if it does not already exist
-    if (!user){
-        let createUserResponse = await cognito.adminCreateUser(userParams).promise();
-    }
-    
-    // Set the password (or reset if the user already exists)
-    const pwdParams = {
-        Password: password, 
-        UserPoolId: ids.UserPoolId, 
-        Username: username, 
-        Permanent: true   
-      };    
-    let passwordResponse = await cognito.adminSetUserPassword(pwdParams).promise();
-
-    let tokens = await getTokens(username, password, ids.UserPoolId, ids.ClientId);
-
-    return tokens;
+    let users = createUserManager(cognito, ids.UserPoolId, getCodes(loadCatalog()));
+    await users.createUser(username, password, subscriptions);
+    return getTokens(username, password, ids.UserPoolId, ids.ClientId);
 }
 
 /**
@@ -118,18 +157,21 @@ async function createUserReturnIdToken(username, password, subscriptions){
  * that resource so we can list how to call for content.
  */
 async function howToCallOrigin(){
-    const cloudformation = new AWS.CloudFormation();
-    let distributionInfo = await cloudformation.describeStacks({ 'StackName': stack2 }).promise();
-    let domain = null;
-    distributionInfo.Stacks.map(s => {
-        if (s.StackName === stack2){
-            s.Outputs.map( o => {
-                if (o.OutputKey === 'CFDistributionDomain'){
-                     domain = o.OutputValue;
-                }
-            } );
-        }        
-    });
+    let domain = manifest ? manifest.distributionDomain : null;
+
+    if (!domain){
+        const cloudformation = new AWS.CloudFormation();
+        let distributionInfo = await cloudformation.describeStacks({ 'StackName': stack2 }).promise();
+        distributionInfo.Stacks.map(s => {
+            if (s.StackName === stack2){
+                s.Outputs.map( o => {
+                    if (o.OutputKey === 'CFDistributionDomain'){
+                         domain = o.OutputValue;
+                    }
+                } );
+            }        
+        });
+    }
     
     if (domain){
         let exampleUrl = 'https://' + domain + '/{product name}/content/{content id}';
@@ -175,27 +217,257 @@ async function getTokens(username, password, userPoolId, clientId){
     return tokens?.AuthenticationResult?.IdToken;
   }
 
+/**
+ * Issue a token with the local issuer instead of Cognito.
+ * @param {Object} flags: see the mint mode at the top of this file
+ * @returns String
+ */
+function mintLocalToken(flags){
+    return localIssuer.mintToken(localIssuer.loadOrCreateKeyPairs(), {
+        alg: flags.alg,
+        username: flags.username,
+        subs: flags.subs,
+        subsClaim: flags['subs-claim'],
+        expiresIn: flags['expires-in'],
+        kid: flags.kid,
+        issuer: flags.issuer,
+        audience: flags.audience,
+        tokenUse: flags['token-use'],
+        broken: flags.broken
+    });
+}
+
+/**
+ * Print the result of a user management command, as JSON with --json.
+ * @param {Object} result
+ * @param {Boolean} json
+ * @param {Function} format: returns the text output
+ */
+function printResult(result, json, format){
+    console.log(json ? JSON.stringify(result, null, 2) : format(result));
+}
+
+function formatUser(u){
+    return u.username + '  ' + (u.enabled === false ? 'disabled' : 'enabled') + '  ' +
+        (u.status || '') + '  subs: ' + (u.subscriptions.join(',') || '(none)');
+}
+
+/**
+ * Run one of the user management commands.
+ * @param {String} command
+ * @param {String[]} params: positional parameters of the command
+ * @param {Object} flags
+ * @returns Promise
+ */
+async function runUserCommand(command, params, flags){
+    const users = await getUserManager();
+    const json = flags.json === true;
+    const showSubs = r => r.username + ': ' + (r.subscriptions.join(',') || '(no subscriptions)') + (r.changed === false ? ' (unchanged)' : '');
+
+    if (command === 'list'){
+        printResult(await users.listUsers(), json, list => list.length ? list.map(formatUser).join('\n') : 'No users');
+    }
+    else if (command === 'grant'){
+        printResult(await users.grant(params[0], params[1], {
+            duration: flags.duration !== undefined ? parseDuration(flags.duration) : null,
+            trial: flags.trial === true
+        }), json, showSubs);
+    }
+    else if (command === 'revoke'){
+        printResult(await users.revoke(params[0], params[1]), json, showSubs);
+    }
+    else if (command === 'set-subs'){
+        printResult(await users.setSubscriptions(params[0], splitSubscriptions(params[1])), json, showSubs);
+    }
+    else if (command === 'disable'){
+        printResult(await users.disableUser(params[0]), json, r => r.username + ' disabled');
+    }
+    else if (command === 'enable'){
+        printResult(await users.enableUser(params[0]), json, r => r.username + ' enabled');
+    }
+    else if (command === 'delete'){
+        printResult(await users.deleteUser(params[0]), json, r => r.username + ' deleted');
+    }
+    else if (command === 'sign-out'){
+        printResult(await users.signOut(params[0]), json, r => r.username + ' signed out of all devices');
+    }
+    else if (command === 'bulk-import'){
+        if (!params[0]){
+            throw new Error('The CSV file is required');
+        }
+        let results = await users.bulkImport(fs.readFileSync(params[0]).toString());
+        printResult(results, json, list => list.map(r => 'row ' + r.row + ': ' + (r.username || '(no username)') + ' ' +
+            (r.status === 'created' ? 'created' : 'failed: ' + r.error)).join('\n'));
+        if (results.some(r => r.status !== 'created')){
+            process.exitCode = 1;
+        }
+    }
+}
+
+/**
+ * Open the deny list: a local file with --local or --deny-list, otherwise the
+ * object in the artifact bucket of the deployment.
+ * @param {Object} flags
+ * @returns Object: store, see deploy-script/edge-function/revocation.js
+ */
+async function getDenyListStore(flags){
+    if (flags.local === true || typeof flags['deny-list'] === 'string'){
+        return createFileStore(typeof flags['deny-list'] === 'string' ? flags['deny-list'] : localIssuer.DEFAULT_DENY_LIST_FILE);
+    }
+    let ids = await getPoolInfo();
+    return createS3Store({ bucket: ids.ArtifactBucketName, key: DENY_LIST_KEY, s3: new AWS.S3() });
+}
+
+// Seconds in each unit of the token validity of a user pool client
+const TOKEN_VALIDITY_UNITS = { seconds: 1, minutes: 60, hours: 3600, days: 86400 };
+
+/**
+ * Find how long the ID Tokens of the user pool client stay valid.
+ * @returns Number: seconds
+ */
+async function getIdTokenLifetime(){
+    let ids = await getPoolInfo();
+    let client = (await cognito.describeUserPoolClient({ UserPoolId: ids.UserPoolId, ClientId: ids.ClientId }).promise()).UserPoolClient;
+    // Cognito counts in hours unless the client sets another unit
+    let unit = (client.TokenValidityUnits && client.TokenValidityUnits.IdToken) || 'hours';
+    return client.IdTokenValidity ? client.IdTokenValidity * TOKEN_VALIDITY_UNITS[unit] : MAX_ID_TOKEN_LIFETIME_SECONDS;
+}
+
+/**
+ * Parse the --after or --expires time of a deny list entry.
+ * @param {String} value: ISO 8601 date and time
+ * @returns Number: seconds since the epoch
+ */
+function parseTime(value){
+    let time = Date.parse(value);
+    if (typeof value !== 'string' || isNaN(time)){
+        throw new Error('Invalid time ' + value + '. Use an ISO 8601 date and time, such as 2026-10-19T12:00:00Z');
+    }
+    return Math.floor(time / 1000);
+}
+
+/**
+ * Read the token of deny-token from a file, or from standard input for -.
+ * @param {String} file
+ * @returns Object: decoded token, see decodeToken
+ */
+function readToken(file){
+    if (typeof file !== 'string'){
+        throw new Error('--token-file needs a file name, or - to read the token from standard input');
+    }
+    let token = decodeToken(fs.readFileSync(file === '-' ? 0 : file).toString().trim());
+    if (!token){
+        throw new Error('No token found in ' + (file === '-' ? 'standard input' : file));
+    }
+    return token;
+}
+
+/**
+ * Run one of the deny list commands.
+ * @param {String} command
+ * @param {String[]} params: positional parameters of the command
+ * @param {Object} flags
+ * @returns Promise
+ */
+async function runDenyCommand(command, params, flags){
+    const now = Math.floor(Date.now() / 1000);
+    const local = flags.local === true;
+    let type = command === 'deny-token' ? 'jti' : 'sub';
+    let value = params[0];
+    // Default of addEntry unless the expiry of the tokens is known
+    let expires = undefined;
+
+    if (command === 'deny-token' && value && decodeToken(value)){
+        throw new Error('Pass the jti of the token, or the token itself with --token-file file (or - for standard input), ' +
+            'so that the token does not end up in the shell history');
+    }
+    if (command === 'deny-token' && flags['token-file'] !== undefined){
+        let token = readToken(flags['token-file']);
+        if (typeof token.claims.jti !== 'string' || !token.claims.jti){
+            throw new Error('The token has no jti claim. Use deny-user to refuse the tokens of its user');
+        }
+        value = token.claims.jti;
+        expires = typeof token.claims.exp === 'number' ? token.claims.exp : undefined;
+    }
+    if (!value){
+        throw new Error(command === 'deny-token' ? 'The jti of the token, or --token-file, is required' : (command === 'deny-user' ? 'username is required' : 'The sub is required'));
+    }
+    if (command === 'deny-user'){
+        value = local ? localIssuer.getLocalSub(params[0]) : (await (await getUserManager()).describeUser(params[0])).sub;
+    }
+
+    // A token id is unique, so only its time on the list matters
+    let revokedAfter = type === 'sub' && flags.after !== undefined ? parseTime(flags.after) : now;
+    if (flags.expires !== undefined){
+        expires = parseTime(flags.expires);
+    }
+    else if (command === 'deny-user' && !local){
+        // The tokens issued up to the revoked-after time expire within the lifetime set on the client
+        expires = revokedAfter + await getIdTokenLifetime();
+    }
+
+    let store = await getDenyListStore(flags);
+    let list = await store.update(current => addEntry(current, type, value, revokedAfter, now, expires));
+
+    let result = {
+        type: type,
+        value: value,
+        revokedAfter: new Date(revokedAfter * 1000).toISOString(),
+        expires: new Date(list[type][value].expires * 1000).toISOString()
+    };
+    printResult(result, flags.json === true, r => r.type + ' ' + r.value + ' added to the deny list' +
+        (r.type === 'sub' ? ': tokens issued up to ' + r.revokedAfter + ' are refused' : '') +
+        ' (kept until ' + r.expires + ')');
+}
+
 // Entry point
 const args = process.argv.slice(2);
 const appMode = args[0];
-const username = args[1];
-const password = args[2];
-const subs = args[3];
 
-// Determine stacks
-if (appMode == 'create'){
-    stack1 = args[4];
-    stack2 = args[5];
-}
-else {
-    stack1 = args[3];
-    stack2 = args[4];
-}
+const { positional, flags } = parseArgs(args.slice(1));
+const username = positional[0];
+const password = positional[1];
+const subs = positional[2];
 
-if (!stack1.startsWith('paywalldemo-userpool-stack')){
-    let tmp = stack1;
-    stack1 = stack2;    
-    stack2 = tmp;
+// Number of positional parameters of the modes that use a deployment; any
+// further parameters are the stack names
+const STACK_MODES = {
+    'create': 3,
+    'login': 2,
+    'list': 0,
+    'grant': 2,
+    'revoke': 2,
+    'set-subs': 2,
+    'disable': 1,
+    'enable': 1,
+    'delete': 1,
+    'sign-out': 1,
+    'bulk-import': 1,
+    'deny-user': 1,
+    'deny-sub': 1,
+    'deny-token': 1
+};
+const DENY_MODES = ['deny-user', 'deny-sub', 'deny-token'];
+// deny-token has no jti parameter when it reads the token with --token-file
+const positionalCount = appMode === 'deny-token' && flags['token-file'] !== undefined ? 0 : STACK_MODES[appMode];
+// The local deny list does not need a deployment
+const localDenyList = DENY_MODES.includes(appMode) && (flags.local === true || typeof flags['deny-list'] === 'string');
+
+// Determine stacks: either the stack names are listed, or they come from the deployment manifest
+if (STACK_MODES[appMode] !== undefined && !localDenyList){
+    try {
+        let stacks = resolveStacks(positional.slice(positionalCount), flags.deployment);
+        stack1 = stacks.userPoolStack;
+        stack2 = stacks.distributionStack;
+        manifest = stacks.manifest;
+        // The user pool, the artifact bucket and the distribution stack are in the edge region
+        AWS.config.update({ region: resolveRegions(manifest, flags).edge });
+        cognito = new AWS.CognitoIdentityServiceProvider();
+    }
+    catch (e){
+        console.log(e.message);
+        process.exit(1);
+    }
 }
 
 if (appMode === 'create'){
@@ -210,7 +482,8 @@ if (appMode === 'create'){
         .catch();
     })
     .catch(e => {
-        console.log(e);
+        console.log(e.message);
+        process.exitCode = 1;
     });
 }
 else if (appMode === 'login'){
@@ -228,6 +501,36 @@ else if (appMode === 'login'){
      console.log(e);
    });
 }
+else if (DENY_MODES.includes(appMode)){
+    runDenyCommand(appMode, positional.slice(0, positionalCount), flags)
+    .catch(e => {
+        console.log(flags.json === true ? JSON.stringify({ error: e.message }) : e.message);
+        process.exitCode = 1;
+    });
+}
+else if (STACK_MODES[appMode] !== undefined){
+    runUserCommand(appMode, positional.slice(0, STACK_MODES[appMode]), flags)
+    .catch(e => {
+        console.log(flags.json === true ? JSON.stringify({ error: e.message }) : e.message);
+        process.exitCode = 1;
+    });
+}
+else if (appMode === 'mint'){
+    try {
+        console.log(mintLocalToken(parseArgs(args.slice(1)).flags));
+    }
+    catch (e){
+        console.log(e.message);
+        process.exitCode = 1;
+    }
+}
+else if (appMode === 'jwks'){
+    let flags = parseArgs(args.slice(1)).flags;
+    let port = flags.port ? parseInt(flags.port, 10) : localIssuer.DEFAULT_PORT;
+    let issuer = flags.issuer || localIssuer.DEFAULT_ISSUER;
+    localIssuer.serveJwks(localIssuer.loadOrCreateKeyPairs(), port, issuer);
+    console.log('Serving the local JWKS at http://localhost:' + port + '/.well-known/jwks.json');
+}
 else {
-    console.log('Unknown mode: specify \'create\' or \'login\'');
-}
\ No newline at end of file
+    console.log('Unknown mode: specify \'create\', \'login\', ' + Object.keys(STACK_MODES).slice(2).map(m => '\'' + m + '\'').join(', ') + ', \'mint\' or \'jwks\'');
+}
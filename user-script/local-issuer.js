@@ -0,0 +1,249 @@
+'use strict';
+// © 2022 Amazon Web Services, Inc. or its affiliates. All Rights Reserved.
+// This work is licensed under a MIT-0 License.
+
+/**
+ * Local stand-in for the Cognito user pool, used to test the paywall without
+ * deploying anything. It keeps an RSA and an EC (P-256) key pair in the
+ * .local-issuer folder, issues ID Tokens with the same claims as Cognito
+ * (signed with RS256, RS384 or ES256), and serves the public keys at
+ * /.well-known/jwks.json and an OpenID configuration at
+ * /.well-known/openid-configuration, so that the edge function and the deploy
+ * script can load them like those of any OpenID Connect provider.
+ *
+ * It can also issue deliberately broken tokens for negative tests:
+ * - expired:        exp is in the past
+ * - wrong-kid:      the header names a key id that is not in the JWKS
+ * - bad-signature:  the signature does not match the header and claims
+ * - alg-none:       unsigned token with alg=none
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const DEFAULT_KEY_DIR = path.join(__dirname, '.local-issuer');
+const DEFAULT_ISSUER = 'http://localhost:8081';
+const DEFAULT_AUDIENCE = 'local-client';
+const DEFAULT_PORT = 8081;
+// Deny list used by the emulator, written by the user script with --local
+const DEFAULT_DENY_LIST_FILE = path.join(DEFAULT_KEY_DIR, 'deny-list.json');
+const BROKEN_TOKEN_TYPES = ['expired', 'wrong-kid', 'bad-signature', 'alg-none'];
+// Signing algorithms and the key pair each one uses
+const ALGORITHMS = {
+    RS256: { type: 'rsa', hash: 'sha256' },
+    RS384: { type: 'rsa', hash: 'sha384' },
+    ES256: { type: 'ec', hash: 'sha256', dsaEncoding: 'ieee-p1363' }
+};
+
+/**
+ * Load a key pair from the key folder, or create and save a new one.
+ * @param {String} dir
+ * @param {String} type: rsa (default) or ec
+ * @returns { kid: String, type: String, privateKey: KeyObject, publicKey: KeyObject }
+ */
+function loadOrCreateKeyPair(dir = DEFAULT_KEY_DIR, type = 'rsa'){
+    const file = path.join(dir, type === 'ec' ? 'key-ec.json' : 'key.json');
+
+    if (!fs.existsSync(file)){
+        const { privateKey } = type === 'ec' ?
+            crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }) :
+            crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(file, JSON.stringify({
+            kid: crypto.randomBytes(16).toString('base64url'),
+            privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' })
+        }, null, 2), { mode: 0o600 });
+    }
+
+    let saved = JSON.parse(fs.readFileSync(file).toString());
+    let privateKey = crypto.createPrivateKey(saved.privateKey);
+
+    return {
+        kid: saved.kid,
+        type: type,
+        privateKey: privateKey,
+        publicKey: crypto.createPublicKey(privateKey)
+    };
+}
+
+/**
+ * Load (or create) the RSA and the EC key pair.
+ * @param {String} dir
+ * @returns { rsa: Object, ec: Object }
+ */
+function loadOrCreateKeyPairs(dir = DEFAULT_KEY_DIR){
+    return {
+        rsa: loadOrCreateKeyPair(dir, 'rsa'),
+        ec: loadOrCreateKeyPair(dir, 'ec')
+    };
+}
+
+/**
+ * Build the JWKS document for the key pairs. The RSA key has no alg, so that
+ * it can be used for both RS256 and RS384.
+ * @param {Object[]} keyPairs
+ * @returns Object
+ */
+function getJwks(...keyPairs){
+    return {
+        keys: keyPairs.map(keyPair => {
+            let jwk = keyPair.publicKey.export({ format: 'jwk' });
+            if (keyPair.type === 'ec'){
+                return { alg: 'ES256', crv: jwk.crv, kid: keyPair.kid, kty: 'EC', use: 'sig', x: jwk.x, y: jwk.y };
+            }
+            return { e: jwk.e, kid: keyPair.kid, kty: 'RSA', n: jwk.n, use: 'sig' };
+        })
+    };
+}
+
+function encode(obj){
+    return Buffer.from(JSON.stringify(obj)).toString('base64url');
+}
+
+/**
+ * The sub claim of the tokens issued for a username. Like Cognito, the sub
+ * does not change, so it can be put on the deny list.
+ * @param {String} username
+ * @returns String
+ */
+function getLocalSub(username){
+    return crypto.createHash('sha256').update(username).digest('hex').substring(0, 32);
+}
+
+/**
+ * Issue an ID Token shaped like the ones issued by Cognito.
+ * @param {Object} keyPairs: from loadOrCreateKeyPairs
+ * @param {Object} options: {
+ *      alg: String,            RS256 (default), RS384 or ES256
+ *      username: String,
+ *      subs: String,           value of the subscriptions claim, such as A,B
+ *      subsClaim: String,      name of the subscriptions claim (default custom:subs)
+ *      expiresIn: Number,      seconds until exp (default 3600)
+ *      kid: String,            overrides the key id in the header
+ *      issuer: String,
+ *      audience: String,       client id
+ *      tokenUse: String,       id (default) or access
+ *      broken: String          one of BROKEN_TOKEN_TYPES
+ * }
+ * @returns String
+ */
+function mintToken(keyPairs, options = {}){
+    if (options.broken && !BROKEN_TOKEN_TYPES.includes(options.broken)){
+        throw new Error('Unknown broken token type ' + options.broken + '. Use one of: ' + BROKEN_TOKEN_TYPES.join(', '));
+    }
+    const alg = options.alg || 'RS256';
+    if (!ALGORITHMS[alg]){
+        throw new Error('Unknown algorithm ' + alg + '. Use one of: ' + Object.keys(ALGORITHMS).join(', '));
+    }
+    const keyPair = keyPairs[ALGORITHMS[alg].type];
+
+    const now = Math.floor(Date.now() / 1000);
+    const username = options.username || 'local-user';
+    const tokenUse = options.tokenUse || 'id';
+    let iat = now;
+    let exp = now + (options.expiresIn !== undefined ? Number(options.expiresIn) : 3600);
+
+    // Expired well beyond the clock skew tolerance of the edge function
+    if (options.broken === 'expired'){
+        iat = now - 7200;
+        exp = now - 3600;
+    }
+
+    let header = {
+        kid: options.broken === 'wrong-kid' ? 'unknown-' + keyPair.kid : (options.kid || keyPair.kid),
+        alg: options.broken === 'alg-none' ? 'none' : alg
+    };
+
+    let claims = {
+        sub: getLocalSub(username),
+        iss: options.issuer || DEFAULT_ISSUER,
+        'cognito:username': username,
+        origin_jti: crypto.randomUUID(),
+        event_id: crypto.randomUUID(),
+        token_use: tokenUse,
+        auth_time: iat,
+        exp: exp,
+        iat: iat,
+        jti: crypto.randomUUID()
+    };
+
+    // ID Tokens name the client in aud, access tokens in client_id
+    if (tokenUse === 'access'){
+        claims.client_id = options.audience || DEFAULT_AUDIENCE;
+    }
+    else {
+        claims.aud = options.audience || DEFAULT_AUDIENCE;
+    }
+
+    if (options.subs){
+        claims[options.subsClaim || 'custom:subs'] = options.subs;
+    }
+
+    let data = encode(header) + '.' + encode(claims);
+
+    if (options.broken === 'alg-none'){
+        return data + '.';
+    }
+
+    let signature = crypto.sign(ALGORITHMS[alg].hash, Buffer.from(data), {
+        key: keyPair.privateKey,
+        dsaEncoding: ALGORITHMS[alg].dsaEncoding
+    });
+
+    if (options.broken === 'bad-signature'){
+        signature[0] = signature[0] ^ 0xff;
+    }
+
+    return data + '.' + signature.toString('base64url');
+}
+
+/**
+ * Serve the JWKS (and a minimal OpenID configuration) over http.
+ * @param {Object} keyPairs: from loadOrCreateKeyPairs
+ * @param {Number} port
+ * @param {String} issuer
+ * @returns http.Server
+ */
+function serveJwks(keyPairs, port = DEFAULT_PORT, issuer = DEFAULT_ISSUER){
+    const jwks = JSON.stringify(getJwks(keyPairs.rsa, keyPairs.ec));
+    const openIdConfiguration = JSON.stringify({
+        issuer: issuer,
+        jwks_uri: issuer + '/.well-known/jwks.json',
+        id_token_signing_alg_values_supported: Object.keys(ALGORITHMS)
+    });
+
+    const server = http.createServer((req, res) => {
+        let body = null;
+        if (req.url === '/.well-known/jwks.json'){
+            body = jwks;
+        }
+        else if (req.url === '/.well-known/openid-configuration'){
+            body = openIdConfiguration;
+        }
+
+        if (!body){
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            return res.end(JSON.stringify({ message: 'Not found' }));
+        }
+
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(body);
+    });
+
+    return server.listen(port);
+}
+
+module.exports = {
+    BROKEN_TOKEN_TYPES,
+    DEFAULT_AUDIENCE,
+    DEFAULT_DENY_LIST_FILE,
+    DEFAULT_ISSUER,
+    DEFAULT_PORT,
+    loadOrCreateKeyPair,
+    loadOrCreateKeyPairs,
+    getJwks,
+    getLocalSub,
+    mintToken,
+    serveJwks
+};
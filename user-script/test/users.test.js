@@ -0,0 +1,322 @@
+'use strict';
+// © 2022 Amazon Web Services, Inc. or its affiliates. All Rights Reserved.
+// This work is licensed under a MIT-0 License.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { SUBS_ATTRIBUTE, createUserManager, parseDuration } = require('../users');
+const { parseEntitlement } = require('../../deploy-script/edge-function/entitlements');
+
+const USER_POOL_ID = 'us-east-1_local';
+const CODES = ['A', 'B', 'ALL'];
+
+/**
+ * Create an AWS SDK style error.
+ * @param {String} code
+ * @param {String} message
+ * @returns Error
+ */
+function awsError(code, message){
+    let e = new Error(message);
+    e.code = code;
+    return e;
+}
+
+/**
+ * Mock of the Cognito client with the users in memory. Each method returns an
+ * object with a promise() function, like the AWS SDK. Passwords shorter than
+ * 8 characters are refused, like the password policy of the user pool, and
+ * listUsers returns pages of two users.
+ * @param {Object} options: { failDelete: Boolean }
+ * @returns Object: the client, with the users, the list of calls and the
+ *                  pagination tokens listUsers was called with
+ */
+function createCognito(options = {}){
+    let users = {};
+    let calls = [];
+    let tokens = [];
+    let method = (name, fn) => params => {
+        calls.push(name);
+        return { promise: async () => fn(params) };
+    };
+    let find = params => {
+        if (!users[params.Username]){
+            throw awsError('UserNotFoundException', 'User does not exist.');
+        }
+        return users[params.Username];
+    };
+
+    let setAttribute = (user, name, value) => {
+        user.attributes = user.attributes.filter(a => a.Name !== name).concat(value === undefined ? [] : [{ Name: name, Value: value }]);
+    };
+
+    return {
+        users,
+        calls,
+        tokens,
+        adminGetUser: method('adminGetUser', params => {
+            let user = find(params);
+            return { Username: user.username, UserAttributes: user.attributes, Enabled: user.enabled, UserStatus: user.status };
+        }),
+        listUsers: method('listUsers', params => {
+            tokens.push(params.PaginationToken);
+            let start = params.PaginationToken ? parseInt(params.PaginationToken, 10) : 0;
+            let all = Object.values(users);
+            return {
+                Users: all.slice(start, start + 2).map(user => ({
+                    Username: user.username, Attributes: user.attributes, Enabled: user.enabled, UserStatus: user.status
+                })),
+                PaginationToken: start + 2 < all.length ? String(start + 2) : undefined
+            };
+        }),
+        adminCreateUser: method('adminCreateUser', params => {
+            if (users[params.Username]){
+                throw awsError('UsernameExistsException', 'User account already exists');
+            }
+            users[params.Username] = { username: params.Username, attributes: params.UserAttributes, status: 'FORCE_CHANGE_PASSWORD', enabled: true };
+            return { User: { Username: params.Username } };
+        }),
+        adminSetUserPassword: method('adminSetUserPassword', params => {
+            let user = find(params);
+            if (params.Password.length < 8){
+                throw awsError('InvalidPasswordException', 'Password did not conform with policy: Password not long enough');
+            }
+            user.status = 'CONFIRMED';
+            return {};
+        }),
+        adminDeleteUser: method('adminDeleteUser', params => {
+            if (options.failDelete){
+                throw awsError('TooManyRequestsException', 'Rate exceeded');
+            }
+            find(params);
+            delete users[params.Username];
+            return {};
+        }),
+        adminUpdateUserAttributes: method('adminUpdateUserAttributes', params => {
+            let user = find(params);
+            params.UserAttributes.map(a => setAttribute(user, a.Name, a.Value));
+            return {};
+        }),
+        adminDeleteUserAttributes: method('adminDeleteUserAttributes', params => {
+            let user = find(params);
+            params.UserAttributeNames.map(name => setAttribute(user, name, undefined));
+            return {};
+        }),
+        adminDisableUser: method('adminDisableUser', params => {
+            find(params).enabled = false;
+            return {};
+        }),
+        adminEnableUser: method('adminEnableUser', params => {
+            find(params).enabled = true;
+            return {};
+        }),
+        adminUserGlobalSignOut: method('adminUserGlobalSignOut', params => {
+            find(params).signedOut = true;
+            return {};
+        })
+    };
+}
+
+/**
+ * Add a confirmed user to the mocked client.
+ * @param {Object} cognito: from createCognito
+ * @param {String} username
+ * @param {String} subscriptions: value of the custom:subs attribute
+ */
+function addUser(cognito, username, subscriptions){
+    cognito.users[username] = {
+        username: username,
+        attributes: [{ Name: 'sub', Value: username + '-sub' }, { Name: SUBS_ATTRIBUTE, Value: subscriptions }],
+        status: 'CONFIRMED',
+        enabled: true
+    };
+}
+
+/**
+ * Read the custom:subs attribute of a user of the mocked client.
+ * @param {Object} cognito: from createCognito
+ * @param {String} username
+ * @returns String, or undefined without the attribute
+ */
+function getSubs(cognito, username){
+    let subs = cognito.users[username].attributes.find(a => a.Name === SUBS_ATTRIBUTE);
+    return subs ? subs.Value : undefined;
+}
+
+test('createUser creates the user with its subscriptions and a permanent password', async () => {
+    let cognito = createCognito();
+    let result = await createUserManager(cognito, USER_POOL_ID, CODES).createUser('alice', 'long-enough-password', 'A,B');
+
+    assert.deepStrictEqual(result, { username: 'alice', subscriptions: ['A', 'B'] });
+    assert.strictEqual(cognito.users.alice.status, 'CONFIRMED');
+    assert.deepStrictEqual(cognito.users.alice.attributes, [{ Name: SUBS_ATTRIBUTE, Value: 'A,B' }]);
+});
+
+test('createUser deletes the user again when the password is refused', async () => {
+    let cognito = createCognito();
+    let users = createUserManager(cognito, USER_POOL_ID, CODES);
+
+    await assert.rejects(users.createUser('alice', 'short', 'A'), { code: 'InvalidPasswordException' });
+    assert.strictEqual(cognito.users.alice, undefined);
+    assert.deepStrictEqual(cognito.calls, ['adminGetUser', 'adminCreateUser', 'adminSetUserPassword', 'adminDeleteUser']);
+
+    // The user can be created again with a valid password
+    await users.createUser('alice', 'long-enough-password', 'A');
+    assert.strictEqual(cognito.users.alice.status, 'CONFIRMED');
+});
+
+test('createUser reports a user that could not be deleted after the password was refused', async () => {
+    let cognito = createCognito({ failDelete: true });
+
+    await assert.rejects(createUserManager(cognito, USER_POOL_ID, CODES).createUser('alice', 'short', 'A'), e => {
+        assert.strictEqual(e.code, 'InvalidPasswordException');
+        assert.match(e.message, /created without a password and could not be deleted: Rate exceeded/);
+        return true;
+    });
+});
+
+test('bulkImport leaves no user behind for rows with a refused password', async () => {
+    let cognito = createCognito();
+    let csv = 'username,password,subscriptions\nalice,long-enough-password,A\nbob,short,B\ncarol,long-enough-password,ALL\n';
+    let results = await createUserManager(cognito, USER_POOL_ID, CODES).bulkImport(csv);
+
+    assert.deepStrictEqual(results.map(r => r.status), ['created', 'failed', 'created']);
+    assert.match(results[1].error, /Password did not conform with policy/);
+    assert.deepStrictEqual(Object.keys(cognito.users), ['alice', 'carol']);
+
+    // Importing the corrected row works
+    let retry = await createUserManager(cognito, USER_POOL_ID, CODES).bulkImport('bob,long-enough-password,B\n');
+    assert.strictEqual(retry[0].status, 'created');
+});
+
+test('listUsers reads every page of the user pool', async () => {
+    let cognito = createCognito();
+    ['alice', 'bob', 'carol', 'dave', 'erin'].map(name => addUser(cognito, name, 'A'));
+    cognito.users.bob.enabled = false;
+    addUser(cognito, 'frank', 'A:2026-12-31,B');
+
+    let users = await createUserManager(cognito, USER_POOL_ID, CODES).listUsers();
+
+    assert.deepStrictEqual(cognito.tokens, [undefined, '2', '4']);
+    assert.deepStrictEqual(users.map(u => u.username), ['alice', 'bob', 'carol', 'dave', 'erin', 'frank']);
+    assert.strictEqual(users[1].enabled, false);
+    assert.strictEqual(users[5].sub, 'frank-sub');
+    assert.deepStrictEqual(users[5].subscriptions, ['A:2026-12-31', 'B']);
+});
+
+test('grant adds a code, with an expiry and trial flag when a duration is given', async () => {
+    let cognito = createCognito();
+    let users = createUserManager(cognito, USER_POOL_ID, CODES);
+    addUser(cognito, 'alice', 'A');
+
+    let result = await users.grant('alice', 'B');
+    assert.deepStrictEqual(result, { username: 'alice', subscriptions: ['A', 'B'], changed: true });
+
+    // Granting a code the user has is not a change
+    let calls = cognito.calls.length;
+    assert.strictEqual((await users.grant('alice', 'A')).changed, false);
+    assert.deepStrictEqual(cognito.calls.slice(calls), ['adminGetUser']);
+
+    // A trial replaces the entry of the code, and expires after the duration
+    let before = Date.now();
+    result = await users.grant('alice', 'B', { duration: parseDuration('7d'), trial: true });
+    let entry = parseEntitlement(result.subscriptions[1]);
+    assert.strictEqual(result.subscriptions.length, 2);
+    assert.strictEqual(entry.code, 'B');
+    assert.strictEqual(entry.trial, true);
+    // The expiry is stored with a precision of one second
+    assert.ok(entry.expires >= Math.floor(before / 1000) * 1000 + 7 * 86400 * 1000);
+    assert.ok(entry.expires <= Date.now() + 7 * 86400 * 1000);
+    assert.strictEqual(getSubs(cognito, 'alice'), result.subscriptions.join(','));
+
+    // Granting it without a duration makes it permanent again
+    result = await users.grant('alice', 'B');
+    assert.deepStrictEqual(result.subscriptions, ['A', 'B']);
+});
+
+test('grant refuses trials without a duration, expiries in the code and unknown codes', async () => {
+    let cognito = createCognito();
+    let users = createUserManager(cognito, USER_POOL_ID, CODES);
+    addUser(cognito, 'alice', 'A');
+
+    await assert.rejects(users.grant('alice', 'B', { trial: true }), /A trial needs a duration/);
+    await assert.rejects(users.grant('alice', 'B:2026-12-31'), /use --duration/);
+    await assert.rejects(users.grant('alice', 'C'), /Unknown subscription code\(s\): C/);
+    await assert.rejects(users.grant('nobody', 'A'), /User nobody does not exist/);
+    assert.strictEqual(getSubs(cognito, 'alice'), 'A');
+});
+
+test('revoke removes a code with its expiry', async () => {
+    let cognito = createCognito();
+    let users = createUserManager(cognito, USER_POOL_ID, CODES);
+    addUser(cognito, 'alice', 'A,B:20261101T093000Z:trial');
+
+    let result = await users.revoke('alice', 'B');
+    assert.deepStrictEqual(result, { username: 'alice', subscriptions: ['A'], changed: true });
+    assert.strictEqual(getSubs(cognito, 'alice'), 'A');
+
+    // Revoking a code the user does not have changes nothing
+    let calls = cognito.calls.length;
+    assert.deepStrictEqual(await users.revoke('alice', 'B'), { username: 'alice', subscriptions: ['A'], changed: false });
+    assert.deepStrictEqual(cognito.calls.slice(calls), ['adminGetUser']);
+
+    // Revoking the last code removes the attribute
+    await users.revoke('alice', 'A');
+    assert.strictEqual(getSubs(cognito, 'alice'), undefined);
+    assert.strictEqual(cognito.calls[cognito.calls.length - 1], 'adminDeleteUserAttributes');
+});
+
+test('setSubscriptions with an empty list removes every subscription', async () => {
+    let cognito = createCognito();
+    let users = createUserManager(cognito, USER_POOL_ID, CODES);
+    addUser(cognito, 'alice', 'A,B');
+
+    let result = await users.setSubscriptions('alice', []);
+
+    assert.deepStrictEqual(result, { username: 'alice', subscriptions: [] });
+    assert.strictEqual(getSubs(cognito, 'alice'), undefined);
+    assert.deepStrictEqual(cognito.calls, ['adminGetUser', 'adminDeleteUserAttributes']);
+    assert.deepStrictEqual((await users.describeUser('alice')).subscriptions, []);
+
+    await users.setSubscriptions('alice', ['ALL']);
+    assert.strictEqual(getSubs(cognito, 'alice'), 'ALL');
+    await assert.rejects(users.setSubscriptions('alice', ['A', 'C']), /Unknown subscription code\(s\): C/);
+});
+
+test('disableUser and enableUser change whether the user can log in', async () => {
+    let cognito = createCognito();
+    let users = createUserManager(cognito, USER_POOL_ID, CODES);
+    addUser(cognito, 'alice', 'A');
+
+    assert.deepStrictEqual(await users.disableUser('alice'), { username: 'alice', enabled: false });
+    assert.strictEqual((await users.describeUser('alice')).enabled, false);
+
+    assert.deepStrictEqual(await users.enableUser('alice'), { username: 'alice', enabled: true });
+    assert.strictEqual(cognito.users.alice.enabled, true);
+
+    await assert.rejects(users.disableUser('nobody'), /User nobody does not exist/);
+    await assert.rejects(users.enableUser(''), /username is required/);
+    // Only the existing user was changed
+    assert.deepStrictEqual(cognito.calls.filter(c => /^admin(Disable|Enable)User$/.test(c)), ['adminDisableUser', 'adminEnableUser']);
+});
+
+test('deleteUser deletes the user and signOut revokes its refresh tokens', async () => {
+    let cognito = createCognito();
+    let users = createUserManager(cognito, USER_POOL_ID, CODES);
+    addUser(cognito, 'alice', 'A');
+    addUser(cognito, 'bob', 'B');
+
+    assert.deepStrictEqual(await users.signOut('alice'), { username: 'alice', signedOut: true });
+    assert.strictEqual(cognito.users.alice.signedOut, true);
+    assert.strictEqual(cognito.users.bob.signedOut, undefined);
+
+    assert.deepStrictEqual(await users.deleteUser('alice'), { username: 'alice', deleted: true });
+    assert.deepStrictEqual(Object.keys(cognito.users), ['bob']);
+    assert.strictEqual(await users.getUser('alice'), null);
+
+    // A user that does not exist is reported, and nothing is called for it
+    let calls = cognito.calls.length;
+    await assert.rejects(users.deleteUser('alice'), /User alice does not exist/);
+    await assert.rejects(users.signOut('alice'), /User alice does not exist/);
+    assert.deepStrictEqual(cognito.calls.slice(calls), ['adminGetUser', 'adminGetUser']);
+});
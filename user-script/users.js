@@ -0,0 +1,432 @@
+'use strict';
+// © 2022 Amazon Web Services, Inc. or its affiliates. All Rights Reserved.
+// This work is licensed under a MIT-0 License.
+
+/**
+ * User management for the demo user pool. The Cognito client is passed in,
+ * so the functions can be used with a mocked client that implements the
+ * same methods (each returning an object with a promise() function, like
+ * the AWS SDK).
+ *
+ * The subscriptions of a user are stored in the custom:subs attribute as a
+ * comma separated list of codes from the product catalog. A code can carry an
+ * expiry date and a trial flag, such as A:2026-12-31 or B:20261101T093000Z:trial
+ * (see deploy-script/edge-function/entitlements.js).
+ */
+const { formatEntitlement, parseEntitlement } = require('../deploy-script/edge-function/entitlements');
+
+const SUBS_ATTRIBUTE = 'custom:subs';
+// Units of the durations accepted by grant
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+/**
+ * Split a comma separated list of subscription entries.
+ * @param {String} value
+ * @returns String[]
+ */
+function splitSubscriptions(value){
+    return (value || '').split(',').map(c => c.trim()).filter(c => c);
+}
+
+/**
+ * Check that every subscription entry can be parsed and that its code is
+ * defined in the product catalog.
+ * @param {String[]} requested: entries, see splitSubscriptions
+ * @param {String[]} codes: codes from the product catalog
+ * @returns String[]: the requested entries
+ */
+function validateSubscriptions(requested, codes){
+    let invalid = requested.filter(entry => !parseEntitlement(entry));
+    if (invalid.length > 0){
+        throw new Error('Invalid subscription(s): ' + invalid.join(', ') +
+            '. Use a code, code:YYYY-MM-DD or code:YYYY-MM-DD:trial');
+    }
+
+    let unknown = requested.map(entry => parseEntitlement(entry).code).filter(c => !codes.includes(c));
+
+    if (unknown.length > 0){
+        throw new Error('Unknown subscription code(s): ' + unknown.join(', ') +
+            '. Available codes: ' + codes.join(', '));
+    }
+
+    return requested;
+}
+
+/**
+ * Parse a duration such as 30d, 12h, 90m, 2w or a number of seconds.
+ * @param {String} value
+ * @returns Number: seconds
+ */
+function parseDuration(value){
+    let match = /^(\d+)([smhdw]?)$/.exec(String(value).trim());
+    if (!match || Number(match[1]) === 0){
+        throw new Error('Invalid duration ' + value + '. Use a number followed by s, m, h, d or w, such as 30d');
+    }
+    return Number(match[1]) * DURATION_UNITS[match[2] || 's'];
+}
+
+/**
+ * Parse CSV text into rows of fields. Fields can be quoted with double quotes,
+ * which is needed for subscription lists such as "A,B".
+ * @param {String} text
+ * @returns String[][]
+ */
+function parseCsv(text){
+    let rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++){
+        let c = text[i];
+
+        if (quoted){
+            if (c === '"' && text[i + 1] === '"'){
+                field += '"';
+                i++;
+            }
+            else if (c === '"'){
+                quoted = false;
+            }
+            else {
+                field += c;
+            }
+        }
+        else if (c === '"'){
+            quoted = true;
+        }
+        else if (c === ','){
+            row.push(field);
+            field = '';
+        }
+        else if (c === '\n' || c === '\r'){
+            if (c === '\r' && text[i + 1] === '\n'){
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        }
+        else {
+            field += c;
+        }
+    }
+
+    if (field !== '' || row.length > 0){
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(f => f.trim() !== ''));
+}
+
+// The code of a subscription entry; entries that cannot be parsed are compared as a whole
+function entryCode(entry){
+    let entitlement = parseEntitlement(entry);
+    return entitlement ? entitlement.code : entry;
+}
+
+/**
+ * Convert a Cognito user into a plain object.
+ * @param {Object} user: from listUsers or adminGetUser
+ * @returns Object
+ */
+function toUserSummary(user){
+    let attributes = user.Attributes || user.UserAttributes || [];
+    let subs = attributes.find(a => a.Name === SUBS_ATTRIBUTE);
+    let sub = attributes.find(a => a.Name === 'sub');
+
+    return {
+        username: user.Username,
+        sub: sub ? sub.Value : null,
+        status: user.UserStatus,
+        enabled: user.Enabled,
+        subscriptions: splitSubscriptions(subs ? subs.Value : ''),
+        created: user.UserCreateDate
+    };
+}
+
+/**
+ * Create the user management functions for a user pool.
+ * @param {AWS.CognitoIdentityServiceProvider} cognito
+ * @param {String} userPoolId
+ * @param {String[]} codes: subscription codes from the product catalog
+ * @returns Object
+ */
+function createUserManager(cognito, userPoolId, codes){
+
+    /**
+     * Retrieve the user, or null if it does not exist.
+     * @param {String} username
+     * @returns Object
+     */
+    async function getUser(username){
+        try {
+            return await cognito.adminGetUser({ UserPoolId: userPoolId, Username: username }).promise();
+        }
+        catch (e){
+            if (e.code === 'UserNotFoundException'){
+                return null;
+            }
+            throw e;
+        }
+    }
+
+    async function requireUser(username){
+        if (!username){
+            throw new Error('username is required');
+        }
+        let user = await getUser(username);
+        if (!user){
+            throw new Error('User ' + username + ' does not exist');
+        }
+        return user;
+    }
+
+    /**
+     * Describe one user, like listUsers. Fails if the user does not exist.
+     * @param {String} username
+     * @returns Object
+     */
+    async function describeUser(username){
+        return toUserSummary(await requireUser(username));
+    }
+
+    /**
+     * List every user in the pool with their subscriptions.
+     * @returns Object[]
+     */
+    async function listUsers(){
+        let users = [];
+        let token = undefined;
+
+        do {
+            let page = await cognito.listUsers({ UserPoolId: userPoolId, PaginationToken: token }).promise();
+            (page.Users || []).map(u => users.push(toUserSummary(u)));
+            token = page.PaginationToken;
+        } while (token);
+
+        return users;
+    }
+
+    /**
+     * Create a user with a permanent password. Fails if the user already exists,
+     * so that the password of an existing user is never reset by accident. If the
+     * password cannot be set, the user is deleted again.
+     * @param {String} username
+     * @param {String} password
+     * @param {String} subscriptions: comma separated list of codes
+     * @returns Object
+     */
+    async function createUser(username, password, subscriptions){
+        if (!username || !password || !subscriptions){
+            throw new Error('username, password and subscriptions are required');
+        }
+        let subs = validateSubscriptions(splitSubscriptions(subscriptions), codes);
+        if (subs.length === 0){
+            throw new Error('At least one subscription code is required. Available codes: ' + codes.join(', '));
+        }
+
+        if (await getUser(username)){
+            throw new Error('User ' + username + ' already exists. Use login to get a token, or grant, revoke or set-subs to change the subscriptions.');
+        }
+
+        await cognito.adminCreateUser({
+            UserPoolId: userPoolId,
+            Username: username,
+            MessageAction: 'SUPPRESS',
+            UserAttributes: [ { Name: SUBS_ATTRIBUTE, Value: subs.join(',') } ]
+        }).promise();
+
+        // A user without a password cannot log in, and would make a second attempt
+        // fail because the user exists, so the user is removed again if the password
+        // is refused (by the password policy of the pool, for example)
+        try {
+            await cognito.adminSetUserPassword({
+                Password: password,
+                UserPoolId: userPoolId,
+                Username: username,
+                Permanent: true
+            }).promise();
+        }
+        catch (e){
+            try {
+                await cognito.adminDeleteUser({ UserPoolId: userPoolId, Username: username }).promise();
+            }
+            catch (deleteError){
+                e.message += ' (user ' + username + ' was created without a password and could not be deleted: ' + deleteError.message + ')';
+            }
+            throw e;
+        }
+
+        return { username: username, subscriptions: subs };
+    }
+
+    /**
+     * Replace the subscriptions of a user.
+     * @param {String} username
+     * @param {String[]} subs: an empty list removes every subscription
+     * @returns Object
+     */
+    async function setSubscriptions(username, subs){
+        await requireUser(username);
+        validateSubscriptions(subs, codes);
+
+        if (subs.length === 0){
+            await cognito.adminDeleteUserAttributes({
+                UserPoolId: userPoolId,
+                Username: username,
+                UserAttributeNames: [SUBS_ATTRIBUTE]
+            }).promise();
+        }
+        else {
+            await cognito.adminUpdateUserAttributes({
+                UserPoolId: userPoolId,
+                Username: username,
+                UserAttributes: [ { Name: SUBS_ATTRIBUTE, Value: subs.join(',') } ]
+            }).promise();
+        }
+
+        return { username: username, subscriptions: subs };
+    }
+
+    /**
+     * Add one subscription code to the user. With a duration, the entitlement
+     * expires that long from now; granting a code again replaces its expiry.
+     * @param {String} username
+     * @param {String} code
+     * @param {Object} options: { duration: seconds, trial: Boolean } (optional)
+     * @returns Object
+     */
+    async function grant(username, code, options = {}){
+        if (!code){
+            throw new Error('A subscription code is required');
+        }
+        if (options.trial && !options.duration){
+            throw new Error('A trial needs a duration');
+        }
+        let user = toUserSummary(await requireUser(username));
+        validateSubscriptions([code], codes);
+        if (!codes.includes(code)){
+            throw new Error('Grant a code without an expiry, and use --duration for one that expires');
+        }
+
+        let entry = formatEntitlement({
+            code: code,
+            expires: options.duration ? Date.now() + options.duration * 1000 : null,
+            trial: !!options.trial
+        });
+
+        if (user.subscriptions.includes(entry)){
+            return { username: username, subscriptions: user.subscriptions, changed: false };
+        }
+
+        let others = user.subscriptions.filter(e => entryCode(e) !== code);
+        let result = await setSubscriptions(username, others.concat(entry));
+        return Object.assign(result, { changed: true });
+    }
+
+    /**
+     * Remove one subscription code from the user, with its expiry.
+     * @param {String} username
+     * @param {String} code
+     * @returns Object
+     */
+    async function revoke(username, code){
+        if (!code){
+            throw new Error('A subscription code is required');
+        }
+        let user = toUserSummary(await requireUser(username));
+
+        if (!user.subscriptions.some(e => entryCode(e) === code)){
+            return { username: username, subscriptions: user.subscriptions, changed: false };
+        }
+
+        let result = await setSubscriptions(username, user.subscriptions.filter(e => entryCode(e) !== code));
+        return Object.assign(result, { changed: true });
+    }
+
+    async function disableUser(username){
+        await requireUser(username);
+        await cognito.adminDisableUser({ UserPoolId: userPoolId, Username: username }).promise();
+        return { username: username, enabled: false };
+    }
+
+    async function enableUser(username){
+        await requireUser(username);
+        await cognito.adminEnableUser({ UserPoolId: userPoolId, Username: username }).promise();
+        return { username: username, enabled: true };
+    }
+
+    async function deleteUser(username){
+        await requireUser(username);
+        await cognito.adminDeleteUser({ UserPoolId: userPoolId, Username: username }).promise();
+        return { username: username, deleted: true };
+    }
+
+    /**
+     * Sign the user out of all devices. This revokes the refresh tokens; ID
+     * tokens that were already issued stay valid until they expire.
+     * @param {String} username
+     * @returns Object
+     */
+    async function signOut(username){
+        await requireUser(username);
+        await cognito.adminUserGlobalSignOut({ UserPoolId: userPoolId, Username: username }).promise();
+        return { username: username, signedOut: true };
+    }
+
+    /**
+     * Create the users listed in CSV text with the columns username, password
+     * and subscriptions. A header row is skipped. Every row is attempted, and
+     * the result of each row is reported (rows are numbered from 1, after the header).
+     * @param {String} csv
+     * @returns Object[]: { row, username, status: created|failed, error }
+     */
+    async function bulkImport(csv){
+        let rows = parseCsv(csv);
+        let results = [];
+
+        if (rows.length > 0 && rows[0][0].trim().toLowerCase() === 'username'){
+            rows = rows.slice(1);
+        }
+
+        for (let i = 0; i < rows.length; i++){
+            let [username, password, subscriptions] = rows[i].map(f => f.trim());
+            try {
+                let created = await createUser(username, password, subscriptions);
+                results.push({ row: i + 1, username: username, status: 'created', subscriptions: created.subscriptions });
+            }
+            catch (e){
+                results.push({ row: i + 1, username: username, status: 'failed', error: e.message });
+            }
+        }
+
+        return results;
+    }
+
+    return {
+        getUser,
+        describeUser,
+        listUsers,
+        createUser,
+        setSubscriptions,
+        grant,
+        revoke,
+        disableUser,
+        enableUser,
+        deleteUser,
+        signOut,
+        bulkImport
+    };
+}
+
+module.exports = {
+    SUBS_ATTRIBUTE,
+    createUserManager,
+    parseCsv,
+    parseDuration,
+    splitSubscriptions,
+    validateSubscriptions
+};